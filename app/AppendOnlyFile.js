@@ -0,0 +1,154 @@
+const fs = require("fs");
+const RequestParser = require("./RequestParser");
+
+/**
+ * Represents an append-only file (AOF), the log of every write command in RESP format.
+ * Replaying the log from the start rebuilds the data store.
+ *
+ * How often the log is flushed to disk depends on the fsync policy:
+ *  - `always` fsyncs after every append.
+ *  - `everysec` fsyncs once per second, so at most a second of writes can be lost.
+ *  - `no` leaves flushing to the operating system.
+ */
+class AppendOnlyFile {
+  static FSYNC_POLICIES = ["always", "everysec", "no"];
+
+  /**
+   * Constructs a new AppendOnlyFile instance.
+   * @param {string} filePath - The path of the append-only file.
+   * @param {string} [fsyncPolicy="everysec"] - One of "always", "everysec" or "no".
+   */
+  constructor(filePath, fsyncPolicy = "everysec") {
+    this.filePath = filePath;
+    this.fsyncPolicy = fsyncPolicy;
+    this.fd = null;
+    this.fsyncTimer = null;
+    this.needsFsync = false; // True when writes were appended since the last fsync.
+    this.rewriteBuffer = null; // Writes appended while a rewrite is in progress.
+  }
+
+  /**
+   * Reads the commands logged in an append-only file.
+   * If the file ends with an incomplete command, as happens when the server crashes in the middle
+   * of a write, the incomplete tail is discarded and the file is truncated to its last complete command.
+   * @param {string} filePath - The path of the append-only file.
+   * @returns {Array<Array>} An array of [args, request] pairs, one per logged command.
+   * @throws {Error} If the file holds something other than RESP commands.
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    const content = fs.readFileSync(filePath);
+    const requestParser = new RequestParser(content, { maxBulkLength: Infinity, allowInline: false });
+    const commands = [];
+    try {
+      while (true) {
+        const args = requestParser.parse();
+        if (args.length === 0) break;
+        commands.push([args, requestParser.currentRequest]);
+      }
+    } catch (err) {
+      if (!(err instanceof RequestParser.ProtocolError)) throw err;
+      throw new Error(`Bad file format reading the append only file ${filePath}`);
+    }
+
+    const tail = requestParser.getRemainingRequest();
+    if (tail.length > 0) {
+      const validLength = content.length - tail.length;
+      console.log(
+        `AOF ${filePath} ends with an incomplete command, truncating it to ${validLength} bytes`
+      );
+      fs.truncateSync(filePath, validLength);
+    }
+    return commands;
+  }
+
+  /**
+   * Opens the file for appending and starts the once per second fsync.
+   */
+  open() {
+    this.fd = fs.openSync(this.filePath, "a");
+    this.fsyncTimer = setInterval(() => {
+      if (this.fsyncPolicy === "everysec") this.fsync();
+    }, 1000);
+  }
+
+  /**
+   * Flushes pending writes to disk and closes the file.
+   */
+  close() {
+    clearInterval(this.fsyncTimer);
+    this.fsyncTimer = null;
+    if (this.fd === null) return;
+    if (this.needsFsync) fs.fsyncSync(this.fd);
+    fs.closeSync(this.fd);
+    this.fd = null;
+    this.needsFsync = false;
+  }
+
+  /**
+   * Appends a write command to the file.
+   * @param {string} request - The command, encoded as a RESP array in a binary string.
+   */
+  append(request) {
+    fs.writeSync(this.fd, request, null, "latin1");
+    if (this.rewriteBuffer !== null) this.rewriteBuffer.push(request);
+    if (this.fsyncPolicy === "always") {
+      fs.fsyncSync(this.fd);
+    } else {
+      this.needsFsync = true;
+    }
+  }
+
+  /**
+   * Flushes the appended writes to disk without blocking.
+   */
+  fsync() {
+    if (!this.needsFsync || this.fd === null) return;
+    this.needsFsync = false;
+    fs.fdatasync(this.fd, (err) => {
+      if (err) console.log(`AOF fsync error: ${err}`);
+    });
+  }
+
+  /**
+   * Replaces the file with a compacted log that rebuilds the current data store.
+   * The compacted log is written to a temporary file, then the writes appended in the meantime
+   * are copied after it, and the temporary file is renamed over the current one.
+   * The file doesn't need to be open, in which case it is only replaced.
+   * @param {string} payload - The commands rebuilding the data store, encoded as RESP arrays in a binary string.
+   * @returns {Promise<void>} Resolves once the compacted file is in place.
+   */
+  async rewrite(payload) {
+    const tempPath = `${this.filePath}.rewrite-${process.pid}`;
+    const wasOpen = this.fd !== null;
+    this.rewriteBuffer = [];
+    try {
+      await fs.promises.writeFile(tempPath, payload, "latin1");
+      if (wasOpen && this.fd === null) {
+        // The file was closed while the rewrite was in progress.
+        fs.rmSync(tempPath, { force: true });
+        return;
+      }
+
+      // The rest is synchronous, so no write can be appended between the copy and the swap.
+      const fd = fs.openSync(tempPath, "a");
+      fs.writeSync(fd, this.rewriteBuffer.join(""), null, "latin1");
+      fs.fsyncSync(fd);
+      fs.renameSync(tempPath, this.filePath);
+      if (this.fd === null) {
+        fs.closeSync(fd);
+        return;
+      }
+      fs.closeSync(this.fd);
+      this.fd = fd;
+      this.needsFsync = false;
+    } catch (err) {
+      fs.rmSync(tempPath, { force: true });
+      throw err;
+    } finally {
+      this.rewriteBuffer = null;
+    }
+  }
+}
+
+module.exports = AppendOnlyFile;
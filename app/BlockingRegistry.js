@@ -0,0 +1,118 @@
+/**
+ * Tracks the clients blocked by commands such as BLPOP or XREAD BLOCK until one of the keys they wait for
+ * is written, or until their timeout.
+ *
+ * Blocked clients are registered under "<db>:<key>" for each of their keys, in the order they blocked,
+ * so that the client that blocked first is the first one served when a key is written. Writes only mark
+ * keys as ready, and the clients waiting for them are served once the command that wrote them is done.
+ */
+class BlockingRegistry {
+  /**
+   * Constructs a new, empty BlockingRegistry instance.
+   */
+  constructor() {
+    this.keys = new Map(); // "<db>:<key>" mapped to the clients blocked on it by id, in blocking order.
+    this.clients = new Map(); // Client ids mapped to their blocked state.
+    this.readyKeys = new Set(); // Keys written since blocked clients were last served.
+  }
+
+  /**
+   * The number of blocked clients.
+   * @type {number}
+   */
+  get size() {
+    return this.clients.size;
+  }
+
+  /**
+   * Blocks a client.
+   * @param {object} blocked - The state of the blocked client.
+   * @param {number} blocked.clientId - The id of the client.
+   * @param {number} blocked.db - The index of the database holding the keys.
+   * @param {string[]} blocked.keys - The keys the client waits for.
+   * @param {number} blocked.timeout - The timeout in milliseconds, or 0 to block forever.
+   * @param {Function} blocked.serve - Called with a written key to try to serve the client,
+   * returns true if it was served, or false if it keeps waiting.
+   * @param {Function} blocked.onTimeout - Called once the client was unblocked by its timeout.
+   */
+  block(blocked) {
+    this.clients.set(blocked.clientId, blocked);
+    for (const key of new Set(blocked.keys)) {
+      const id = `${blocked.db}:${key}`;
+      if (!this.keys.has(id)) this.keys.set(id, new Map());
+      this.keys.get(id).set(blocked.clientId, blocked);
+    }
+    blocked.timer = null;
+    if (blocked.timeout > 0) {
+      blocked.timer = setTimeout(() => {
+        this.unblock(blocked.clientId);
+        blocked.onTimeout();
+      }, blocked.timeout);
+    }
+  }
+
+  /**
+   * Checks whether a client is blocked.
+   * @param {number} clientId - The id of the client.
+   * @returns {boolean} True if the client is blocked.
+   */
+  isBlocked(clientId) {
+    return this.clients.has(clientId);
+  }
+
+  /**
+   * Unblocks a client without serving it, cancelling its timeout.
+   * @param {number} clientId - The id of the client.
+   * @returns {object|null} The state of the client, or null if it wasn't blocked.
+   */
+  unblock(clientId) {
+    const blocked = this.clients.get(clientId);
+    if (blocked === undefined) return null;
+    clearTimeout(blocked.timer);
+    this.clients.delete(clientId);
+    for (const key of new Set(blocked.keys)) {
+      const id = `${blocked.db}:${key}`;
+      const waiting = this.keys.get(id);
+      waiting.delete(clientId);
+      if (waiting.size === 0) this.keys.delete(id);
+    }
+    return blocked;
+  }
+
+  /**
+   * Marks a key as written, so that the clients blocked on it are given a chance to be served.
+   * @param {number} db - The index of the database holding the key.
+   * @param {string|null} key - The key, or null for every key of the database.
+   */
+  signalKey(db, key) {
+    if (key !== null) {
+      if (this.keys.has(`${db}:${key}`)) this.readyKeys.add(`${db}:${key}`);
+      return;
+    }
+    for (const id of this.keys.keys()) {
+      if (id.startsWith(`${db}:`)) this.readyKeys.add(id);
+    }
+  }
+
+  /**
+   * Tries to serve the clients blocked on the keys marked as written, key by key and each in blocking order.
+   * A key stops being served at the first client it can't serve, and serving a client may write other keys,
+   * whose clients are then tried too.
+   */
+  serveReadyKeys() {
+    while (this.readyKeys.size > 0) {
+      const readyKeys = [...this.readyKeys];
+      this.readyKeys.clear();
+      for (const id of readyKeys) {
+        const key = id.slice(id.indexOf(":") + 1);
+        // Clients unblocked meanwhile, including through another key, are skipped by the iteration.
+        for (const blocked of this.keys.get(id)?.values() ?? []) {
+          if (!blocked.serve(key)) break;
+          this.unblock(blocked.clientId);
+        }
+      }
+    }
+  }
+}
+
+module.exports = BlockingRegistry;
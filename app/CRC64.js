@@ -0,0 +1,44 @@
+/**
+ * Reflected form of the Jones polynomial (0xad93d23594c935a9) used by Redis for RDB checksums.
+ */
+const POLYNOMIAL = 0x95ac9329ac4bc9b5n;
+
+/**
+ * Lookup tables for the high and low 32 bits of the CRC of every byte value.
+ * Splitting the 64-bit CRC in two halves keeps the hot loop on plain numbers instead of BigInts.
+ */
+const TABLE_HI = new Uint32Array(256);
+const TABLE_LO = new Uint32Array(256);
+
+for (let i = 0; i < 256; i++) {
+  let crc = BigInt(i);
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1n ? (crc >> 1n) ^ POLYNOMIAL : crc >> 1n;
+  }
+  TABLE_HI[i] = Number(crc >> 32n);
+  TABLE_LO[i] = Number(crc & 0xffffffffn);
+}
+
+/**
+ * A utility class computing the CRC64 checksum stored at the end of RDB files.
+ */
+class CRC64 {
+  /**
+   * Computes the CRC64 checksum of a buffer.
+   * @param {Buffer} buffer - The data to checksum.
+   * @param {bigint} [crc=0n] - The checksum of the preceding data, to continue a running checksum.
+   * @returns {bigint} The checksum as an unsigned 64-bit integer.
+   */
+  static compute(buffer, crc = 0n) {
+    let hi = Number(crc >> 32n);
+    let lo = Number(crc & 0xffffffffn);
+    for (let i = 0; i < buffer.length; i++) {
+      const index = (lo ^ buffer[i]) & 0xff;
+      lo = (((lo >>> 8) | ((hi & 0xff) << 24)) ^ TABLE_LO[index]) >>> 0;
+      hi = ((hi >>> 8) ^ TABLE_HI[index]) >>> 0;
+    }
+    return (BigInt(hi) << 32n) | BigInt(lo);
+  }
+}
+
+module.exports = CRC64;
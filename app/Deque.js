@@ -0,0 +1,187 @@
+const MIN_CAPACITY = 8;
+
+/**
+ * A double-ended queue holding the elements of a list in a circular array, so that elements are
+ * pushed and popped at both ends in constant time, and read by index in constant time.
+ *
+ * The array grows by doubling when full, and shrinks by half when less than a quarter of it is used.
+ */
+class Deque {
+  /**
+   * Constructs a new Deque instance.
+   * @param {Iterable<any>} [elements=[]] - The elements it initially holds, from head to tail.
+   */
+  constructor(elements = []) {
+    this.items = new Array(MIN_CAPACITY);
+    this.head = 0; // Position in the array of the first element.
+    this.length = 0; // Number of elements held.
+    for (const element of elements) this.push(element);
+  }
+
+  /**
+   * Maps an index of the deque to a position in the array.
+   * @param {number} index - The index, from 0 for the head.
+   * @returns {number} The position in the array.
+   */
+  position(index) {
+    return (this.head + index) & (this.items.length - 1);
+  }
+
+  /**
+   * Moves the elements to an array of another capacity, starting at its first position.
+   * @param {number} capacity - The new capacity, a power of two that can hold every element.
+   */
+  resize(capacity) {
+    const items = new Array(capacity);
+    for (let i = 0; i < this.length; i++) items[i] = this.items[this.position(i)];
+    this.items = items;
+    this.head = 0;
+  }
+
+  /**
+   * Grows the array if it can't hold another element.
+   */
+  ensureCapacity() {
+    if (this.length === this.items.length) this.resize(this.items.length * 2);
+  }
+
+  /**
+   * Shrinks the array once most of it is unused.
+   */
+  shrinkIfSparse() {
+    if (this.items.length > MIN_CAPACITY && this.length < this.items.length / 4) this.resize(this.items.length / 2);
+  }
+
+  /**
+   * Adds an element to the tail.
+   * @param {any} element - The element.
+   */
+  push(element) {
+    this.ensureCapacity();
+    this.items[this.position(this.length)] = element;
+    this.length++;
+  }
+
+  /**
+   * Adds an element to the head.
+   * @param {any} element - The element.
+   */
+  unshift(element) {
+    this.ensureCapacity();
+    this.head = this.position(this.items.length - 1);
+    this.items[this.head] = element;
+    this.length++;
+  }
+
+  /**
+   * Removes the element at the tail.
+   * @returns {any} The element, or undefined if the deque is empty.
+   */
+  pop() {
+    if (this.length === 0) return undefined;
+    const position = this.position(this.length - 1);
+    const element = this.items[position];
+    this.items[position] = undefined;
+    this.length--;
+    this.shrinkIfSparse();
+    return element;
+  }
+
+  /**
+   * Removes the element at the head.
+   * @returns {any} The element, or undefined if the deque is empty.
+   */
+  shift() {
+    if (this.length === 0) return undefined;
+    const element = this.items[this.head];
+    this.items[this.head] = undefined;
+    this.head = this.position(1);
+    this.length--;
+    this.shrinkIfSparse();
+    return element;
+  }
+
+  /**
+   * Retrieves the element at an index.
+   * @param {number} index - The index, from 0 for the head to length - 1 for the tail.
+   * @returns {any} The element, or undefined if the index is out of range.
+   */
+  get(index) {
+    if (index < 0 || index >= this.length) return undefined;
+    return this.items[this.position(index)];
+  }
+
+  /**
+   * Replaces the element at an index, which must be within range.
+   * @param {number} index - The index, from 0 for the head to length - 1 for the tail.
+   * @param {any} element - The new element.
+   */
+  set(index, element) {
+    this.items[this.position(index)] = element;
+  }
+
+  /**
+   * Inserts an element at an index, shifting the elements of the shorter side to make room.
+   * @param {number} index - The index the element gets, from 0 to length.
+   * @param {any} element - The element.
+   */
+  insert(index, element) {
+    if (index < this.length / 2) {
+      this.unshift(element);
+      for (let i = 0; i < index; i++) this.set(i, this.get(i + 1));
+    } else {
+      this.push(element);
+      for (let i = this.length - 1; i > index; i--) this.set(i, this.get(i - 1));
+    }
+    this.set(index, element);
+  }
+
+  /**
+   * Removes the element at an index, which must be within range, shifting the elements of the shorter side to fill the gap.
+   * @param {number} index - The index, from 0 for the head to length - 1 for the tail.
+   */
+  removeAt(index) {
+    if (index < this.length / 2) {
+      for (let i = index; i > 0; i--) this.set(i, this.get(i - 1));
+      this.shift();
+    } else {
+      for (let i = index; i < this.length - 1; i++) this.set(i, this.get(i + 1));
+      this.pop();
+    }
+  }
+
+  /**
+   * Finds the index of the first occurrence of an element.
+   * @param {any} element - The element, compared with strict equality.
+   * @returns {number} The index, or -1 if the element isn't held.
+   */
+  indexOf(element) {
+    for (let i = 0; i < this.length; i++) {
+      if (this.items[this.position(i)] === element) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Copies the elements between two indexes into an array, as Array.prototype.slice does for
+   * indexes within range.
+   * @param {number} [start=0] - The index of the first element, inclusive.
+   * @param {number} [end=this.length] - The index of the last element, exclusive.
+   * @returns {Array<any>} The elements.
+   */
+  slice(start = 0, end = this.length) {
+    const elements = [];
+    for (let i = Math.max(start, 0); i < Math.min(end, this.length); i++) elements.push(this.items[this.position(i)]);
+    return elements;
+  }
+
+  /**
+   * Iterates over the elements from head to tail.
+   * @returns {Iterator<any>} An iterator of the elements.
+   */
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.length; i++) yield this.items[this.position(i)];
+  }
+}
+
+module.exports = Deque;
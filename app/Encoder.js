@@ -1,6 +1,10 @@
 /**
  * A utility class for encoding different types of data into specific
- * Redis protocol formats.
+ * Redis protocol formats. Maps, sets, doubles, booleans, null, big numbers,
+ * verbatim strings and push messages only exist in RESP3.
+ *
+ * Replies are binary strings, holding one character per byte, and must be
+ * written to sockets with the "latin1" encoding.
  */
 class Encoder {
   /**
@@ -14,24 +18,29 @@ class Encoder {
 
   /**
    * Encodes a bulk string or a null value in Redis protocol format.
-   * @param {string} string - The string to encode.
+   * @param {string|Buffer} string - The bytes to encode, as a Buffer or a binary string.
    * @param {boolean} [isNull=false] - Flag to determine if the output should be a null bulk string.
    * @returns {string} Encoded bulk string or a null representation.
    */
   static createBulkString(string, isNull = false) {
     if (!isNull) {
-      return `$${string.length}\r\n${string}\r\n`;
+      const bytes = Buffer.isBuffer(string) ? string.toString("latin1") : string;
+      return `$${Buffer.byteLength(bytes, "latin1")}\r\n${bytes}\r\n`;
     }
     return `$-1\r\n`;
   }
 
   /**
-   * Encodes an array of encoded strings in Redis protocol format.
+   * Encodes an array of encoded strings or a null value in Redis protocol format.
    * @param {string[]} arr - The array of strings to encode.
-   * @returns {string} Encoded array.
+   * @param {boolean} [isNull=false] - Flag to determine if the output should be a null array.
+   * @returns {string} Encoded array or a null representation.
    */
-  static createArray(arr) {
-    return `*${arr.length}\r\n${arr.join("")}`;
+  static createArray(arr, isNull = false) {
+    if (!isNull) {
+      return `*${arr.length}\r\n${arr.join("")}`;
+    }
+    return `*-1\r\n`;
   }
 
   /**
@@ -51,6 +60,81 @@ class Encoder {
   static createSimpleError(message) {
     return `-${message}\r\n`;
   }
+
+  /**
+   * Encodes a map of encoded keys and values in RESP3 format.
+   * @param {Array<Array<string>>} entries - The [key, value] pairs of encoded strings.
+   * @returns {string} Encoded map.
+   */
+  static createMap(entries) {
+    return `%${entries.length}\r\n${entries.flat().join("")}`;
+  }
+
+  /**
+   * Encodes a set of encoded strings in RESP3 format.
+   * @param {string[]} arr - The encoded members.
+   * @returns {string} Encoded set.
+   */
+  static createSet(arr) {
+    return `~${arr.length}\r\n${arr.join("")}`;
+  }
+
+  /**
+   * Encodes a floating point number in RESP3 format.
+   * @param {number} num - The number to encode, possibly infinite or NaN.
+   * @returns {string} Encoded double.
+   */
+  static createDouble(num) {
+    if (Number.isNaN(num)) return `,nan\r\n`;
+    if (num === Infinity) return `,inf\r\n`;
+    if (num === -Infinity) return `,-inf\r\n`;
+    return `,${num}\r\n`;
+  }
+
+  /**
+   * Encodes a boolean in RESP3 format.
+   * @param {boolean} bool - The boolean to encode.
+   * @returns {string} Encoded boolean.
+   */
+  static createBoolean(bool) {
+    return `#${bool ? "t" : "f"}\r\n`;
+  }
+
+  /**
+   * Encodes the null value in RESP3 format.
+   * @returns {string} Encoded null.
+   */
+  static createNull() {
+    return `_\r\n`;
+  }
+
+  /**
+   * Encodes an integer of arbitrary size in RESP3 format.
+   * @param {bigint|string} num - The integer to encode.
+   * @returns {string} Encoded big number.
+   */
+  static createBigNumber(num) {
+    return `(${num}\r\n`;
+  }
+
+  /**
+   * Encodes a string along with its format in RESP3 format, for clients to display it as is.
+   * @param {string} string - The string to encode.
+   * @param {string} [format="txt"] - The three-character format of the string, "txt" or "mkd".
+   * @returns {string} Encoded verbatim string.
+   */
+  static createVerbatimString(string, format = "txt") {
+    return `=${Buffer.byteLength(string, "latin1") + 4}\r\n${format}:${string}\r\n`;
+  }
+
+  /**
+   * Encodes an out-of-band message, such as a Pub/Sub message, in RESP3 format.
+   * @param {string[]} arr - The encoded items of the message.
+   * @returns {string} Encoded push message.
+   */
+  static createPush(arr) {
+    return `>${arr.length}\r\n${arr.join("")}`;
+  }
 }
 
 module.exports = Encoder;
@@ -0,0 +1,100 @@
+/**
+ * A utility class for matching strings against Redis-style glob patterns.
+ *
+ * Supported syntax:
+ *  - `*` matches any sequence of characters, including an empty one.
+ *  - `?` matches exactly one character.
+ *  - `[abc]`, `[a-z]` and `[^a-z]` match one character from (or not from) a set.
+ *  - `\` escapes the following character so that it is matched literally.
+ */
+class GlobMatcher {
+  /**
+   * Checks whether a string matches a glob pattern.
+   *
+   * When the pattern stops matching, only the last `*` seen backtracks, by matching one more
+   * character: a match found with an earlier star can always be found with the last one too.
+   * This keeps matching linear in the length of the string for each position of the pattern,
+   * whatever the number of stars.
+   * @param {string} pattern - The glob pattern.
+   * @param {string} string - The string to check.
+   * @returns {boolean} True if the whole string matches the pattern, otherwise false.
+   */
+  static match(pattern, string) {
+    let pi = 0;
+    let si = 0;
+    let starPi = -1; // Position in the pattern right after the last star seen.
+    let starSi = 0; // Position in the string that star matches up to.
+    while (si < string.length) {
+      const char = pattern[pi];
+      if (char === "*") {
+        while (pattern[pi + 1] === "*") pi++; // Collapse consecutive stars.
+        starPi = ++pi;
+        starSi = si;
+        continue;
+      }
+      const next = pi < pattern.length ? GlobMatcher.matchOne(pattern, pi, string[si]) : -1;
+      if (next !== -1) {
+        pi = next;
+        si++;
+      } else if (starPi !== -1) {
+        pi = starPi;
+        si = ++starSi;
+      } else {
+        return false;
+      }
+    }
+    while (pattern[pi] === "*") pi++;
+    return pi === pattern.length;
+  }
+
+  /**
+   * Matches a single character against the element of the pattern at a position, which isn't a star.
+   * @param {string} pattern - The glob pattern.
+   * @param {number} pi - The position of the element in the pattern.
+   * @param {string} char - The character to check.
+   * @returns {number} The position after the element if the character matched, otherwise -1.
+   */
+  static matchOne(pattern, pi, char) {
+    if (pattern[pi] === "?") return pi + 1;
+    if (pattern[pi] === "[") {
+      const result = GlobMatcher.matchClass(pattern, pi + 1, char);
+      // An unterminated class runs to the end of the pattern.
+      return result.matched ? Math.min(result.next, pattern.length) : -1;
+    }
+    if (pattern[pi] === "\\" && pi + 1 < pattern.length) pi++;
+    return pattern[pi] === char ? pi + 1 : -1;
+  }
+
+  /**
+   * Matches a single character against a bracketed character class.
+   * @param {string} pattern - The glob pattern.
+   * @param {number} pi - The position right after the opening bracket.
+   * @param {string} char - The character to check.
+   * @returns {{matched: boolean, next: number}} Whether the character matched and the position after the class.
+   */
+  static matchClass(pattern, pi, char) {
+    const negate = pattern[pi] === "^";
+    if (negate) pi++;
+
+    let matched = false;
+    while (pi < pattern.length && pattern[pi] !== "]") {
+      if (pattern[pi] === "\\" && pi + 1 < pattern.length) {
+        if (pattern[pi + 1] === char) matched = true;
+        pi += 2;
+      } else if (pi + 2 < pattern.length && pattern[pi + 1] === "-") {
+        let start = pattern[pi];
+        let end = pattern[pi + 2];
+        if (start > end) [start, end] = [end, start];
+        if (char >= start && char <= end) matched = true;
+        pi += 3;
+      } else {
+        if (pattern[pi] === char) matched = true;
+        pi++;
+      }
+    }
+
+    return { matched: negate ? !matched : matched, next: pi + 1 };
+  }
+}
+
+module.exports = GlobMatcher;
@@ -1,22 +1,77 @@
+const SortedSet = require("./SortedSet");
+const Deque = require("./Deque");
+const KeyspaceMap = require("./KeyspaceMap");
+const Stream = require("./Stream");
+
+/**
+ * Creates a deep copy of a value, so that the copy can be modified independently of the original.
+ * @param {string} type - The type of the value.
+ * @param {any} value - The value to copy.
+ * @returns {any} The copy.
+ */
+function cloneValue(type, value) {
+  switch (type) {
+    case "list":
+      return new Deque(value);
+    case "hash":
+      return new Map(value);
+    case "set":
+      return new Set(value);
+    case "zset": {
+      const copy = new SortedSet();
+      for (const [member, score] of value.rangeByRank(0, value.size - 1)) copy.add(member, score);
+      return copy;
+    }
+    case "stream":
+      return value.clone();
+    default:
+      return value;
+  }
+}
+
+/**
+ * Converts a string value to the Buffer it is stored as.
+ * @param {Buffer|string} value - The value, as a Buffer or a binary string holding one character per byte.
+ * @returns {Buffer} The value as a Buffer.
+ */
+function toBuffer(value) {
+  return Buffer.isBuffer(value) ? value : Buffer.from(`${value}`, "latin1");
+}
+
 /**
  * A simple hash table implementation with support for expiry timestamps.
+ * String values are stored as Buffers, so that they can hold arbitrary bytes.
  */
 class HashTable {
+  /**
+   * Custom error class for operations against a key holding the wrong kind of value.
+   */
+  static WrongTypeError = class WrongTypeError extends Error {
+    constructor() {
+      super("WRONGTYPE Operation against a key holding the wrong kind of value");
+      this.name = "Wrong Type";
+    }
+  };
+
   /**
    * Constructs a new HashTable instance.
    */
   constructor() {
-    this.map = new Map();
+    this.map = new KeyspaceMap();
+    this.expiredKeys = 0; // Number of keys removed because they expired.
+    this.volatileKeys = new Set(); // Keys with an expiry, which active expiry samples from.
+    this.expiryCursor = null; // Iterator over the keys with an expiry from which the next sample resumes.
+    this.onExpire = null; // Called with each key removed because it was found expired on access.
+    this.averageTtl = 0; // Estimated time to live of the keys with an expiry, in milliseconds, from the sampled ones.
   }
 
   /**
-   * Inserts a value into the hash table without an explicit expiry.
-   * Defaults to 24 hours.
+   * Inserts a value into the hash table without an expiry, replacing any existing value and expiry.
    * @param {string} key - The key under which to store the value.
    * @param {any} value - The value to store.
    */
   insert(key, value) {
-    this.insertWithExpiry(key, value, 1000 * 60 * 60 * 24);
+    this.insertKeyWithTimeStamp(key, value, null);
   }
 
   /**
@@ -30,79 +85,93 @@ class HashTable {
     this.insertKeyWithTimeStamp(key, value, expiryTimestamp);
   }
 
+  /**
+   * Sets a string value the way the SET command does.
+   * @param {string} key - The key under which to store the value.
+   * @param {Buffer|string} value - The value to store, as a Buffer or a binary string.
+   * @param {object} [options] - The options of the SET command.
+   * @param {string|null} [options.condition=null] - "nx" to only set a missing key, "xx" to only set an existing one.
+   * @param {number|null} [options.expiry=null] - The timestamp at which the value should expire, or null for no expiry.
+   * @param {boolean} [options.keepTtl=false] - Whether to keep the current expiry of the key.
+   * @returns {boolean} True if the value was set, false if the condition wasn't met.
+   */
+  setString(key, value, { condition = null, expiry = null, keepTtl = false } = {}) {
+    const exists = this.has(key);
+    if ((condition === "nx" && exists) || (condition === "xx" && !exists)) return false;
+    const timestamp = keepTtl && exists ? this.map.get(key).expiry : expiry;
+    this.insertKeyWithTimeStamp(key, value, timestamp);
+    return true;
+  }
+
   /**
    * Inserts a value with a specific expiry timestamp.
    * @param {string} key - The key under which to store the value.
    * @param {any} value - The value to store.
-   * @param {number} timestamp - The specific timestamp at which the value should expire.
+   * @param {number|null} timestamp - The specific timestamp at which the value should expire, or null for no expiry.
+   * @param {string} [type="string"] - The type of the value. Strings may be given as binary strings.
    */
-  insertKeyWithTimeStamp(key, value, timestamp) {
-    this.map.set(key, { value, expiry: timestamp, type: "string" });
+  insertKeyWithTimeStamp(key, value, timestamp, type = "string") {
+    if (type === "string") value = toBuffer(value);
+    this.setEntry(key, { value, expiry: timestamp, type });
   }
 
   /**
-   * Inserts a value into the hash table as a stream.
-   *
-   * @param {string} key - The key to insert the value under.
-   * @param {object} value - The value to insert.
-   * @returns {string|null} - The ID of the inserted value, or null if insertion is unsuccessful.
+   * Stores the entry of a key, keeping track of whether it has an expiry.
+   * @param {string} key - The key.
+   * @param {object} entry - The entry holding the value, its type and expiry.
    */
-  insertStream(key, value) {
-    if (!this.map.has(key)) this.map.set(key, { value: [], type: "stream" });
-    let existingValue = this.map.get(key);
-
-    let currentId = value.id;
-
-    if (currentId === "*") {
-      currentId = `${Date.now()}-*`;
-    }
-
-    let currentIdMillis = currentId.split("-")[0];
-    let currentIdSequence = currentId.split("-")[1];
+  setEntry(key, entry) {
+    this.map.set(key, entry);
+    if (entry.expiry != null) this.volatileKeys.add(key);
+    else this.volatileKeys.delete(key);
+  }
 
-    if (currentIdSequence === "*") {
-      if (existingValue.value.length === 0) {
-        if (currentIdMillis === "0") currentIdSequence = "1";
-        else currentIdSequence = "0";
-        currentId = currentIdMillis + "-" + currentIdSequence;
-      } else {
-        let lastEntry = existingValue.value.slice(-1)[0];
-        let lastId = lastEntry["id"].split("-");
-        let lastIdMilisecond = lastId[0];
-        let lastIdSequence = lastId[1];
-
-        if (currentIdMillis < lastIdMilisecond) return null;
-        if (currentIdMillis === lastIdMilisecond) {
-          currentIdSequence = `${parseInt(lastIdSequence) + 1}`;
-          currentId = currentIdMillis + "-" + currentIdSequence;
-        } else {
-          currentIdSequence = "0";
-          currentId = currentIdMillis + "-" + currentIdSequence;
-        }
-      }
-      value["id"] = currentId;
-      existingValue.value.push(value);
-      this.map.set(key, existingValue);
-      return currentId;
-    }
+  /**
+   * Removes the entry of a key, whether it has expired or not.
+   * @param {string} key - The key.
+   * @returns {boolean} True if the key existed, otherwise false.
+   */
+  deleteEntry(key) {
+    this.volatileKeys.delete(key);
+    return this.map.delete(key);
+  }
 
-    if (existingValue.value.length !== 0) {
-      let lastEntry = existingValue.value.slice(-1)[0];
-      let lastId = lastEntry["id"];
-      let lastIdMilisecond = lastId.split("-")[0];
-      let lastIdSequence = lastId.split("-")[1];
+  /**
+   * Appends an entry to a stream, creating the stream if the entry is added.
+   * @param {string} key - The key of the stream.
+   * @param {string} id - The ID of the entry, or a pattern for generating it, as accepted by `Stream.add`.
+   * @param {string[]} fields - The fields and values of the entry.
+   * @returns {string|null} The ID of the entry, or null if it isn't greater than the last ID of the stream.
+   * @throws {WrongTypeError} If the key holds a value of another type.
+   */
+  insertStream(key, id, fields) {
+    const stream = this.getStream(key);
+    if (stream !== null) return stream.add(id, fields);
+    const newStream = new Stream();
+    const entryId = newStream.add(id, fields);
+    if (entryId !== null) this.insertKeyWithTimeStamp(key, newStream, null, "stream");
+    return entryId;
+  }
 
-      if (currentIdMillis < lastIdMilisecond) return null;
-      if (
-        currentIdMillis === lastIdMilisecond &&
-        currentIdSequence <= lastIdSequence
-      )
-        return null;
-    }
+  /**
+   * Retrieves a stream.
+   * @param {string} key - The key of the stream.
+   * @returns {Stream|null} The stream, or null if the key does not exist.
+   * @throws {WrongTypeError} If the key holds a value of another type.
+   */
+  getStream(key) {
+    const entry = this.getEntryOfType(key, "stream");
+    return entry === null ? null : entry.value;
+  }
 
-    existingValue.value.push(value);
-    this.map.set(key, existingValue);
-    return currentId;
+  /**
+   * Retrieves a stream, creating an empty one if the key does not exist.
+   * @param {string} key - The key of the stream.
+   * @returns {Stream} The stream.
+   * @throws {WrongTypeError} If the key holds a value of another type.
+   */
+  getOrCreateStream(key) {
+    return this.getOrCreateEntryOfType(key, "stream", () => new Stream()).value;
   }
 
   /**
@@ -131,75 +200,38 @@ class HashTable {
   }
 
   /**
-   * Retrieves a stream of entries between the specified start and end values for a given key.
+   * Retrieves the entries of a stream between the specified start and end IDs.
    * @param {string} key - The key to retrieve the stream for.
-   * @param {string} start - The start value of the stream (inclusive).
-   * @param {string} end - The end value of the stream (inclusive).
+   * @param {string} start - The start ID of the range (inclusive).
+   * @param {string} end - The end ID of the range (inclusive).
+   * @param {number} [count=0] - The maximum number of entries, or 0 for no limit.
+   * @param {boolean} [reverse=false] - True to retrieve the entries from the end of the range, in reverse order.
    * @returns {Array} - An array of entries within the specified range, formatted as [id, [key1, value1, key2, value2, ...]].
+   * @throws {WrongTypeError} If the key holds a value of another type.
    */
-  getStreamBetween(key, start, end) {
-    if (start === "1") start = "0-1";
-    if (end === "+")
-      end = `${Number.MAX_SAFE_INTEGER}-${Number.MAX_SAFE_INTEGER}`;
-    if (!start.includes("-")) start += "-0";
-    if (!end.includes("-")) end += `-${Number.MAX_SAFE_INTEGER}`;
-    if (!this.map.has(key)) return [];
-    let entries = this.map.get(key).value;
-    entries = entries.filter((entry) => {
-      return entry.id >= start && entry.id <= end;
-    });
-
-    const toReturn = [];
-
-    for (const entry of entries) {
-      const arr = [entry.id];
-      const subArr = [];
-      for (const entryKey of Object.keys(entry)) {
-        if (entryKey === "id") continue;
-        subArr.push(entryKey);
-        subArr.push(entry[entryKey]);
-      }
-      arr.push(subArr);
-      toReturn.push(arr);
-    }
-
-    return toReturn;
+  getStreamBetween(key, start, end, count = 0, reverse = false) {
+    const stream = this.getStream(key);
+    if (stream === null) return [];
+    return stream.range(start, end, count, reverse).map((entry) => [entry.id, entry.fields]);
   }
 
   /**
-   * Retrieves a stream of entries for each given key, starting from the specified startIds.
+   * Retrieves the entries of each given stream whose ID is greater than the given start ID.
+   * Streams without such entries are left out.
    *
    * @param {Array<string>} keys - The keys to retrieve the stream for.
-   * @param {Array<number>} startIds - The startIds for each key.
-   * @returns {Array<Array<any>>} - An array of arrays representing the stream of entries for each key.
+   * @param {Array<string>} startIds - The startIds for each key.
+   * @param {number} [count=0] - The maximum number of entries per stream, or 0 for no limit.
+   * @returns {Array<Array<any>>} - An array of [key, entries] pairs, whose entries are formatted as [id, fields].
    */
-  getStreamAfter(keys, startIds) {
+  getStreamAfter(keys, startIds, count = 0) {
     const toReturn = [];
     for (let i = 0; i < keys.length; i++) {
-      const key = keys[i];
-      const start = startIds[i];
-      if (!this.map.has(key)) continue;
-      let entries = this.map.get(key).value;
-      entries = entries.filter((entry) => {
-        return entry.id > start;
-      });
-
-      const ret = [key];
-      const entriesForKey = [];
-      for (const entry of entries) {
-        const arr = [entry.id];
-        const subArr = [];
-        for (const entryKey of Object.keys(entry)) {
-          if (entryKey === "id") continue;
-          subArr.push(entryKey);
-          subArr.push(entry[entryKey]);
-        }
-        arr.push(subArr);
-        entriesForKey.push(arr);
-      }
-      if (entriesForKey.length === 0) continue;
-      ret.push(entriesForKey);
-      toReturn.push(ret);
+      const entry = this.has(keys[i]) ? this.map.get(keys[i]) : null;
+      if (entry === null || entry.type !== "stream") continue;
+      const entries = entry.value.after(startIds[i], count);
+      if (entries.length === 0) continue;
+      toReturn.push([keys[i], entries.map((streamEntry) => [streamEntry.id, streamEntry.fields])]);
     }
 
     return toReturn;
@@ -212,19 +244,782 @@ class HashTable {
    */
   has(key) {
     if (!this.map.has(key)) return false;
-    if (this.map.get(key).expiry < Date.now()) {
-      this.map.delete(key);
+    const expiry = this.map.get(key).expiry;
+    if (expiry != null && expiry < Date.now()) {
+      this.deleteEntry(key);
+      this.expiredKeys++;
+      if (this.onExpire !== null) this.onExpire(key);
       return false;
     }
     return true;
   }
 
   /**
-   * Retrieves all the keys from the hash table.
-   * @returns {Array} An array containing all the keys in the hash table.
+   * Deletes a key from the hash table.
+   * @param {string} key - The key to delete.
+   * @returns {boolean} True if the key existed and was deleted, otherwise false.
+   */
+  delete(key) {
+    if (!this.has(key)) return false;
+    return this.deleteEntry(key);
+  }
+
+  /**
+   * Retrieves the expiry timestamp of a key.
+   * @param {string} key - The key.
+   * @returns {number|null} The UNIX time at which the key expires, in milliseconds,
+   * or null if the key does not exist or has no expiry.
+   */
+  getExpiry(key) {
+    if (!this.has(key)) return null;
+    return this.map.get(key).expiry ?? null;
+  }
+
+  /**
+   * Sets or removes the expiry timestamp of a key.
+   * @param {string} key - The key.
+   * @param {number|null} timestamp - The UNIX time at which the key expires, in milliseconds, or null to never expire.
+   * @returns {boolean} True if the key exists, otherwise false.
+   */
+  setExpiry(key, timestamp) {
+    if (!this.has(key)) return false;
+    this.setEntry(key, Object.assign(this.map.get(key), { expiry: timestamp }));
+    return true;
+  }
+
+  /**
+   * Retrieves the entry stored under a key, checking that it holds the expected type.
+   * @param {string} key - The key whose entry is to be retrieved.
+   * @param {string} type - The type the entry is expected to have.
+   * @returns {object|null} The entry if found and not expired, otherwise null.
+   * @throws {WrongTypeError} If the key holds a value of another type.
+   */
+  getEntryOfType(key, type) {
+    if (!this.has(key)) return null;
+    const entry = this.map.get(key);
+    if (entry.type !== type) throw new HashTable.WrongTypeError();
+    return entry;
+  }
+
+  /**
+   * Retrieves the entry stored under a key, creating an empty one of the given type if it is missing.
+   * @param {string} key - The key whose entry is to be retrieved.
+   * @param {string} type - The type the entry is expected to have.
+   * @param {Function} createValue - Factory for the empty value of a new entry.
+   * @returns {object} The existing or newly created entry.
+   * @throws {WrongTypeError} If the key holds a value of another type.
+   */
+  getOrCreateEntryOfType(key, type, createValue) {
+    let entry = this.getEntryOfType(key, type);
+    if (entry === null) {
+      entry = { value: createValue(), type };
+      this.setEntry(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Retrieves the value of a string.
+   * @param {string} key - The key of the string.
+   * @returns {Buffer|null} The value, or null if the key does not exist.
+   * @throws {WrongTypeError} If the key holds a value of another type.
+   */
+  stringGet(key) {
+    const entry = this.getEntryOfType(key, "string");
+    return entry === null ? null : entry.value;
+  }
+
+  /**
+   * Replaces the value of a string while keeping its expiry, creating the string if it does not exist.
+   * @param {string} key - The key of the string.
+   * @param {Buffer|string} value - The new value, as a Buffer or a binary string.
+   * @throws {WrongTypeError} If the key holds a value of another type.
+   */
+  stringUpdate(key, value) {
+    this.getOrCreateEntryOfType(key, "string", () => Buffer.alloc(0)).value = toBuffer(value);
+  }
+
+  /**
+   * Pushes elements to the head or tail of a list, creating the list if needed.
+   * @param {string} key - The key of the list.
+   * @param {Array<string>} elements - The elements to push, in the order they are pushed.
+   * @param {boolean} toHead - True to push to the head (LPUSH), false for the tail (RPUSH).
+   * @param {boolean} [onlyIfExists=false] - Only push if the list already exists (LPUSHX/RPUSHX).
+   * @returns {number} The length of the list after the push.
+   */
+  listPush(key, elements, toHead, onlyIfExists = false) {
+    if (onlyIfExists && this.getEntryOfType(key, "list") === null) return 0;
+    const list = this.getOrCreateEntryOfType(key, "list", () => new Deque()).value;
+    for (const element of elements) {
+      if (toHead) list.unshift(element);
+      else list.push(element);
+    }
+    return list.length;
+  }
+
+  /**
+   * Pops elements from the head or tail of a list, deleting the list once it is empty.
+   * @param {string} key - The key of the list.
+   * @param {boolean} fromHead - True to pop from the head (LPOP), false for the tail (RPOP).
+   * @param {number} count - The maximum number of elements to pop.
+   * @returns {Array<string>|null} The popped elements, or null if the list does not exist.
+   */
+  listPop(key, fromHead, count) {
+    const entry = this.getEntryOfType(key, "list");
+    if (entry === null) return null;
+    const popped = [];
+    while (popped.length < count && entry.value.length > 0) {
+      popped.push(fromHead ? entry.value.shift() : entry.value.pop());
+    }
+    if (entry.value.length === 0) this.deleteEntry(key);
+    return popped;
+  }
+
+  /**
+   * Retrieves the length of a list.
+   * @param {string} key - The key of the list.
+   * @returns {number} The length of the list, or 0 if it does not exist.
+   */
+  listLength(key) {
+    const entry = this.getEntryOfType(key, "list");
+    return entry === null ? 0 : entry.value.length;
+  }
+
+  /**
+   * Retrieves the elements of a list between two indexes, both inclusive.
+   * Negative indexes count from the tail of the list.
+   * @param {string} key - The key of the list.
+   * @param {number} start - The start index.
+   * @param {number} stop - The stop index.
+   * @returns {Array<string>} The elements within the range.
+   */
+  listRange(key, start, stop) {
+    const entry = this.getEntryOfType(key, "list");
+    if (entry === null) return [];
+    const [from, to] = HashTable.normalizeRange(start, stop, entry.value.length);
+    return entry.value.slice(from, to + 1);
+  }
+
+  /**
+   * Retrieves the element at an index of a list. Negative indexes count from the tail.
+   * @param {string} key - The key of the list.
+   * @param {number} index - The index of the element.
+   * @returns {string|null} The element, or null if the index is out of range.
+   */
+  listIndex(key, index) {
+    const entry = this.getEntryOfType(key, "list");
+    if (entry === null) return null;
+    if (index < 0) index += entry.value.length;
+    if (index < 0 || index >= entry.value.length) return null;
+    return entry.value.get(index);
+  }
+
+  /**
+   * Replaces the element at an index of a list. Negative indexes count from the tail.
+   * @param {string} key - The key of the list.
+   * @param {number} index - The index of the element.
+   * @param {string} element - The new element.
+   * @returns {boolean|null} True if replaced, false if the index is out of range, null if the list does not exist.
+   */
+  listSet(key, index, element) {
+    const entry = this.getEntryOfType(key, "list");
+    if (entry === null) return null;
+    if (index < 0) index += entry.value.length;
+    if (index < 0 || index >= entry.value.length) return false;
+    entry.value.set(index, element);
+    return true;
+  }
+
+  /**
+   * Inserts an element before or after the first occurrence of a pivot element.
+   * @param {string} key - The key of the list.
+   * @param {boolean} before - True to insert before the pivot, false to insert after it.
+   * @param {string} pivot - The element to insert next to.
+   * @param {string} element - The element to insert.
+   * @returns {number} The new length, -1 if the pivot was not found, or 0 if the list does not exist.
+   */
+  listInsert(key, before, pivot, element) {
+    const entry = this.getEntryOfType(key, "list");
+    if (entry === null) return 0;
+    const index = entry.value.indexOf(pivot);
+    if (index === -1) return -1;
+    entry.value.insert(before ? index : index + 1, element);
+    return entry.value.length;
+  }
+
+  /**
+   * Removes occurrences of an element from a list.
+   * A positive count removes from head to tail, a negative count from tail to head, and 0 removes all.
+   * @param {string} key - The key of the list.
+   * @param {number} count - The number of occurrences to remove.
+   * @param {string} element - The element to remove.
+   * @returns {number} The number of removed elements.
+   */
+  listRemove(key, count, element) {
+    const entry = this.getEntryOfType(key, "list");
+    if (entry === null) return 0;
+    const list = entry.value;
+    const length = list.length;
+    const limit = count === 0 ? length : Math.abs(count);
+    // The kept elements are compacted toward the end the scan starts from, then the rest is dropped.
+    let removed = 0;
+    if (count >= 0) {
+      let write = 0;
+      for (let read = 0; read < length; read++) {
+        const current = list.get(read);
+        if (removed < limit && current === element) removed++;
+        else list.set(write++, current);
+      }
+      while (list.length > write) list.pop();
+    } else {
+      let write = length - 1;
+      for (let read = length - 1; read >= 0; read--) {
+        const current = list.get(read);
+        if (removed < limit && current === element) removed++;
+        else list.set(write--, current);
+      }
+      while (list.length > length - 1 - write) list.shift();
+    }
+    if (list.length === 0) this.deleteEntry(key);
+    return removed;
+  }
+
+  /**
+   * Trims a list so that it only contains the elements between two indexes, both inclusive.
+   * @param {string} key - The key of the list.
+   * @param {number} start - The start index.
+   * @param {number} stop - The stop index.
+   */
+  listTrim(key, start, stop) {
+    const entry = this.getEntryOfType(key, "list");
+    if (entry === null) return;
+    const [from, to] = HashTable.normalizeRange(start, stop, entry.value.length);
+    const list = entry.value;
+    while (list.length > to + 1) list.pop();
+    for (let i = 0; i < from && list.length > 0; i++) list.shift();
+    if (entry.value.length === 0) this.deleteEntry(key);
+  }
+
+  /**
+   * Sets fields of a hash, creating the hash if needed.
+   * @param {string} key - The key of the hash.
+   * @param {Array<string>} fieldsAndValues - Alternating fields and values.
+   * @param {boolean} [onlyIfAbsent=false] - Only set fields that do not exist yet (HSETNX).
+   * @returns {number} The number of fields that were newly added.
+   */
+  hashSet(key, fieldsAndValues, onlyIfAbsent = false) {
+    const hash = this.getOrCreateEntryOfType(key, "hash", () => new Map()).value;
+    let added = 0;
+    for (let i = 0; i < fieldsAndValues.length; i += 2) {
+      const field = fieldsAndValues[i];
+      if (hash.has(field)) {
+        if (onlyIfAbsent) continue;
+      } else added++;
+      hash.set(field, fieldsAndValues[i + 1]);
+    }
+    if (hash.size === 0) this.deleteEntry(key);
+    return added;
+  }
+
+  /**
+   * Retrieves the value of a field of a hash.
+   * @param {string} key - The key of the hash.
+   * @param {string} field - The field to retrieve.
+   * @returns {string|null} The value, or null if the hash or the field does not exist.
+   */
+  hashGet(key, field) {
+    const entry = this.getEntryOfType(key, "hash");
+    if (entry === null || !entry.value.has(field)) return null;
+    return entry.value.get(field);
+  }
+
+  /**
+   * Retrieves all fields and values of a hash.
+   * @param {string} key - The key of the hash.
+   * @returns {Array<Array<string>>} An array of [field, value] pairs in insertion order.
+   */
+  hashGetAll(key) {
+    const entry = this.getEntryOfType(key, "hash");
+    if (entry === null) return [];
+    return [...entry.value.entries()];
+  }
+
+  /**
+   * Deletes fields from a hash, deleting the hash once it is empty.
+   * @param {string} key - The key of the hash.
+   * @param {Array<string>} fields - The fields to delete.
+   * @returns {number} The number of fields that were removed.
+   */
+  hashDelete(key, fields) {
+    const entry = this.getEntryOfType(key, "hash");
+    if (entry === null) return 0;
+    let removed = 0;
+    for (const field of fields) {
+      if (entry.value.delete(field)) removed++;
+    }
+    if (entry.value.size === 0) this.deleteEntry(key);
+    return removed;
+  }
+
+  /**
+   * Retrieves the number of fields of a hash.
+   * @param {string} key - The key of the hash.
+   * @returns {number} The number of fields, or 0 if the hash does not exist.
+   */
+  hashLength(key) {
+    const entry = this.getEntryOfType(key, "hash");
+    return entry === null ? 0 : entry.value.size;
+  }
+
+  /**
+   * Iterates over a hash using a cursor, returning up to `count` fields per call.
+   * The cursor is the position in the insertion order of the hash.
+   * @param {string} key - The key of the hash.
+   * @param {number} cursor - The cursor returned by the previous call, or 0 to start.
+   * @param {number} count - The number of fields to return.
+   * @returns {Array} The next cursor (0 once the iteration is complete) and an array of [field, value] pairs.
+   */
+  hashScan(key, cursor, count) {
+    const pairs = this.hashGetAll(key);
+    const page = pairs.slice(cursor, cursor + count);
+    const nextCursor = cursor + count >= pairs.length ? 0 : cursor + count;
+    return [nextCursor, page];
+  }
+
+  /**
+   * Adds members to a set, creating the set if needed.
+   * @param {string} key - The key of the set.
+   * @param {Array<string>} members - The members to add.
+   * @returns {number} The number of members that were newly added.
+   */
+  setAdd(key, members) {
+    const set = this.getOrCreateEntryOfType(key, "set", () => new Set()).value;
+    const sizeBefore = set.size;
+    for (const member of members) set.add(member);
+    return set.size - sizeBefore;
+  }
+
+  /**
+   * Removes members from a set, deleting the set once it is empty.
+   * @param {string} key - The key of the set.
+   * @param {Array<string>} members - The members to remove.
+   * @returns {number} The number of members that were removed.
+   */
+  setRemove(key, members) {
+    const entry = this.getEntryOfType(key, "set");
+    if (entry === null) return 0;
+    let removed = 0;
+    for (const member of members) {
+      if (entry.value.delete(member)) removed++;
+    }
+    if (entry.value.size === 0) this.deleteEntry(key);
+    return removed;
+  }
+
+  /**
+   * Retrieves the members of a set.
+   * @param {string} key - The key of the set.
+   * @returns {Set<string>} The members of the set; empty if it does not exist.
+   */
+  setMembers(key) {
+    const entry = this.getEntryOfType(key, "set");
+    return entry === null ? new Set() : entry.value;
+  }
+
+  /**
+   * Retrieves the number of members of a set.
+   * @param {string} key - The key of the set.
+   * @returns {number} The number of members, or 0 if the set does not exist.
+   */
+  setSize(key) {
+    return this.setMembers(key).size;
+  }
+
+  /**
+   * Computes the intersection, union or difference of sets.
+   * The difference is taken between the first set and all the following ones.
+   * @param {string} operation - One of "inter", "union" or "diff".
+   * @param {Array<string>} keys - The keys of the sets.
+   * @returns {Set<string>} The resulting members.
+   */
+  setCombine(operation, keys) {
+    const sets = keys.map((key) => this.setMembers(key));
+    const result = new Set(sets[0]);
+    for (const set of sets.slice(1)) {
+      for (const member of result) {
+        const inSet = set.has(member);
+        if ((operation === "inter" && !inSet) || (operation === "diff" && inSet)) {
+          result.delete(member);
+        }
+      }
+      if (operation === "union") {
+        for (const member of set) result.add(member);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Stores members as a set under a key, replacing any existing value.
+   * An empty set deletes the key instead.
+   * @param {string} key - The destination key.
+   * @param {Set<string>} members - The members to store.
+   * @returns {number} The number of members stored.
+   */
+  setStore(key, members) {
+    this.deleteEntry(key);
+    if (members.size > 0) this.insertKeyWithTimeStamp(key, members, null, "set");
+    return members.size;
+  }
+
+  /**
+   * Picks random members of a set without removing them.
+   * A positive count returns distinct members, a negative one may return the same member several times.
+   * @param {string} key - The key of the set.
+   * @param {number} count - The number of members to pick.
+   * @returns {Array<string>} The picked members.
+   */
+  setRandomMembers(key, count) {
+    const members = this.setMembers(key);
+    if (members.size === 0) return [];
+    // Small samples are picked while iterating, copying the set only pays off for a large share of it.
+    if (Math.abs(count) * 2 < members.size) {
+      return count < 0
+        ? HashTable.sampleWithReplacement(members, members.size, -count)
+        : HashTable.sampleWithoutReplacement(members, count);
+    }
+    const copy = [...members];
+    if (count < 0) {
+      return Array.from(
+        { length: -count },
+        () => copy[Math.floor(Math.random() * copy.length)]
+      );
+    }
+    return HashTable.shuffle(copy, count).slice(0, count);
+  }
+
+  /**
+   * Removes and returns random members of a set, deleting the set once it is empty.
+   * @param {string} key - The key of the set.
+   * @param {number} count - The number of members to pop.
+   * @returns {Array<string>} The popped members.
+   */
+  setPop(key, count) {
+    const popped = this.setRandomMembers(key, count);
+    if (popped.length > 0) this.setRemove(key, popped);
+    return popped;
+  }
+
+  /**
+   * Retrieves a sorted set.
+   * @param {string} key - The key of the sorted set.
+   * @returns {SortedSet|null} The sorted set, or null if it does not exist.
+   */
+  sortedSetGet(key) {
+    const entry = this.getEntryOfType(key, "zset");
+    return entry === null ? null : entry.value;
+  }
+
+  /**
+   * Retrieves a sorted set, creating an empty one if it does not exist.
+   * Callers that may leave the sorted set empty should call {@link HashTable#sortedSetRemoveIfEmpty}.
+   * @param {string} key - The key of the sorted set.
+   * @returns {SortedSet} The sorted set.
+   */
+  sortedSetGetOrCreate(key) {
+    return this.getOrCreateEntryOfType(key, "zset", () => new SortedSet()).value;
+  }
+
+  /**
+   * Deletes a sorted set if it has no members left.
+   * @param {string} key - The key of the sorted set.
+   */
+  sortedSetRemoveIfEmpty(key) {
+    const sortedSet = this.sortedSetGet(key);
+    if (sortedSet !== null && sortedSet.size === 0) this.deleteEntry(key);
+  }
+
+  /**
+   * Stores a sorted set under a key, replacing any existing value.
+   * An empty sorted set deletes the key instead.
+   * @param {string} key - The destination key.
+   * @param {SortedSet} sortedSet - The sorted set to store.
+   * @returns {number} The number of members stored.
+   */
+  sortedSetStore(key, sortedSet) {
+    this.deleteEntry(key);
+    if (sortedSet.size > 0) {
+      this.insertKeyWithTimeStamp(key, sortedSet, null, "zset");
+    }
+    return sortedSet.size;
+  }
+
+  /**
+   * Computes the union or intersection of sorted sets (and plain sets, whose members score 1).
+   * @param {string} operation - Either "union" or "inter".
+   * @param {Array<string>} keys - The keys of the input sets.
+   * @param {Array<number>} weights - The multiplication factor applied to the scores of each input.
+   * @param {string} aggregate - How scores of the same member are combined: "sum", "min" or "max".
+   * @returns {SortedSet} The resulting sorted set.
+   * @throws {WrongTypeError} If an input key holds neither a set nor a sorted set.
+   */
+  sortedSetCombine(operation, keys, weights, aggregate) {
+    const inputs = keys.map((key) => {
+      if (!this.has(key)) return new Map();
+      const entry = this.map.get(key);
+      if (entry.type === "zset") return entry.value.scores;
+      if (entry.type === "set") return new Map([...entry.value].map((m) => [m, 1]));
+      throw new HashTable.WrongTypeError();
+    });
+
+    const weigh = (score, i) => {
+      const weighted = score * weights[i];
+      return Number.isNaN(weighted) ? 0 : weighted;
+    };
+    const combine = (a, b) => {
+      if (aggregate === "min") return Math.min(a, b);
+      if (aggregate === "max") return Math.max(a, b);
+      const sum = a + b;
+      return Number.isNaN(sum) ? 0 : sum;
+    };
+
+    const scores = new Map();
+    inputs.forEach((input, i) => {
+      for (const [member, score] of input) {
+        if (operation === "inter" && i > 0 && !scores.has(member)) continue;
+        const weighted = weigh(score, i);
+        scores.set(
+          member,
+          scores.has(member) ? combine(scores.get(member), weighted) : weighted
+        );
+      }
+      if (operation === "inter" && i > 0) {
+        for (const member of scores.keys()) {
+          if (!input.has(member)) scores.delete(member);
+        }
+      }
+    });
+
+    const result = new SortedSet();
+    for (const [member, score] of scores) result.add(member, score);
+    return result;
+  }
+
+  /**
+   * Shuffles an array in place using the Fisher-Yates algorithm, stopping once its first elements are
+   * picked so that sampling a few elements of a large array doesn't cost a full shuffle.
+   * @param {Array} arr - The array to shuffle.
+   * @param {number} [count=arr.length] - The number of leading elements to pick at random.
+   * @returns {Array} The array, whose first count elements are a uniformly random sample of it.
+   */
+  static shuffle(arr, count = arr.length) {
+    for (let i = 0; i < Math.min(count, arr.length - 1); i++) {
+      const j = i + Math.floor(Math.random() * (arr.length - i));
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
+
+  /**
+   * Picks distinct elements of an iterable at random in a single pass, using reservoir sampling.
+   * @param {Iterable<any>} elements - The elements.
+   * @param {number} count - The number of elements to pick.
+   * @returns {Array<any>} The picked elements, in random order; all of them if there are fewer than count.
+   */
+  static sampleWithoutReplacement(elements, count) {
+    const sample = [];
+    let seen = 0;
+    for (const element of elements) {
+      if (sample.length < count) {
+        sample.push(element);
+      } else {
+        const j = Math.floor(Math.random() * (seen + 1));
+        if (j < count) sample[j] = element;
+      }
+      seen++;
+    }
+    return HashTable.shuffle(sample);
+  }
+
+  /**
+   * Picks elements of an iterable at random, possibly several times each, by drawing their ranks
+   * and iterating only up to the highest rank drawn.
+   * @param {Iterable<any>} elements - The elements.
+   * @param {number} size - The number of elements.
+   * @param {number} count - The number of elements to pick.
+   * @returns {Array<any>} The picked elements, in the order their ranks were drawn.
+   */
+  static sampleWithReplacement(elements, size, count) {
+    const draws = Array.from({ length: count }, (_, i) => [Math.floor(Math.random() * size), i]);
+    draws.sort((a, b) => a[0] - b[0]);
+    const sample = new Array(count);
+    let rank = 0;
+    let next = 0;
+    for (const element of elements) {
+      while (next < count && draws[next][0] === rank) sample[draws[next++][1]] = element;
+      if (next === count) break;
+      rank++;
+    }
+    return sample;
+  }
+
+  /**
+   * Converts a Redis-style inclusive index range, where negative indexes count from the end,
+   * into non-negative bounds clamped to the given length.
+   * @param {number} start - The start index.
+   * @param {number} stop - The stop index.
+   * @param {number} length - The length of the collection.
+   * @returns {Array<number>} The normalized [start, stop] pair; start > stop when the range is empty.
+   */
+  static normalizeRange(start, stop, length) {
+    if (start < 0) start = Math.max(start + length, 0);
+    if (stop < 0) stop = Math.max(stop + length, -1);
+    if (stop >= length) stop = length - 1;
+    return [start, stop];
+  }
+
+  /**
+   * Moves a key, along with its expiry, to another hash table.
+   * @param {string} key - The key to move.
+   * @param {HashTable} target - The hash table to move the key to.
+   * @returns {boolean} True if the key was moved, false if it does not exist or already exists in the target.
+   */
+  move(key, target) {
+    if (!this.has(key) || target.has(key)) return false;
+    target.setEntry(key, this.map.get(key));
+    this.deleteEntry(key);
+    return true;
+  }
+
+  /**
+   * Renames a key, keeping its value and expiry and overwriting any value stored under the new name.
+   * @param {string} key - The key to rename.
+   * @param {string} newKey - The new name of the key.
+   * @returns {boolean} True if the key was renamed, false if it does not exist.
+   */
+  rename(key, newKey) {
+    if (!this.has(key)) return false;
+    const entry = this.map.get(key);
+    this.deleteEntry(key);
+    this.setEntry(newKey, entry);
+    return true;
+  }
+
+  /**
+   * Copies the value and expiry of a key to another key, possibly in another hash table.
+   * @param {string} key - The key to copy.
+   * @param {HashTable} target - The hash table to copy the key to.
+   * @param {string} newKey - The key to copy to.
+   * @param {boolean} [replace=false] - Whether to overwrite the key to copy to if it exists.
+   * @returns {boolean} True if the key was copied, false if it does not exist or the key to copy to exists.
+   */
+  copy(key, target, newKey, replace = false) {
+    if (!this.has(key) || (!replace && target.has(newKey))) return false;
+    const { value, expiry, type } = this.map.get(key);
+    target.setEntry(newKey, { value: cloneValue(type, value), expiry, type });
+    return true;
+  }
+
+  /**
+   * Iterates over the keys using a cursor that stays valid while keys are added and removed.
+   * Keys present for the whole iteration are returned at least once; expired keys are skipped.
+   * @param {number} cursor - The cursor returned by the previous call, or 0 to start.
+   * @param {number} count - The number of keys to aim for; calls may return more or fewer.
+   * @returns {Array} The next cursor (0 once the iteration is complete) and an array of keys.
+   */
+  scan(cursor, count) {
+    const [nextCursor, keys] = this.map.scan(cursor, count);
+    return [nextCursor, keys.filter((key) => this.has(key))];
+  }
+
+  /**
+   * Picks a random key that hasn't expired.
+   * @returns {string|null} The key, or null if the hash table is empty.
+   */
+  randomKey() {
+    // Every expired key picked is removed, so this ends even if all the keys have expired.
+    while (this.map.size > 0) {
+      const key = this.map.randomKey();
+      if (this.has(key)) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Removes every key from the hash table.
+   */
+  clear() {
+    this.map.clear();
+    this.volatileKeys.clear();
+    this.averageTtl = 0;
+  }
+
+  /**
+   * The number of keys in the hash table, including expired keys that haven't been removed yet.
+   * @type {number}
+   */
+  get size() {
+    return this.map.size;
+  }
+
+  /**
+   * Iterates over the keys that haven't expired, along with their entries.
+   * @returns {Iterator<Array>} An iterator of [key, entry] pairs, where entry holds the value, type and expiry.
+   */
+  *entries() {
+    for (const key of [...this.map.keys()]) {
+      if (this.has(key)) yield [key, this.map.get(key)];
+    }
+  }
+
+  /**
+   * Samples keys with an expiry and removes the ones that have expired. Each call resumes the walk
+   * over the keys with an expiry where the previous one stopped, so that repeated calls eventually
+   * visit every one of them, however many keys don't expire. The time to live of the sampled keys that
+   * haven't expired is folded into the running estimate of the average.
+   * @param {number} count - The maximum number of keys with an expiry to sample.
+   * @returns {{sampled: number, expired: string[]}} The number of keys sampled, and the expired keys that were removed.
+   */
+  removeExpiredSample(count) {
+    const now = Date.now();
+    const expired = [];
+    let sampled = 0;
+    let ttlSum = 0;
+    let ttlCount = 0;
+    while (sampled < count) {
+      if (this.expiryCursor === null) this.expiryCursor = this.volatileKeys.values();
+      const next = this.expiryCursor.next();
+      if (next.done) {
+        this.expiryCursor = null;
+        break;
+      }
+      const key = next.value;
+      sampled++;
+      if (this.map.get(key).expiry < now) {
+        this.deleteEntry(key);
+        this.expiredKeys++;
+        expired.push(key);
+      } else {
+        ttlSum += this.map.get(key).expiry - now;
+        ttlCount++;
+      }
+    }
+    if (this.volatileKeys.size === 0) {
+      this.averageTtl = 0;
+    } else if (ttlCount > 0) {
+      // Each sample only weighs a little, so that the estimate doesn't swing with the keys sampled.
+      const sampleTtl = ttlSum / ttlCount;
+      this.averageTtl = this.averageTtl === 0 ? sampleTtl : (this.averageTtl / 50) * 49 + sampleTtl / 50;
+    }
+    return { sampled, expired };
+  }
+
+  /**
+   * Retrieves all the keys that haven't expired from the hash table.
+   * @returns {Array} An array containing all the live keys in the hash table.
    */
   getAllKeys() {
-    return [...this.map.keys()];
+    return [...this.map.keys()].filter((key) => this.has(key));
   }
 }
 
@@ -0,0 +1,144 @@
+/**
+ * Reverses the bits of a 32-bit unsigned integer.
+ * @param {number} value - The integer to reverse.
+ * @returns {number} The reversed integer.
+ */
+function reverseBits(value) {
+  value = ((value >>> 1) & 0x55555555) | ((value & 0x55555555) << 1);
+  value = ((value >>> 2) & 0x33333333) | ((value & 0x33333333) << 2);
+  value = ((value >>> 4) & 0x0f0f0f0f) | ((value & 0x0f0f0f0f) << 4);
+  value = ((value >>> 8) & 0x00ff00ff) | ((value & 0x00ff00ff) << 8);
+  return ((value >>> 16) | (value << 16)) >>> 0;
+}
+
+/**
+ * A Map that also groups its keys into buckets by hash, so that they can be iterated with a cursor
+ * that stays valid while keys are added and removed, and sampled at random.
+ *
+ * The number of buckets is a power of two that grows and shrinks with the map. As in Redis, the cursor
+ * is a bucket index whose bits are incremented from the most significant one, so that buckets that
+ * split or merge when the map is resized are never visited twice in a row or skipped. Every key
+ * present for the whole iteration is returned at least once, though some may be returned more than once.
+ */
+class KeyspaceMap extends Map {
+  static MIN_BUCKETS = 4;
+
+  /**
+   * Constructs a new, empty KeyspaceMap instance.
+   */
+  constructor() {
+    super();
+    this.buckets = KeyspaceMap.createBuckets(KeyspaceMap.MIN_BUCKETS);
+  }
+
+  /**
+   * Creates empty buckets.
+   * @param {number} count - The number of buckets, a power of two.
+   * @returns {Array<Set<string>>} The buckets.
+   */
+  static createBuckets(count) {
+    return Array.from({ length: count }, () => new Set());
+  }
+
+  /**
+   * Hashes a key with 32-bit FNV-1a.
+   * @param {string} key - The key to hash.
+   * @returns {number} The hash, as a 32-bit unsigned integer.
+   */
+  static hash(key) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+      hash ^= key.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Retrieves the bucket a key belongs to.
+   * @param {string} key - The key.
+   * @returns {Set<string>} The bucket.
+   */
+  bucketOf(key) {
+    return this.buckets[KeyspaceMap.hash(key) & (this.buckets.length - 1)];
+  }
+
+  /**
+   * Sets the value of a key, growing the buckets when there are more keys than buckets.
+   * @param {string} key - The key.
+   * @param {any} value - The value.
+   * @returns {KeyspaceMap} The map.
+   */
+  set(key, value) {
+    if (super.has(key)) return super.set(key, value);
+    super.set(key, value);
+    this.bucketOf(key).add(key);
+    if (this.size > this.buckets.length) this.resize(this.buckets.length * 2);
+    return this;
+  }
+
+  /**
+   * Deletes a key, shrinking the buckets when fewer than one in eight is used.
+   * @param {string} key - The key.
+   * @returns {boolean} True if the key existed and was deleted, otherwise false.
+   */
+  delete(key) {
+    if (!super.delete(key)) return false;
+    this.bucketOf(key).delete(key);
+    if (this.buckets.length > KeyspaceMap.MIN_BUCKETS && this.size * 8 < this.buckets.length) {
+      this.resize(this.buckets.length / 2);
+    }
+    return true;
+  }
+
+  /**
+   * Removes every key.
+   */
+  clear() {
+    super.clear();
+    this.buckets = KeyspaceMap.createBuckets(KeyspaceMap.MIN_BUCKETS);
+  }
+
+  /**
+   * Redistributes the keys into a new number of buckets.
+   * @param {number} count - The number of buckets, a power of two.
+   */
+  resize(count) {
+    const buckets = KeyspaceMap.createBuckets(count);
+    for (const key of super.keys()) buckets[KeyspaceMap.hash(key) & (count - 1)].add(key);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Iterates over the keys with a cursor, visiting whole buckets until at least `count` keys are found.
+   * @param {number} cursor - The cursor returned by the previous call, or 0 to start.
+   * @param {number} count - The number of keys to aim for.
+   * @returns {Array} The next cursor (0 once the iteration is complete) and an array of keys.
+   */
+  scan(cursor, count) {
+    const mask = this.buckets.length - 1;
+    const keys = [];
+    do {
+      keys.push(...this.buckets[cursor & mask]);
+      // Increment the bits covered by the mask, starting from the most significant one.
+      cursor = reverseBits((reverseBits((cursor | ~mask) >>> 0) + 1) >>> 0);
+    } while (cursor !== 0 && keys.length < count);
+    return [cursor, keys];
+  }
+
+  /**
+   * Picks a random key.
+   * @returns {string|null} The key, or null if the map is empty.
+   */
+  randomKey() {
+    if (this.size === 0) return null;
+    let bucket;
+    do {
+      bucket = this.buckets[Math.floor(Math.random() * this.buckets.length)];
+    } while (bucket.size === 0);
+    const keys = [...bucket];
+    return keys[Math.floor(Math.random() * keys.length)];
+  }
+}
+
+module.exports = KeyspaceMap;
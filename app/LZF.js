@@ -0,0 +1,53 @@
+/**
+ * A utility class for decompressing LZF data, the compression Redis applies to long strings in RDB files.
+ *
+ * Compressed data is a sequence of chunks, each starting with a control byte:
+ *  - `000LLLLL` is followed by a literal run of L + 1 bytes.
+ *  - `LLLooooo oooooooo` copies L + 2 bytes starting o + 1 bytes back in the output.
+ *    When L is 7, an extra byte follows the control byte and is added to L.
+ */
+class LZF {
+  /**
+   * Decompresses LZF data.
+   * @param {Buffer} input - The compressed data.
+   * @param {number} length - The length of the decompressed data.
+   * @returns {Buffer} The decompressed data.
+   * @throws {Error} If the data is corrupt or doesn't decompress to the expected length.
+   */
+  static decompress(input, length) {
+    const output = Buffer.alloc(length);
+    let ip = 0;
+    let op = 0;
+    while (ip < input.length) {
+      const control = input[ip++];
+
+      if (control < 32) {
+        const runLength = control + 1;
+        if (ip + runLength > input.length || op + runLength > length) {
+          throw new Error("Invalid LZF data: literal run out of bounds");
+        }
+        input.copy(output, op, ip, ip + runLength);
+        ip += runLength;
+        op += runLength;
+        continue;
+      }
+
+      let backrefLength = control >> 5;
+      if (backrefLength === 7) backrefLength += input[ip++];
+      backrefLength += 2;
+      let ref = op - ((control & 0x1f) << 8) - input[ip++] - 1;
+      if (ref < 0 || op + backrefLength > length) {
+        throw new Error("Invalid LZF data: back reference out of bounds");
+      }
+      // Copied byte by byte, as the reference may overlap the bytes being written.
+      for (let i = 0; i < backrefLength; i++) output[op++] = output[ref++];
+    }
+
+    if (op !== length) {
+      throw new Error(`Invalid LZF data: expected ${length} bytes, got ${op}`);
+    }
+    return output;
+  }
+}
+
+module.exports = LZF;
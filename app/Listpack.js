@@ -0,0 +1,200 @@
+/**
+ * A utility class for encoding and decoding listpacks, the compact serialization Redis uses
+ * for small collections and for the nodes of streams.
+ *
+ * A listpack is laid out as:
+ *   <total-bytes: uint32 LE> <num-elements: uint16 LE> <element> ... <end: 0xFF>
+ * where each element is its encoding and data followed by a back-length, which lets the
+ * listpack be traversed from the tail.
+ */
+class Listpack {
+  static HEADER_SIZE = 6;
+  static END = 0xff;
+
+  /**
+   * Encodes elements into a listpack.
+   * Integers, and strings holding a canonical integer, use the integer encodings.
+   * @param {Array<string|number|bigint>} elements - The elements to encode.
+   * @returns {Buffer} The listpack.
+   */
+  static encode(elements) {
+    const parts = [];
+    for (const element of elements) {
+      const entry = Listpack.encodeElement(element);
+      parts.push(entry, Listpack.encodeBackLength(entry.length));
+    }
+    const body = Buffer.concat(parts);
+    const header = Buffer.alloc(Listpack.HEADER_SIZE);
+    header.writeUInt32LE(Listpack.HEADER_SIZE + body.length + 1, 0);
+    header.writeUInt16LE(Math.min(elements.length, 0xffff), 4);
+    return Buffer.concat([header, body, Buffer.from([Listpack.END])]);
+  }
+
+  /**
+   * Decodes a listpack into its elements.
+   * @param {Buffer} buffer - The listpack.
+   * @returns {Array<string|number|bigint>} The elements; integer encodings are returned as numbers,
+   * or as bigints when they don't fit in a safe integer.
+   * @throws {Error} If the listpack is malformed.
+   */
+  static decode(buffer) {
+    const elements = [];
+    let cursor = Listpack.HEADER_SIZE;
+    while (cursor < buffer.length && buffer[cursor] !== Listpack.END) {
+      const { value, size } = Listpack.decodeElement(buffer, cursor);
+      elements.push(value);
+      cursor += size + Listpack.backLengthSize(size);
+    }
+    if (buffer[cursor] !== Listpack.END) {
+      throw new Error("Listpack is missing its end marker");
+    }
+    return elements;
+  }
+
+  /**
+   * Encodes a single element, without its back-length.
+   * @param {string|number|bigint} element - The element to encode.
+   * @returns {Buffer} The encoding and data of the element.
+   */
+  static encodeElement(element) {
+    let num = null;
+    if (typeof element === "bigint") num = element;
+    else if (typeof element === "number") num = BigInt(element);
+    else if (/^(0|-?[1-9]\d{0,18})$/.test(element)) num = BigInt(element);
+    if (num !== null && num >= -(2n ** 63n) && num < 2n ** 63n) {
+      return Listpack.encodeInteger(num);
+    }
+
+    const data = Buffer.from(`${element}`, "latin1");
+    if (data.length < 64) {
+      return Buffer.concat([Buffer.from([0x80 | data.length]), data]);
+    }
+    if (data.length < 4096) {
+      return Buffer.concat([
+        Buffer.from([0xe0 | (data.length >> 8), data.length & 0xff]),
+        data,
+      ]);
+    }
+    const header = Buffer.alloc(5);
+    header[0] = 0xf0;
+    header.writeUInt32LE(data.length, 1);
+    return Buffer.concat([header, data]);
+  }
+
+  /**
+   * Encodes an integer using the smallest integer encoding that fits it.
+   * @param {bigint} num - The integer to encode.
+   * @returns {Buffer} The encoding and data of the integer.
+   */
+  static encodeInteger(num) {
+    if (num >= 0n && num <= 127n) return Buffer.from([Number(num)]);
+    if (num >= -4096n && num <= 4095n) {
+      const unsigned = Number(num < 0n ? num + 8192n : num);
+      return Buffer.from([0xc0 | (unsigned >> 8), unsigned & 0xff]);
+    }
+    let buffer;
+    if (num >= -32768n && num <= 32767n) {
+      buffer = Buffer.alloc(3);
+      buffer[0] = 0xf1;
+      buffer.writeInt16LE(Number(num), 1);
+    } else if (num >= -8388608n && num <= 8388607n) {
+      buffer = Buffer.alloc(4);
+      buffer[0] = 0xf2;
+      buffer.writeIntLE(Number(num), 1, 3);
+    } else if (num >= -2147483648n && num <= 2147483647n) {
+      buffer = Buffer.alloc(5);
+      buffer[0] = 0xf3;
+      buffer.writeInt32LE(Number(num), 1);
+    } else {
+      buffer = Buffer.alloc(9);
+      buffer[0] = 0xf4;
+      buffer.writeBigInt64LE(num, 1);
+    }
+    return buffer;
+  }
+
+  /**
+   * Decodes the element starting at a position.
+   * @param {Buffer} buffer - The listpack.
+   * @param {number} cursor - The position of the element.
+   * @returns {{value: string|number|bigint, size: number}} The element and the size of its encoding and data.
+   * @throws {Error} If the encoding is unknown.
+   */
+  static decodeElement(buffer, cursor) {
+    const byte = buffer[cursor];
+    if ((byte & 0x80) === 0) return { value: byte, size: 1 };
+    if ((byte & 0xc0) === 0x80) {
+      const length = byte & 0x3f;
+      return {
+        value: buffer.toString("latin1", cursor + 1, cursor + 1 + length),
+        size: 1 + length,
+      };
+    }
+    if ((byte & 0xe0) === 0xc0) {
+      let value = ((byte & 0x1f) << 8) | buffer[cursor + 1];
+      if (value >= 4096) value -= 8192;
+      return { value, size: 2 };
+    }
+    if ((byte & 0xf0) === 0xe0) {
+      const length = ((byte & 0x0f) << 8) | buffer[cursor + 1];
+      return {
+        value: buffer.toString("latin1", cursor + 2, cursor + 2 + length),
+        size: 2 + length,
+      };
+    }
+    switch (byte) {
+      case 0xf0: {
+        const length = buffer.readUInt32LE(cursor + 1);
+        return {
+          value: buffer.toString("latin1", cursor + 5, cursor + 5 + length),
+          size: 5 + length,
+        };
+      }
+      case 0xf1:
+        return { value: buffer.readInt16LE(cursor + 1), size: 3 };
+      case 0xf2:
+        return { value: buffer.readIntLE(cursor + 1, 3), size: 4 };
+      case 0xf3:
+        return { value: buffer.readInt32LE(cursor + 1), size: 5 };
+      case 0xf4: {
+        const value = buffer.readBigInt64LE(cursor + 1);
+        const safe = value >= BigInt(Number.MIN_SAFE_INTEGER) &&
+          value <= BigInt(Number.MAX_SAFE_INTEGER);
+        return { value: safe ? Number(value) : value, size: 9 };
+      }
+    }
+    throw new Error(`Unknown listpack encoding: ${byte}`);
+  }
+
+  /**
+   * Encodes the back-length of an element, the size of its encoding and data
+   * stored in 7-bit groups so that it can be read from right to left.
+   * @param {number} size - The size of the encoding and data of the element.
+   * @returns {Buffer} The back-length.
+   */
+  static encodeBackLength(size) {
+    const length = Listpack.backLengthSize(size);
+    const bytes = Buffer.alloc(length);
+    for (let i = length - 1; i >= 0; i--) {
+      // Every byte but the leftmost one has its high bit set to signal that more bytes follow.
+      bytes[i] = (size & 0x7f) | (i > 0 ? 0x80 : 0);
+      size = Math.floor(size / 128);
+    }
+    return bytes;
+  }
+
+  /**
+   * Computes the number of bytes used by the back-length of an element.
+   * @param {number} size - The size of the encoding and data of the element.
+   * @returns {number} The number of bytes of the back-length.
+   */
+  static backLengthSize(size) {
+    if (size <= 127) return 1;
+    if (size < 16383) return 2;
+    if (size < 2097151) return 3;
+    if (size < 268435455) return 4;
+    return 5;
+  }
+}
+
+module.exports = Listpack;
@@ -1,10 +1,20 @@
 const net = require("net");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const Encoder = require("./Encoder");
 const RequestParser = require("./RequestParser");
+const RequestBuffer = require("./RequestBuffer");
 const HashTable = require("./HashTable");
 const RDBParser = require("./RDBParser");
+const RDBWriter = require("./RDBWriter");
+const GlobMatcher = require("./GlobMatcher");
+const AppendOnlyFile = require("./AppendOnlyFile");
+const BlockingRegistry = require("./BlockingRegistry");
+const ReplicationBacklog = require("./ReplicationBacklog");
+const SetOptions = require("./SetOptions");
+const SortedSet = require("./SortedSet");
+const Stream = require("./Stream");
 
 /**
  * Helper function to generate a unique identifier for a socket based on its address and port.
@@ -15,10 +25,265 @@ function getUid(socket) {
   return `${socket.remoteAddress}:${socket.remotePort}`;
 }
 
+/**
+ * Parses a command argument as an integer.
+ * @param {string} value - The argument to parse.
+ * @returns {number|null} The parsed integer, or null if the argument is not a valid integer.
+ */
+function parseInteger(value) {
+  if (!/^-?\d+$/.test(value)) return null;
+  const num = Number(value);
+  if (!Number.isSafeInteger(num)) return null;
+  return num;
+}
+
+/**
+ * Helper function to build the error returned when a command receives the wrong number of arguments.
+ * @param {string} command - The name of the command.
+ * @returns {string} Encoded error message.
+ */
+function wrongNumberOfArgs(command) {
+  return Encoder.createSimpleError(
+    `ERR wrong number of arguments for '${command}' command`
+  );
+}
+
+/**
+ * Helper function to build the error returned for a command the server doesn't know.
+ * @param {string[]} args - The command name followed by its arguments.
+ * @returns {string} Encoded error message.
+ */
+function unknownCommand(args) {
+  return Encoder.createSimpleError(
+    `ERR unknown command '${args[0]}', with args beginning with: ` +
+      args.slice(1).map((arg) => `'${arg}' `).join("")
+  );
+}
+
+/**
+ * Helper function to check that a command exists and has a valid number of arguments, before
+ * queuing it in a transaction.
+ * @param {string[]} args - The command name followed by its arguments.
+ * @returns {string|null} Encoded error message, or null if the command can be queued.
+ */
+function checkCommand(args) {
+  const command = args[0].toLowerCase();
+  const arity = COMMAND_ARITY[command];
+  if (arity === undefined) return unknownCommand(args);
+  if (arity >= 0 ? args.length !== arity : args.length < -arity) return wrongNumberOfArgs(command);
+  return null;
+}
+
+/**
+ * Parses a command argument as a signed 64-bit integer.
+ * @param {string} value - The argument to parse.
+ * @returns {bigint|null} The parsed integer, or null if the argument is not a valid 64-bit integer.
+ */
+function parseInt64(value) {
+  if (!/^-?\d+$/.test(value)) return null;
+  const num = BigInt(value);
+  if (num < INT64_MIN || num > INT64_MAX) return null;
+  return num;
+}
+
+/**
+ * Parses a command argument as a finite floating point number.
+ * @param {string} value - The argument to parse.
+ * @returns {number|null} The parsed number, or null if the argument is not a valid float.
+ */
+function parseFloatArg(value) {
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value)) return null;
+  const num = Number(value);
+  if (!Number.isFinite(num)) return null;
+  return num;
+}
+
+/**
+ * Parses a score range bound such as "1.5", "(1.5" or "-inf".
+ * @param {string} value - The argument to parse.
+ * @returns {{value: number, exclusive: boolean}|null} The parsed bound, or null if it is invalid.
+ */
+function parseScoreBound(value) {
+  const exclusive = value.startsWith("(");
+  const score = SortedSet.parseScore(exclusive ? value.slice(1) : value);
+  if (score === null) return null;
+  return { value: score, exclusive };
+}
+
+/**
+ * Parses a lexicographical range bound such as "[a", "(a", "-" or "+".
+ * Both "-" and "+" parse to an unbounded value; callers handle "+" as a minimum and "-" as a maximum.
+ * @param {string} value - The argument to parse.
+ * @returns {{value: string|null, exclusive: boolean}|null} The parsed bound, or null if it is invalid.
+ */
+function parseLexBound(value) {
+  if (value === "-" || value === "+") return { value: null, exclusive: false };
+  if (value.startsWith("[")) return { value: value.slice(1), exclusive: false };
+  if (value.startsWith("(")) return { value: value.slice(1), exclusive: true };
+  return null;
+}
+
+/**
+ * Formats a sorted set score the way Redis replies with it.
+ * @param {number} score - The score to format.
+ * @returns {string} The formatted score.
+ */
+function formatScore(score) {
+  if (score === Infinity) return "inf";
+  if (score === -Infinity) return "-inf";
+  return `${score}`;
+}
+
+/**
+ * Parses a memory amount the way configuration options are given, such as "512mb".
+ * The k, m and g units are powers of 1000, and kb, mb and gb powers of 1024.
+ * @param {string} value - The amount, in bytes unless followed by a unit.
+ * @returns {number|null} The amount in bytes, or null if it is not valid.
+ */
+function parseMemory(value) {
+  const match = /^(\d+)(b|k|kb|m|mb|g|gb)?$/i.exec(value);
+  if (match === null) return null;
+  const units = { b: 1, k: 1000, kb: 1024, m: 1000 ** 2, mb: 1024 ** 2, g: 1000 ** 3, gb: 1024 ** 3 };
+  const bytes = Number(match[1]) * units[(match[2] ?? "b").toLowerCase()];
+  return Number.isSafeInteger(bytes) ? bytes : null;
+}
+
+/**
+ * Encodes a command as a RESP array of bulk strings, as it would be sent by a client.
+ * @param {Array<string|Buffer>} args - The command name followed by its arguments.
+ * @returns {string} The encoded command.
+ */
+function encodeCommand(args) {
+  return Encoder.createArray(args.map((arg) => Encoder.createBulkString(arg)));
+}
+
+/**
+ * Encodes the XCLAIM command that gives a pending entry of a consumer group to its consumer, with its
+ * delivery time and count, so that replicas and the append-only file restore it as is.
+ * An entry that was deleted from the stream is removed from the pending entries instead.
+ * @param {string} key - The key of the stream.
+ * @param {string} group - The name of the group.
+ * @param {object} nack - The pending entry.
+ * @param {string} lastId - The last delivered ID of the group.
+ * @returns {string} The encoded command.
+ */
+function encodeXclaim(key, group, nack, lastId) {
+  return encodeCommand([
+    "XCLAIM", key, group, nack.consumer, "0", nack.id,
+    "TIME", `${nack.deliveryTime}`, "RETRYCOUNT", `${nack.deliveryCount}`, "FORCE", "JUSTID", "LASTID", lastId,
+  ]);
+}
+
+/**
+ * Builds the error returned when a stream or one of its consumer groups does not exist.
+ * @param {string} key - The key of the stream.
+ * @param {string} group - The name of the group.
+ * @returns {string} Encoded error message.
+ */
+function noGroupError(key, group) {
+  return Encoder.createSimpleError(`NOGROUP No such key '${key}' or consumer group '${group}'`);
+}
+
+/**
+ * Stands in for the client socket while the append-only file is replayed, discarding the replies.
+ */
+const AOF_CLIENT = { remoteAddress: "aof", remotePort: 0, write: () => true };
+
+/**
+ * Maximum number of elements of a collection logged by a single command when rewriting the append-only file.
+ */
+const AOF_REWRITE_ITEMS_PER_COMMAND = 64;
+
+/**
+ * Tuning of the active expiry cycle. It runs ACTIVE_EXPIRE_CYCLE_HZ times per second, and may spend
+ * ACTIVE_EXPIRE_CYCLE_BUDGET_PERCENT of that period sampling ACTIVE_EXPIRE_CYCLE_KEYS_PER_LOOP keys at a time.
+ * A database is sampled again while more than ACTIVE_EXPIRE_CYCLE_STALE_PERCENT of its sampled keys had expired.
+ */
+const ACTIVE_EXPIRE_CYCLE_HZ = 10;
+const ACTIVE_EXPIRE_CYCLE_BUDGET_PERCENT = 25;
+const ACTIVE_EXPIRE_CYCLE_KEYS_PER_LOOP = 20;
+const ACTIVE_EXPIRE_CYCLE_STALE_PERCENT = 10;
+
+/**
+ * Commands that run immediately instead of being queued when a client is in a transaction.
+ */
+const TRANSACTION_COMMANDS = ["multi", "exec", "discard", "watch"];
+
+/**
+ * The number of arguments of each command, counting its name, as Redis defines it:
+ * a positive arity is the exact number, and a negative one the opposite of the minimum number.
+ */
+const COMMAND_ARITY = {
+  ping: -1, hello: -1, client: -2, echo: 2, set: -3, get: 2, incr: 2, decr: 2, incrby: 3, decrby: 3,
+  incrbyfloat: 3, append: 3, getrange: 4, setrange: 4, strlen: 2, mget: -2, mset: -3, msetnx: -3, getdel: 2,
+  getex: -2, info: -1, replconf: -1, psync: -3, wait: 3, config: -2, keys: 2, type: 2, scan: -2, del: -2,
+  unlink: -2, exists: -2, rename: 3, renamenx: 3, copy: -3, randomkey: 1, dbsize: 1, expire: -3, pexpire: -3,
+  expireat: -3, pexpireat: -3, ttl: 2, pttl: 2, expiretime: 2, pexpiretime: 2, persist: 2, xadd: -5,
+  xrange: -4, xrevrange: -4, xlen: 2, xdel: -3, xtrim: -4, xsetid: -3, xread: -4, xgroup: -2, xreadgroup: -7,
+  xack: -4, xpending: -3, xclaim: -6, xautoclaim: -6, xinfo: -2, lpush: -3, rpush: -3, lpushx: -3,
+  rpushx: -3, blpop: -3, brpop: -3, rpoplpush: 3, brpoplpush: 4, lpop: -2, rpop: -2, llen: 2, lrange: 4,
+  lindex: 3, lset: 4, linsert: 5, lrem: 4, ltrim: 4, hset: -4, hmset: -4, hsetnx: 4, hget: 3, hmget: -3,
+  hgetall: 2, hkeys: 2, hvals: 2, hdel: -3, hexists: 3, hlen: 2, hincrby: 4, hincrbyfloat: 4, hscan: -3,
+  sadd: -3, srem: -3, smembers: 2, sismember: 3, scard: 2, sinter: -2, sunion: -2, sdiff: -2,
+  sinterstore: -3, sunionstore: -3, sdiffstore: -3, srandmember: -2, spop: -2, zadd: -4, zincrby: 4,
+  zrange: -4, zrevrange: -4, zrangebyscore: -4, zrevrangebyscore: -4, zrangebylex: -4, zrevrangebylex: -4,
+  zrem: -3, zcard: 2, zscore: 3, zrank: -3, zrevrank: -3, bzpopmin: -3, bzpopmax: -3, zpopmin: -2,
+  zpopmax: -2, zunionstore: -4, zinterstore: -4, save: 1, bgsave: -1, lastsave: 1, bgrewriteaof: 1,
+  select: 2, swapdb: 3, move: 3, flushdb: -1, flushall: -1, subscribe: -2, psubscribe: -2, unsubscribe: -1,
+  punsubscribe: -1, publish: 3, pubsub: -2, multi: 1, exec: 1, discard: 1, watch: -2, unwatch: 1,
+};
+
+/**
+ * Commands allowed while a client is subscribed to channels or patterns.
+ */
+const SUBSCRIBED_MODE_COMMANDS = ["subscribe", "psubscribe", "unsubscribe", "punsubscribe", "ping"];
+
+/**
+ * Redis version the server reports in HELLO, for clients that adapt to the server version.
+ */
+const SERVER_VERSION = "7.2.0";
+
+const NOT_AN_INTEGER = "ERR value is not an integer or out of range";
+const STRING_TOO_LONG = "ERR string exceeds maximum allowed size (proto-max-bulk-len)";
+const INVALID_STREAM_ID = "ERR Invalid stream ID specified as stream command argument";
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
 /**
  * Class representing a master server handling commands and managing replication.
  */
 class MasterServer {
+  /**
+   * Default values for the configuration options that aren't provided.
+   */
+  static DEFAULT_CONFIG = {
+    dir: ".",
+    dbFilename: "dump.rdb",
+    save: "3600 1 300 100 60 10000", // Pairs of <seconds> <changes>.
+    appendOnly: "no",
+    appendFsync: "everysec",
+    appendFilename: "appendonly.aof",
+    databases: "16",
+    "proto-max-bulk-len": "536870912", // 512mb, the longest bulk string in a request and string value.
+    "client-query-buffer-limit": "1073741824", // 1gb of received but unparsed data per client.
+    "repl-backlog-size": "1048576", // 1mb of the replication stream kept for replicas that reconnect.
+  };
+
+  /**
+   * Configuration options that can't be changed with CONFIG SET.
+   */
+  static IMMUTABLE_CONFIG = ["databases"];
+
+  /**
+   * Configuration options holding a memory amount, which are stored in bytes.
+   */
+  static MEMORY_CONFIG = ["proto-max-bulk-len", "client-query-buffer-limit", "repl-backlog-size"];
+
+  /**
+   * The smallest value of the memory amount configuration options.
+   */
+  static MIN_MEMORY_CONFIG = 1024 * 1024;
+
   /**
    * Constructs a master server.
    * @param {string} host - The host IP address or hostname the server will listen on.
@@ -28,40 +293,90 @@ class MasterServer {
   constructor(host, port, config = null) {
     this.host = host;
     this.port = port;
-    this.dataStore = new HashTable(); // Initialize the data store as a hash table.
-    this.clientBuffers = {}; // To store buffers for each connected client.
+    this.config = { ...MasterServer.DEFAULT_CONFIG, ...config }; // Server configuration.
+    for (const name of MasterServer.MEMORY_CONFIG) {
+      const bytes = parseMemory(this.config[name]);
+      if (bytes === null) throw new Error(`Invalid ${name} value: ${this.config[name]}`);
+      this.config[name] = `${bytes}`;
+    }
+    this.clientBuffers = {}; // To store the unparsed bytes received from each connected client.
+    this.clients = {}; // Per-connection state, such as the selected database.
+    this.nextClientId = 1;
+
+    // The logical databases, each a hash table. Commands run against the database selected by their client.
+    this.databases = Array.from(
+      { length: Number.parseInt(this.config["databases"]) },
+      () => new HashTable()
+    );
+    this.propagateLazyExpiries();
+    this.db = 0; // Index of the database selected by the client whose command is being handled.
+    this.dataStore = this.databases[0]; // The database at that index.
+    this.protocol = 2; // RESP version used by that client.
 
     // Replication related properties.
-    this.masterReplId = "8371b4fb1155b71f4a04d3e1bc3e18c4a990aeeb";
-    this.masterReplOffset = 0;
+    this.masterReplId = crypto.randomBytes(20).toString("hex"); // Identifies the history of the data set.
+    this.masterReplOffset = 0; // Number of bytes propagated to replicas.
+    this.backlog = null; // The latest part of the replication stream, created when the first replica syncs.
     this.replicas = {}; // Track connected replica servers.
-    this.config = config; // Server configuration.
+    this.propagatedDb = -1; // Database last selected in the replication stream and the append-only file.
+    this.transactionPropagation = null; // Requests propagated by the transaction being executed.
+
+    // Keys watched by clients, as "<db>:<key>" mapped to the set of clients watching them.
+    this.watchedKeys = new Map();
+
+    // Pub/Sub subscriptions, as channels and glob patterns mapped to the set of clients subscribed to them.
+    this.channels = new Map();
+    this.patterns = new Map();
+
+    // Clients blocked by commands such as BLPOP or XREAD BLOCK until one of their keys is written.
+    this.blocking = new BlockingRegistry();
+
+    // Persistence related properties.
+    this.dirty = 0; // Number of writes since the last successful save.
+    this.lastSave = Date.now();
+    this.bgsaveInProgress = false;
+    this.lastBgsaveStatus = "ok";
+    this.aof = null; // The append-only file, when enabled.
+    this.aofRewriteInProgress = false;
+    this.aofRewriteScheduled = false;
+    this.lastAofRewriteStatus = "ok";
+    this.loading = false; // True while the append-only file is replayed.
+
+    // Active expiry related properties.
+    this.expireCycleDb = 0; // Database the next active expiry cycle starts with.
+    this.expiredStalePercent = 0; // Moving average of the share of sampled keys found expired.
+    this.expiredTimeCapReachedCount = 0; // Number of cycles stopped by their time budget.
   }
 
   /**
    * Starts the TCP server and handles incoming connections and data.
    */
   startServer() {
-    this.loadRDBFile();
+    this.loadData();
+    setInterval(() => this.checkSavePoints(), 1000);
+    setInterval(() => this.activeExpireCycle(), 1000 / ACTIVE_EXPIRE_CYCLE_HZ);
     const server = net.createServer((socket) => {
-      this.clientBuffers[getUid(socket)] = "";
+      this.clientBuffers[getUid(socket)] = new RequestBuffer();
+      this.createClient(socket);
+      socket.setDefaultEncoding("latin1"); // Replies are binary strings.
 
-      // Data event handler to concatenate incoming data chunks.
+      // Data event handler to buffer incoming data chunks.
       socket.on(`data`, (data) => {
-        this.clientBuffers[getUid(socket)] += data.toString();
+        this.clientBuffers[getUid(socket)].append(data);
         this.processClientBuffer(socket);
       });
 
       // Error event handler.
       socket.on("error", (err) => {
         console.log(`Socket Error: ${err}`);
-        delete this.clientBuffers[getUid(socket)];
+        this.removeClient(socket);
       });
 
       // Close event handler.
       socket.on(`close`, () => {
         console.log(`Disconnecting client: ${getUid(socket)}`);
-        delete this.clientBuffers[getUid(socket)];
+        this.removeClient(socket);
+        delete this.replicas[getUid(socket)];
       });
     });
 
@@ -72,514 +387,4570 @@ class MasterServer {
   }
 
   /**
-   * Loads the RDB file and parses its contents into the data store.
+   * Registers the state of a new connection.
+   * @param {net.Socket} socket - The client socket.
    */
-  loadRDBFile() {
-    if (!this.config) return;
-    const filePath = path.join(this.config["dir"], this.config["dbFilename"]);
-    if (!fs.existsSync(filePath)) return;
-    const fileBuffer = fs.readFileSync(filePath);
-    const rdbParser = new RDBParser(fileBuffer);
-    rdbParser.parse();
-    this.dataStore = rdbParser.dataStore;
+  createClient(socket) {
+    this.clients[getUid(socket)] = {
+      id: this.nextClientId++,
+      socket,
+      db: 0,
+      protocol: 2, // RESP version of the connection, changed with HELLO.
+      multi: null, // Commands queued since MULTI, as [args, request] pairs, or null outside a transaction.
+      multiFailed: false, // True once a command of the transaction was rejected, which makes EXEC discard it.
+      watched: [], // Keys watched with WATCH, as {db, key, existed} objects.
+      watchTouched: false, // True once a watched key was modified, which aborts the next EXEC.
+      channels: new Set(), // Channels subscribed to with SUBSCRIBE.
+      patterns: new Set(), // Glob patterns subscribed to with PSUBSCRIBE.
+    };
   }
 
   /**
-   * Processes buffered commands from a client socket.
+   * Releases the state of a closed connection.
    * @param {net.Socket} socket - The client socket.
    */
-  processClientBuffer(socket) {
-    const clientKey = getUid(socket);
-    const buffer = this.clientBuffers[clientKey];
-    const requestParser = new RequestParser(buffer);
-    while (true) {
-      const args = requestParser.parse(); // Parse arguments from the buffer.
-      if (args.length === 0) break;
-      const currentRequest = requestParser.currentRequest;
-      this.handleCommand(socket, args, currentRequest); // Handle parsed commands.
+  removeClient(socket) {
+    const client = this.clients[getUid(socket)];
+    if (client !== undefined) {
+      this.unwatchAllKeys(client);
+      this.unsubscribe(client, "unsubscribe", [...client.channels]);
+      this.unsubscribe(client, "punsubscribe", [...client.patterns]);
+      this.blocking.unblock(client.id);
     }
+    delete this.clientBuffers[getUid(socket)];
+    delete this.clients[getUid(socket)];
+  }
 
-    // Store remaining buffer data back into the clientBuffers.
-    this.clientBuffers[clientKey] = requestParser.getRemainingRequest();
+  /**
+   * Loads the databases from the append-only file when it is enabled and exists,
+   * and from the RDB file otherwise. The append-only file is then opened if it is enabled.
+   */
+  loadData() {
+    const isAppendOnly = this.config["appendOnly"] === "yes";
+    const hasAOF = isAppendOnly && fs.existsSync(this.getAOFFilePath());
+    if (hasAOF) this.loadAppendOnlyFile();
+    else this.loadRDBFile();
+    if (isAppendOnly) this.startAppendOnly(!hasAOF);
   }
 
   /**
-   * Handles commands received from clients.
-   * @param {net.Socket} socket - The client socket.
-   * @param {Array<string>} args - Arguments of the command.
-   * @param {string} request - The raw request string.
+   * Loads the RDB file and parses its contents into the data store.
+   * The server exits if the file is corrupt, rather than starting with partial data
+   * that the next save would persist.
    */
-  handleCommand(socket, args, request) {
-    const command = args[0].toLowerCase();
-    switch (command) {
-      case "ping":
-        socket.write(this.handlePing());
-        break;
-      case "echo":
-        socket.write(this.handleEcho(args.slice(1)));
-        break;
-      case "set":
-        socket.write(this.handleSet(args.slice(1)));
-        this.propagate(request);
-        break;
-      case "get":
-        socket.write(this.handleGet(args.slice(1)));
-        break;
-      case "info":
-        socket.write(this.handleInfo(args.slice(1)));
-        break;
-      case "replconf":
-        this.handleReplconf(args.slice(1), socket);
-        break;
-      case "psync":
-        socket.write(this.handlePsync(args.slice(1), socket));
-        this.replicas[getUid(socket)] = { socket, state: "connected" }; // Register the replica
-        break;
-      case "wait":
-        this.handleWait(args.slice(1), socket, request);
-        break;
-      case "config":
-        socket.write(this.handleConfig(args.slice(1)));
-        break;
-      case "keys":
-        socket.write(this.handleKeys(args.slice(1)));
-        break;
-      case "type":
-        socket.write(this.handleType(args.slice(1)));
-        break;
-      case "xadd":
-        this.handleXadd(args.slice(1), socket);
-        break;
-      case "xrange":
-        socket.write(this.handleXrange(args.slice(1)));
-        break;
-      case "xread":
-        this.handleXread(args.slice(1), socket);
-        break;
+  loadRDBFile() {
+    const filePath = this.getRDBFilePath();
+    if (!fs.existsSync(filePath)) return;
+    const fileBuffer = fs.readFileSync(filePath);
+    const rdbParser = new RDBParser(fileBuffer, this.databases.length);
+    try {
+      rdbParser.parse();
+    } catch (err) {
+      if (!(err instanceof RDBParser.CorruptRDBError)) throw err;
+      console.log(`Failed to load RDB file ${filePath}: ${err.message}`);
+      process.exit(1);
     }
+    this.databases = rdbParser.databases;
+    this.dataStore = this.databases[this.db];
+    this.propagateLazyExpiries();
   }
 
   /**
-   * Handles the 'ping' command by returning a standard response.
-   * @returns {string} Encoded simple string "PONG".
+   * Makes the databases report the keys they remove on access because they expired, which are
+   * propagated as DELs like the ones removed by the active expiry cycle. The index of a database is
+   * looked up on each removal, since SWAPDB moves databases around.
    */
-  handlePing() {
-    return Encoder.createSimpleString("PONG");
+  propagateLazyExpiries() {
+    for (const dataStore of this.databases) {
+      dataStore.onExpire = (key) => this.propagate(encodeCommand(["DEL", key]), this.databases.indexOf(dataStore));
+    }
   }
 
   /**
-   * Handles the 'echo' command by returning the input argument as a bulk string.
-   * @param {string[]} args - Array containing the string to echo.
-   * @returns {string} Encoded bulk string of the echoed argument.
+   * Builds the path of the RDB file from the configured directory and file name.
+   * @returns {string} The path of the RDB file.
    */
-  handleEcho(args) {
-    return Encoder.createBulkString(args[0]);
+  getRDBFilePath() {
+    return path.join(this.config["dir"], this.config["dbFilename"]);
   }
 
   /**
-   * Handles the 'set' command to store a key-value pair, optionally with an expiry.
-   * @param {string[]} args - Arguments containing the key, value, and optional expiry time.
-   * @returns {string} Confirmation of the operation as an encoded simple string "OK".
+   * Builds the path of the append-only file from the configured directory and file name.
+   * @returns {string} The path of the append-only file.
    */
-  handleSet(args) {
-    const key = args[0];
-    const value = args[1];
-    if (args.length == 2) {
-      this.dataStore.insert(key, value);
-    } else {
-      const arg = args[2];
-      const expiryTime = args[3];
-      this.dataStore.insertWithExpiry(key, value, expiryTime);
-    }
-    return Encoder.createSimpleString("OK");
+  getAOFFilePath() {
+    return path.join(this.config["dir"], this.config["appendFilename"]);
   }
 
   /**
-   * Handles the 'get' command to retrieve a value by key.
-   * @param {string[]} args - Array containing the key.
-   * @returns {string} The value associated with the key as a bulk string, or null bulk string if key not found.
+   * Replays the commands logged in the append-only file into the data store.
    */
-  handleGet(args) {
-    const key = args[0];
-    const value = this.dataStore.get(key);
-    if (value === null) {
-      return Encoder.createBulkString("", true);
+  loadAppendOnlyFile() {
+    const commands = AppendOnlyFile.load(this.getAOFFilePath());
+    this.loading = true;
+    this.createClient(AOF_CLIENT);
+    try {
+      for (const [args, request] of commands) {
+        this.handleCommand(AOF_CLIENT, args, request);
+      }
+    } finally {
+      this.loading = false;
+      delete this.clients[getUid(AOF_CLIENT)];
     }
-    return Encoder.createBulkString(value);
   }
 
   /**
-   * Handles the 'info' command to provide server status information.
-   * @param {string[]} args - Array containing the section to return information about.
-   * @returns {string} Encoded bulk string containing the requested information.
+   * Opens the append-only file so that writes are logged to it.
+   * @param {boolean} [rewrite=true] - True to start the file with the current data store,
+   * which is needed unless the file was just replayed.
    */
-  handleInfo(args) {
-    const section = args[0].toLowerCase();
-    let response = "";
-    if (section === "replication") {
-      response = "role:master\n";
-      response += `master_replid:${this.masterReplId}\n`;
-      response += `master_repl_offset:${this.masterReplOffset}`;
-    }
-    return Encoder.createBulkString(response);
+  startAppendOnly(rewrite = true) {
+    this.aof = new AppendOnlyFile(this.getAOFFilePath(), this.config["appendFsync"]);
+    this.aof.open();
+    this.propagatedDb = -1; // The file may end with another database selected.
+    if (rewrite) this.rewriteAppendOnlyFile();
   }
 
   /**
-   * Handles the 'replconf' command for replica configuration.
-   * @param {string[]} args - Array containing configuration arguments.
-   * @param {net.Socket} socket - The socket to which the response should be sent.
+   * Flushes and closes the append-only file, so that writes are no longer logged.
    */
-  handleReplconf(args, socket) {
-    const arg = args[0].toLowerCase();
-    if (arg === "ack") {
-      this.acknowledgeReplica(parseInt(args[1]));
-    } else {
-      socket.write(Encoder.createSimpleString("OK"));
+  stopAppendOnly() {
+    this.aof.close();
+    this.aof = null;
+  }
+
+  /**
+   * Rewrites the append-only file from the current data store without blocking on disk I/O.
+   * If a rewrite is already in progress, another one is started once it completes.
+   */
+  rewriteAppendOnlyFile() {
+    if (this.aofRewriteInProgress) {
+      this.aofRewriteScheduled = true;
+      return;
     }
+    const aof = this.aof ?? new AppendOnlyFile(this.getAOFFilePath());
+    this.aofRewriteInProgress = true;
+    // The rewritten file ends with the last database it writes selected, so the next write must select its own.
+    this.propagatedDb = -1;
+    aof
+      .rewrite(this.createRewriteCommands())
+      .then(() => {
+        this.lastAofRewriteStatus = "ok";
+      })
+      .catch((err) => {
+        console.log(`Background AOF rewrite error: ${err}`);
+        this.lastAofRewriteStatus = "err";
+      })
+      .finally(() => {
+        this.aofRewriteInProgress = false;
+        if (this.aofRewriteScheduled) {
+          this.aofRewriteScheduled = false;
+          this.rewriteAppendOnlyFile();
+        }
+      });
   }
 
   /**
-   * Handles the 'psync' command for initializing synchronization with a replica.
-   * @param {string[]} args - Array containing synchronization arguments.
-   * @param {net.Socket} socket - The socket to which the response should be sent.
-   * @returns {Buffer} Final buffer containing synchronization data.
+   * Builds the commands rebuilding the current databases, one or a few per key,
+   * regardless of how many writes it took to build them.
+   * @returns {string} The commands, encoded as RESP arrays.
    */
-  handlePsync(args, socket) {
-    socket.write(
-      Encoder.createSimpleString(
-        `FULLRESYNC ${this.masterReplId} ${this.masterReplOffset}`
-      )
-    );
-    const emptyRDB =
-      "524544495330303131fa0972656469732d76657205372e322e30fa0a72656469732d62697473c040fa056374696d65c26d08bc65fa08757365642d6d656dc2b0c41000fa08616f662d62617365c000fff06e3bfec0ff5aa2";
-    const buffer = Buffer.from(emptyRDB, "hex");
-    const finalBuffer = Buffer.concat([
-      Buffer.from(`$${buffer.length}\r\n`),
-      buffer,
-    ]);
-    return finalBuffer;
+  createRewriteCommands() {
+    const commands = [];
+    this.databases.forEach((dataStore, index) => {
+      if (dataStore.size > 0) commands.push(encodeCommand(["SELECT", `${index}`]));
+      for (const [key, entry] of dataStore.entries()) this.pushRewriteCommands(commands, key, entry);
+    });
+    return commands.join("");
   }
 
   /**
-   * Propagates a request to all connected replicas.
-   * @param {string} request - The raw request string to be propagated.
+   * Builds the commands rebuilding a single key.
+   * @param {Array<string>} commands - The array to push the encoded commands to.
+   * @param {string} key - The key.
+   * @param {object} entry - The data store entry holding the value, its type and expiry.
    */
-  propagate(request) {
-    for (const replica of Object.values(this.replicas)) {
-      const socket = replica.socket;
-      socket.write(request);
+  pushRewriteCommands(commands, key, entry) {
+    const pushBatches = (command, items, itemSize = 1) => {
+      const batchSize = AOF_REWRITE_ITEMS_PER_COMMAND * itemSize;
+      for (let i = 0; i < items.length; i += batchSize) {
+        commands.push(encodeCommand([command, key, ...items.slice(i, i + batchSize)]));
+      }
+    };
+
+    switch (entry.type) {
+      case "string":
+        commands.push(encodeCommand(["SET", key, entry.value]));
+        break;
+      case "list":
+        pushBatches("RPUSH", entry.value);
+        break;
+      case "hash":
+        pushBatches("HSET", [...entry.value].flat(), 2);
+        break;
+      case "set":
+        pushBatches("SADD", [...entry.value]);
+        break;
+      case "zset": {
+        const scoresAndMembers = [];
+        for (const [member, score] of entry.value) {
+          scoresAndMembers.push(formatScore(score), member);
+        }
+        pushBatches("ZADD", scoresAndMembers, 2);
+        break;
+      }
+      case "stream":
+        this.pushStreamRewriteCommands(commands, key, entry.value);
+        break;
+    }
+    if (entry.expiry != null) {
+      commands.push(encodeCommand(["PEXPIREAT", key, `${entry.expiry}`]));
     }
-    this.masterReplOffset += request.length;
   }
 
   /**
-   * Handles the 'wait' command for synchronization wait logic.
-   * @param {string[]} args - Arguments containing number of required replicas and timeout.
-   * @param {net.Socket} socket - The socket on which to perform the wait.
-   * @param {string} request - The request associated with the wait.
+   * Builds the commands rebuilding a stream: its entries and last ID, then its consumer groups with
+   * their consumers and pending entries.
+   * @param {Array<string>} commands - The array to push the encoded commands to.
+   * @param {string} key - The key.
+   * @param {Stream} stream - The stream.
    */
-  handleWait(args, socket, request) {
-    if (Object.keys(this.replicas).length === 0) {
-      socket.write(Encoder.createInteger(0));
-      return;
+  pushStreamRewriteCommands(commands, key, stream) {
+    for (const entry of stream.entries) {
+      commands.push(encodeCommand(["XADD", key, entry.id, ...entry.fields]));
     }
-    if (this.masterReplOffset === 0) {
-      socket.write(Encoder.createInteger(Object.keys(this.replicas).length));
-      return;
+    if (stream.length === 0) {
+      // An empty stream is created by adding an entry that is trimmed right away.
+      commands.push(encodeCommand(["XADD", key, "MAXLEN", "0", "0-1", "x", "y"]));
     }
-
-    let numOfReqReplicas = args[0];
-    let timeoutTime = args[1];
-
-    // Register a wait
-    this.wait = {};
-    this.wait.numOfAckReplicas = 0;
-    this.wait.numOfReqReplicas = numOfReqReplicas;
-    this.wait.socket = socket;
-    this.wait.isDone = false;
-    this.wait.request = request;
-    this.wait.timeout = setTimeout(() => {
-      this.respondToWait();
-    }, timeoutTime);
-
-    for (const replica of Object.values(this.replicas)) {
-      const socket = replica.socket;
-      socket.write(
-        Encoder.createArray([
-          Encoder.createBulkString("REPLCONF"),
-          Encoder.createBulkString("GETACK"),
-          Encoder.createBulkString("*"),
+    commands.push(
+      encodeCommand([
+        "XSETID", key, stream.lastId, "ENTRIESADDED", `${stream.entriesAdded}`, "MAXDELETEDID", stream.maxDeletedId,
+      ])
+    );
+    for (const group of stream.groups.values()) {
+      commands.push(
+        encodeCommand([
+          "XGROUP", "CREATE", key, group.name, group.lastId, "MKSTREAM", "ENTRIESREAD", `${group.entriesRead ?? -1}`,
         ])
       );
+      for (const consumer of group.consumers.values()) {
+        if (consumer.pending.size > 0) continue; // Created along with their pending entries.
+        commands.push(encodeCommand(["XGROUP", "CREATECONSUMER", key, group.name, consumer.name]));
+      }
+      for (const nack of stream.getPending(group)) {
+        commands.push(encodeXclaim(key, group.name, nack, group.lastId));
+      }
     }
   }
 
   /**
-   * Responds to a wait request after the timeout or when conditions are met.
+   * Parses the configured save points.
+   * @returns {Array<Array<number>>} An array of [seconds, changes] pairs.
    */
-  respondToWait() {
-    clearTimeout(this.wait.timeout);
-    this.masterReplOffset += this.wait.request.length;
-    this.wait.socket.write(Encoder.createInteger(this.wait.numOfAckReplicas));
-    this.wait.isDone = true;
+  getSavePoints() {
+    const values = this.config["save"].split(/\s+/).filter(Boolean);
+    const savePoints = [];
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      savePoints.push([Number.parseInt(values[i]), Number.parseInt(values[i + 1])]);
+    }
+    return savePoints;
   }
 
   /**
-   * Acknowledges the reception of data from a replica up to the specified offset.
+   * Removes expired keys in the background, so that keys nobody reads don't linger. Databases are
+   * sampled in turn, and a database is sampled again while a significant share of its sampled keys
+   * had expired, until the time budget of the cycle runs out. Removed keys are propagated as DELs.
+   */
+  activeExpireCycle() {
+    const budget = ((1000 / ACTIVE_EXPIRE_CYCLE_HZ) * ACTIVE_EXPIRE_CYCLE_BUDGET_PERCENT) / 100;
+    const deadline = Date.now() + budget;
+    let sampled = 0;
+    let expired = 0;
+    let timedOut = false;
+    for (let i = 0; i < this.databases.length && !timedOut; i++) {
+      const db = this.expireCycleDb;
+      this.expireCycleDb = (db + 1) % this.databases.length;
+      let sample;
+      do {
+        sample = this.databases[db].removeExpiredSample(ACTIVE_EXPIRE_CYCLE_KEYS_PER_LOOP);
+        for (const key of sample.expired) this.propagate(encodeCommand(["DEL", key]), db);
+        sampled += sample.sampled;
+        expired += sample.expired.length;
+        timedOut = Date.now() >= deadline;
+      } while (
+        !timedOut &&
+        sample.expired.length * 100 > sample.sampled * ACTIVE_EXPIRE_CYCLE_STALE_PERCENT
+      );
+    }
+    if (timedOut) this.expiredTimeCapReachedCount++;
+    if (sampled > 0) {
+      const stalePercent = (expired * 100) / sampled;
+      this.expiredStalePercent = stalePercent * 0.05 + this.expiredStalePercent * 0.95;
+    }
+  }
+
+  /**
+   * Starts a background save if any save point is reached, that is if at least
+   * <changes> writes happened and <seconds> elapsed since the last save.
+   */
+  checkSavePoints() {
+    if (this.bgsaveInProgress || this.dirty === 0) return;
+    const elapsedSeconds = (Date.now() - this.lastSave) / 1000;
+    const isDue = this.getSavePoints().some(
+      ([seconds, changes]) => elapsedSeconds >= seconds && this.dirty >= changes
+    );
+    if (isDue) this.backgroundSave();
+  }
+
+  /**
+   * Saves the data store to the RDB file without blocking on disk I/O.
+   * Writes that happen while the file is written stay counted as dirty.
+   */
+  backgroundSave() {
+    const dirtyAtStart = this.dirty;
+    this.bgsaveInProgress = true;
+    RDBWriter.saveInBackground(this.databases, this.getRDBFilePath())
+      .then(() => {
+        this.dirty -= dirtyAtStart;
+        this.lastSave = Date.now();
+        this.lastBgsaveStatus = "ok";
+      })
+      .catch((err) => {
+        console.log(`Background saving error: ${err}`);
+        this.lastBgsaveStatus = "err";
+        this.lastSave = Date.now(); // Wait for the save points to be due again before retrying.
+      })
+      .finally(() => {
+        this.bgsaveInProgress = false;
+      });
+  }
+
+  /**
+   * Handles the SAVE command by synchronously writing the RDB file.
+   * @returns {string} "OK" as an encoded simple string, or an error.
+   */
+  handleSave() {
+    if (this.bgsaveInProgress) {
+      return Encoder.createSimpleError("ERR Background save already in progress");
+    }
+    try {
+      RDBWriter.save(this.databases, this.getRDBFilePath());
+    } catch (err) {
+      console.log(`Saving error: ${err}`);
+      return Encoder.createSimpleError(`ERR ${err.message}`);
+    }
+    this.dirty = 0;
+    this.lastSave = Date.now();
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Handles the BGSAVE command by starting a background save.
+   * @returns {string} An encoded simple string confirming the start, or an error.
+   */
+  handleBgsave() {
+    if (this.bgsaveInProgress) {
+      return Encoder.createSimpleError("ERR Background save already in progress");
+    }
+    this.backgroundSave();
+    return Encoder.createSimpleString("Background saving started");
+  }
+
+  /**
+   * Handles the BGREWRITEAOF command by starting a background rewrite of the append-only file.
+   * @returns {string} An encoded simple string confirming the start, or an error.
+   */
+  handleBgrewriteaof() {
+    if (this.aofRewriteInProgress) {
+      return Encoder.createSimpleError(
+        "ERR Background append only file rewriting already in progress"
+      );
+    }
+    this.rewriteAppendOnlyFile();
+    return Encoder.createSimpleString(
+      "Background append only file rewriting started"
+    );
+  }
+
+  /**
+   * Handles the LASTSAVE command.
+   * @returns {string} The UNIX time of the last successful save, in seconds, as an encoded integer.
+   */
+  handleLastsave() {
+    return Encoder.createInteger(Math.floor(this.lastSave / 1000));
+  }
+
+  /**
+   * Processes buffered commands from a client socket.
+   * Clients sending a malformed request, or more data than the query buffer limit, are disconnected.
+   * @param {net.Socket} socket - The client socket.
+   */
+  processClientBuffer(socket) {
+    const clientKey = getUid(socket);
+    const buffer = this.clientBuffers[clientKey];
+    if (buffer.length > Number(this.config["client-query-buffer-limit"])) {
+      console.log(`Closing client ${clientKey} that reached max query buffer length`);
+      delete this.clientBuffers[clientKey];
+      socket.destroy();
+      return;
+    }
+    if (!buffer.ready) return; // The partial request at the end of the buffer can't be complete yet.
+
+    const client = this.clients[clientKey];
+    const requestParser = new RequestParser(buffer.contents(), {
+      maxBulkLength: Number(this.config["proto-max-bulk-len"]),
+    });
+    try {
+      // The requests following a blocking command wait until the client is unblocked.
+      while (!this.blocking.isBlocked(client.id)) {
+        const args = requestParser.parse(); // Parse arguments from the buffer.
+        if (args.length === 0) break;
+        const currentRequest = requestParser.currentRequest;
+        this.handleCommand(socket, args, currentRequest); // Handle parsed commands.
+      }
+    } catch (err) {
+      if (!(err instanceof RequestParser.ProtocolError)) throw err;
+      // The rest of the buffer can't be parsed, so the error is the last reply before closing the connection.
+      console.log(`${err.message} from client ${clientKey}`);
+      delete this.clientBuffers[clientKey];
+      socket.pause();
+      socket.end(Encoder.createSimpleError(`ERR ${err.message}`), () => socket.destroy());
+      return;
+    }
+
+    // Keep the remaining buffer data, along with how much of it is needed for the next request.
+    buffer.consume(requestParser.getRemainingRequest(), requestParser.awaitedLength);
+  }
+
+  /**
+   * Handles commands received from clients.
+   * @param {net.Socket} socket - The client socket.
+   * @param {Array<string>} args - Arguments of the command.
+   * @param {string} request - The raw request string.
+   */
+  handleCommand(socket, args, request) {
+    const client = this.clients[getUid(socket)];
+    const command = args[0].toLowerCase();
+    this.useClientState(client);
+    // RESP3 connections can run any command while subscribed, as messages are told apart as push messages.
+    if (
+      client.protocol === 2 &&
+      this.isSubscribed(client) &&
+      !SUBSCRIBED_MODE_COMMANDS.includes(command)
+    ) {
+      socket.write(
+        Encoder.createSimpleError(
+          `ERR Can't execute '${command}': only (P)SUBSCRIBE / (P)UNSUBSCRIBE / PING are allowed in this context`
+        )
+      );
+      return;
+    }
+    if (client.multi !== null && !TRANSACTION_COMMANDS.includes(command)) {
+      const rejection = checkCommand(args);
+      if (rejection !== null) {
+        client.multiFailed = true;
+        socket.write(rejection);
+        return;
+      }
+      client.multi.push([args, request]);
+      socket.write(Encoder.createSimpleString("QUEUED"));
+      return;
+    }
+    try {
+      this.dispatchCommand(socket, args, request);
+    } catch (err) {
+      if (!(err instanceof HashTable.WrongTypeError)) throw err;
+      socket.write(Encoder.createSimpleError(err.message));
+    }
+    // Clients blocked on the keys written by the command are served once it is done, or once EXEC is.
+    if (this.transactionPropagation === null) this.blocking.serveReadyKeys();
+  }
+
+  /**
+   * Switches the server to the state of a client, the database it selected and its RESP version,
+   * against which its commands run.
+   * @param {object} client - The state of the client.
+   */
+  useClientState(client) {
+    this.db = client.db;
+    this.dataStore = this.databases[this.db];
+    this.protocol = client.protocol;
+  }
+
+  /**
+   * Dispatches a parsed command to its handler.
+   * @param {net.Socket} socket - The client socket.
+   * @param {Array<string>} args - Arguments of the command.
+   * @param {string} request - The raw request string.
+   */
+  dispatchCommand(socket, args, request) {
+    const command = args[0].toLowerCase();
+    switch (command) {
+      case "ping":
+        socket.write(this.handlePing(args.slice(1), socket));
+        break;
+      case "hello":
+        socket.write(this.handleHello(args.slice(1), socket));
+        break;
+      case "client":
+        socket.write(this.handleClient(args.slice(1), socket));
+        break;
+      case "echo":
+        socket.write(this.handleEcho(args.slice(1)));
+        break;
+      case "set":
+        this.handleSet(args.slice(1), socket);
+        break;
+      case "get":
+        socket.write(this.handleGet(args.slice(1)));
+        break;
+      case "incr":
+      case "decr":
+      case "incrby":
+      case "decrby":
+        this.handleIncr(command, args.slice(1), socket);
+        break;
+      case "incrbyfloat":
+        this.handleIncrbyfloat(args.slice(1), socket);
+        break;
+      case "append":
+        this.handleAppend(args.slice(1), socket);
+        break;
+      case "getrange":
+        socket.write(this.handleGetrange(args.slice(1)));
+        break;
+      case "setrange":
+        this.handleSetrange(args.slice(1), socket);
+        break;
+      case "strlen":
+        socket.write(this.handleStrlen(args.slice(1)));
+        break;
+      case "mget":
+        socket.write(this.handleMget(args.slice(1)));
+        break;
+      case "mset":
+      case "msetnx":
+        this.handleMset(command, args.slice(1), socket);
+        break;
+      case "getdel":
+        this.handleGetdel(args.slice(1), socket);
+        break;
+      case "getex":
+        this.handleGetex(args.slice(1), socket);
+        break;
+      case "info":
+        socket.write(this.handleInfo(args.slice(1)));
+        break;
+      case "replconf":
+        this.handleReplconf(args.slice(1), socket);
+        break;
+      case "psync":
+        this.handlePsync(args.slice(1), socket);
+        break;
+      case "wait":
+        this.handleWait(args.slice(1), socket);
+        break;
+      case "config":
+        socket.write(this.handleConfig(args.slice(1)));
+        break;
+      case "keys":
+        socket.write(this.handleKeys(args.slice(1)));
+        break;
+      case "type":
+        socket.write(this.handleType(args.slice(1)));
+        break;
+      case "scan":
+        socket.write(this.handleScan(args.slice(1)));
+        break;
+      case "del":
+      case "unlink":
+        this.handleDel(command, args.slice(1), socket, request);
+        break;
+      case "exists":
+        socket.write(this.handleExists(args.slice(1)));
+        break;
+      case "rename":
+      case "renamenx":
+        this.handleRename(command, args.slice(1), socket, request);
+        break;
+      case "copy":
+        this.handleCopy(args.slice(1), socket, request);
+        break;
+      case "randomkey":
+        socket.write(this.handleRandomkey());
+        break;
+      case "dbsize":
+        socket.write(this.handleDbsize());
+        break;
+      case "expire":
+      case "pexpire":
+      case "expireat":
+      case "pexpireat":
+        this.handleExpire(command, args.slice(1), socket);
+        break;
+      case "ttl":
+      case "pttl":
+      case "expiretime":
+      case "pexpiretime":
+        socket.write(this.handleTtl(command, args.slice(1)));
+        break;
+      case "persist":
+        this.handlePersist(args.slice(1), socket, request);
+        break;
+      case "xadd":
+        this.handleXadd(args.slice(1), socket);
+        break;
+      case "xrange":
+      case "xrevrange":
+        socket.write(this.handleXrange(command, args.slice(1)));
+        break;
+      case "xlen":
+        socket.write(this.handleXlen(args.slice(1)));
+        break;
+      case "xdel":
+        this.replyAndPropagate(socket, this.handleXdel(args.slice(1)), request);
+        break;
+      case "xtrim":
+        this.handleXtrim(args.slice(1), socket);
+        break;
+      case "xsetid":
+        this.replyAndPropagate(socket, this.handleXsetid(args.slice(1)), request);
+        break;
+      case "xread":
+        this.handleXread(args.slice(1), socket);
+        break;
+      case "xgroup":
+        this.replyAndPropagate(socket, this.handleXgroup(args.slice(1)), request);
+        break;
+      case "xreadgroup":
+        this.handleXreadgroup(args.slice(1), socket);
+        break;
+      case "xack":
+        this.replyAndPropagate(socket, this.handleXack(args.slice(1)), request);
+        break;
+      case "xpending":
+        socket.write(this.handleXpending(args.slice(1)));
+        break;
+      case "xclaim":
+        socket.write(this.handleXclaim(args.slice(1)));
+        break;
+      case "xautoclaim":
+        socket.write(this.handleXautoclaim(args.slice(1)));
+        break;
+      case "xinfo":
+        socket.write(this.handleXinfo(args.slice(1)));
+        break;
+      case "lpush":
+      case "rpush":
+      case "lpushx":
+      case "rpushx":
+        this.replyAndPropagate(
+          socket,
+          this.handlePush(command, args.slice(1)),
+          request
+        );
+        break;
+      case "blpop":
+      case "brpop":
+        this.handleBlockingPop(command, args.slice(1), socket);
+        break;
+      case "rpoplpush":
+        socket.write(this.handleRpoplpush(args.slice(1)));
+        break;
+      case "brpoplpush":
+        this.handleBrpoplpush(args.slice(1), socket);
+        break;
+      case "lpop":
+      case "rpop":
+        this.replyAndPropagate(
+          socket,
+          this.handlePop(command, args.slice(1)),
+          request
+        );
+        break;
+      case "llen":
+        socket.write(this.handleLlen(args.slice(1)));
+        break;
+      case "lrange":
+        socket.write(this.handleLrange(args.slice(1)));
+        break;
+      case "lindex":
+        socket.write(this.handleLindex(args.slice(1)));
+        break;
+      case "lset":
+        this.replyAndPropagate(socket, this.handleLset(args.slice(1)), request);
+        break;
+      case "linsert":
+        this.replyAndPropagate(
+          socket,
+          this.handleLinsert(args.slice(1)),
+          request
+        );
+        break;
+      case "lrem":
+        this.replyAndPropagate(socket, this.handleLrem(args.slice(1)), request);
+        break;
+      case "ltrim":
+        this.replyAndPropagate(
+          socket,
+          this.handleLtrim(args.slice(1)),
+          request
+        );
+        break;
+      case "hset":
+      case "hmset":
+      case "hsetnx":
+        this.replyAndPropagate(
+          socket,
+          this.handleHset(command, args.slice(1)),
+          request
+        );
+        break;
+      case "hget":
+        socket.write(this.handleHget(args.slice(1)));
+        break;
+      case "hmget":
+        socket.write(this.handleHmget(args.slice(1)));
+        break;
+      case "hgetall":
+      case "hkeys":
+      case "hvals":
+        socket.write(this.handleHgetall(command, args.slice(1)));
+        break;
+      case "hdel":
+        this.replyAndPropagate(socket, this.handleHdel(args.slice(1)), request);
+        break;
+      case "hexists":
+        socket.write(this.handleHexists(args.slice(1)));
+        break;
+      case "hlen":
+        socket.write(this.handleHlen(args.slice(1)));
+        break;
+      case "hincrby":
+      case "hincrbyfloat":
+        this.handleHincrby(command, args.slice(1), socket);
+        break;
+      case "hscan":
+        socket.write(this.handleHscan(args.slice(1)));
+        break;
+      case "sadd":
+      case "srem":
+        this.replyAndPropagate(
+          socket,
+          this.handleSadd(command, args.slice(1)),
+          request
+        );
+        break;
+      case "smembers":
+        socket.write(this.handleSmembers(args.slice(1)));
+        break;
+      case "sismember":
+        socket.write(this.handleSismember(args.slice(1)));
+        break;
+      case "scard":
+        socket.write(this.handleScard(args.slice(1)));
+        break;
+      case "sinter":
+      case "sunion":
+      case "sdiff":
+        socket.write(this.handleSetOperation(command, args.slice(1)));
+        break;
+      case "sinterstore":
+      case "sunionstore":
+      case "sdiffstore":
+        this.replyAndPropagate(
+          socket,
+          this.handleSetOperationStore(command, args.slice(1)),
+          request
+        );
+        break;
+      case "srandmember":
+        socket.write(this.handleSrandmember(args.slice(1)));
+        break;
+      case "spop":
+        this.handleSpop(args.slice(1), socket);
+        break;
+      case "zadd":
+        this.handleZadd(args.slice(1), socket);
+        break;
+      case "zincrby":
+        this.handleZincrby(args.slice(1), socket);
+        break;
+      case "zrange":
+      case "zrevrange":
+      case "zrangebyscore":
+      case "zrevrangebyscore":
+      case "zrangebylex":
+      case "zrevrangebylex":
+        socket.write(this.handleZrange(command, args.slice(1)));
+        break;
+      case "zrem":
+        this.replyAndPropagate(socket, this.handleZrem(args.slice(1)), request);
+        break;
+      case "zcard":
+        socket.write(this.handleZcard(args.slice(1)));
+        break;
+      case "zscore":
+        socket.write(this.handleZscore(args.slice(1)));
+        break;
+      case "zrank":
+      case "zrevrank":
+        socket.write(this.handleZrank(command, args.slice(1)));
+        break;
+      case "bzpopmin":
+      case "bzpopmax":
+        this.handleBlockingZpop(command, args.slice(1), socket);
+        break;
+      case "zpopmin":
+      case "zpopmax":
+        this.handleZpop(command, args.slice(1), socket);
+        break;
+      case "zunionstore":
+      case "zinterstore":
+        this.replyAndPropagate(
+          socket,
+          this.handleZstore(command, args.slice(1)),
+          request
+        );
+        break;
+      case "save":
+        socket.write(this.handleSave());
+        break;
+      case "bgsave":
+        socket.write(this.handleBgsave());
+        break;
+      case "lastsave":
+        socket.write(this.handleLastsave());
+        break;
+      case "bgrewriteaof":
+        socket.write(this.handleBgrewriteaof());
+        break;
+      case "select":
+        socket.write(this.handleSelect(args.slice(1), socket));
+        break;
+      case "swapdb":
+        this.replyAndPropagate(socket, this.handleSwapdb(args.slice(1)), request);
+        break;
+      case "move":
+        this.handleMove(args.slice(1), socket, request);
+        break;
+      case "flushdb":
+      case "flushall":
+        this.replyAndPropagate(
+          socket,
+          this.handleFlush(command, args.slice(1)),
+          request
+        );
+        break;
+      case "subscribe":
+      case "psubscribe":
+        this.handleSubscribe(command, args.slice(1), socket);
+        break;
+      case "unsubscribe":
+      case "punsubscribe":
+        this.unsubscribe(this.clients[getUid(socket)], command, args.slice(1), socket);
+        break;
+      case "publish":
+        socket.write(this.handlePublish(args.slice(1)));
+        break;
+      case "pubsub":
+        socket.write(this.handlePubsub(args.slice(1)));
+        break;
+      case "multi":
+        socket.write(this.handleMulti(socket));
+        break;
+      case "exec":
+        this.handleExec(socket);
+        break;
+      case "discard":
+        socket.write(this.handleDiscard(socket));
+        break;
+      case "watch":
+        socket.write(this.handleWatch(args.slice(1), socket));
+        break;
+      case "unwatch":
+        this.unwatchAllKeys(this.clients[getUid(socket)]);
+        socket.write(Encoder.createSimpleString("OK"));
+        break;
+      default:
+        socket.write(unknownCommand(args));
+    }
+  }
+
+  /**
+   * Writes the reply of a write command and propagates the request to replicas
+   * unless the command replied with an error.
+   * @param {net.Socket} socket - The client socket.
+   * @param {string} response - The encoded reply of the command.
+   * @param {string} request - The raw request string to propagate.
+   */
+  replyAndPropagate(socket, response, request) {
+    socket.write(response);
+    if (!response.startsWith("-")) this.propagate(request);
+  }
+
+  /**
+   * Handles the MULTI command, which starts queuing the commands of the client.
+   * @param {net.Socket} socket - The client socket.
+   * @returns {string} "OK" as an encoded simple string, or an error.
+   */
+  handleMulti(socket) {
+    const client = this.clients[getUid(socket)];
+    if (client.multi !== null) {
+      return Encoder.createSimpleError("ERR MULTI calls can not be nested");
+    }
+    client.multi = [];
+    client.multiFailed = false;
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Handles the EXEC command, which runs the queued commands without interleaving commands of other
+   * clients and replies with the array of their replies. The transaction is aborted with a null array
+   * if a watched key was modified or expired since WATCH, and discarded with an error if one of its
+   * commands was rejected while it was queued.
+   * The writes of the transaction are propagated as a single MULTI/EXEC block.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleExec(socket) {
+    const client = this.clients[getUid(socket)];
+    if (client.multi === null) {
+      socket.write(Encoder.createSimpleError("ERR EXEC without MULTI"));
+      return;
+    }
+    const queued = client.multi;
+    client.multi = null;
+    if (client.multiFailed) {
+      this.unwatchAllKeys(client);
+      socket.write(Encoder.createSimpleError("EXECABORT Transaction discarded because of previous errors."));
+      return;
+    }
+    const aborted =
+      client.watchTouched ||
+      client.watched.some(({ db, key, existed }) => existed && !this.databases[db].has(key));
+    this.unwatchAllKeys(client);
+    if (aborted) {
+      socket.write(Encoder.createArray([], true));
+      return;
+    }
+
+    this.transactionPropagation = [];
+    const replies = queued.map(([args, request]) => {
+      // Stands in for the client socket to collect the reply, sharing its state such as the selected database.
+      let reply = "";
+      const capture = {
+        remoteAddress: socket.remoteAddress,
+        remotePort: socket.remotePort,
+        write: (data) => {
+          reply += data;
+          return true;
+        },
+      };
+      this.handleCommand(capture, args, request);
+      return reply;
+    });
+    const propagated = this.transactionPropagation;
+    this.transactionPropagation = null;
+
+    socket.write(Encoder.createArray(replies));
+    if (propagated.length > 0) {
+      this.feedReplicationStream(
+        encodeCommand(["MULTI"]) + propagated.join("") + encodeCommand(["EXEC"])
+      );
+    }
+  }
+
+  /**
+   * Handles the DISCARD command, which drops the queued commands and unwatches all keys.
+   * @param {net.Socket} socket - The client socket.
+   * @returns {string} "OK" as an encoded simple string, or an error.
+   */
+  handleDiscard(socket) {
+    const client = this.clients[getUid(socket)];
+    if (client.multi === null) {
+      return Encoder.createSimpleError("ERR DISCARD without MULTI");
+    }
+    client.multi = null;
+    this.unwatchAllKeys(client);
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Handles the WATCH command, which makes the next EXEC of the client fail if any
+   * of the keys is modified, or expires, before it.
+   * @param {string[]} args - The keys to watch.
+   * @param {net.Socket} socket - The client socket.
+   * @returns {string} "OK" as an encoded simple string, or an error.
+   */
+  handleWatch(args, socket) {
+    if (args.length < 1) return wrongNumberOfArgs("watch");
+    const client = this.clients[getUid(socket)];
+    if (client.multi !== null) {
+      return Encoder.createSimpleError("ERR WATCH inside MULTI is not allowed");
+    }
+    for (const key of args) {
+      const id = `${this.db}:${key}`;
+      if (!this.watchedKeys.has(id)) this.watchedKeys.set(id, new Set());
+      const clients = this.watchedKeys.get(id);
+      if (clients.has(client)) continue;
+      clients.add(client);
+      client.watched.push({ db: this.db, key, existed: this.dataStore.has(key) });
+    }
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Stops watching all the keys watched by a client.
+   * @param {object} client - The state of the client.
+   */
+  unwatchAllKeys(client) {
+    for (const { db, key } of client.watched) {
+      const id = `${db}:${key}`;
+      const clients = this.watchedKeys.get(id);
+      clients.delete(client);
+      if (clients.size === 0) this.watchedKeys.delete(id);
+    }
+    client.watched = [];
+    client.watchTouched = false;
+  }
+
+  /**
+   * Flags the clients watching the keys modified by a write command, so that their next EXEC fails.
+   * @param {Array<object>} writtenKeys - The keys modified by the command, as returned by {@link getWrittenKeys}.
+   */
+  touchWatchedKeys(writtenKeys) {
+    for (const { db, key } of writtenKeys) {
+      for (const [id, clients] of this.watchedKeys) {
+        if (key === null ? id.startsWith(`${db}:`) : id === `${db}:${key}`) {
+          for (const client of clients) client.watchTouched = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Lists the keys modified by a write command.
+   * @param {string[]} args - The write command, as propagated.
+   * @param {number} db - The database the command runs against.
+   * @returns {Array<object>} The keys as {db, key} objects, whose key is null when every key of the database is.
+   */
+  getWrittenKeys(args, db) {
+    const writtenKeys = [];
+    const touch = (index, key) => writtenKeys.push({ db: index, key });
+    switch (args[0].toLowerCase()) {
+      case "flushall":
+        this.databases.forEach((_, index) => touch(index, null));
+        break;
+      case "flushdb":
+        touch(db, null);
+        break;
+      case "swapdb":
+        touch(Number.parseInt(args[1]), null);
+        touch(Number.parseInt(args[2]), null);
+        break;
+      case "move":
+        touch(db, args[1]);
+        touch(Number.parseInt(args[2]), args[1]);
+        break;
+      case "copy": {
+        const dbOption = args.findIndex((arg) => arg.toLowerCase() === "db");
+        touch(dbOption === -1 ? db : Number.parseInt(args[dbOption + 1]), args[2]);
+        break;
+      }
+      case "del":
+      case "unlink":
+        for (const key of args.slice(1)) touch(db, key);
+        break;
+      case "mset":
+        for (let i = 1; i < args.length; i += 2) touch(db, args[i]);
+        break;
+      case "rename":
+      case "renamenx":
+        touch(db, args[1]);
+        touch(db, args[2]);
+        break;
+      case "rpoplpush":
+        touch(db, args[1]);
+        touch(db, args[2]);
+        break;
+      case "xgroup":
+        if (args.length > 2) touch(db, args[2]);
+        break;
+      default:
+        if (args.length > 1) touch(db, args[1]);
+    }
+    return writtenKeys;
+  }
+
+  /**
+   * Handles the HELLO command, which switches the connection to another RESP version
+   * and replies with information about the server and the connection.
+   * @param {string[]} args - Arguments containing the optional protocol version and AUTH and SETNAME options.
+   * @param {net.Socket} socket - The client socket.
+   * @returns {string} The information as an encoded map, or an error.
+   */
+  handleHello(args, socket) {
+    const client = this.clients[getUid(socket)];
+    let protocol = client.protocol;
+    if (args.length > 0) {
+      protocol = parseInteger(args[0]);
+      if (protocol === null) {
+        return Encoder.createSimpleError("ERR Protocol version is not an integer or out of range");
+      }
+      if (protocol !== 2 && protocol !== 3) {
+        return Encoder.createSimpleError("NOPROTO unsupported protocol version");
+      }
+    }
+    let name = client.name;
+    for (let i = 1; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "auth" && i + 2 < args.length) {
+        i += 2; // No password is configured, so any credentials are accepted.
+      } else if (option === "setname" && i + 1 < args.length) {
+        name = args[++i];
+      } else {
+        return Encoder.createSimpleError(`ERR Syntax error in HELLO option '${args[i]}'`);
+      }
+    }
+
+    client.protocol = protocol;
+    client.name = name;
+    this.protocol = protocol;
+    return this.encodeMap([
+      [Encoder.createBulkString("server"), Encoder.createBulkString("redis")],
+      [Encoder.createBulkString("version"), Encoder.createBulkString(SERVER_VERSION)],
+      [Encoder.createBulkString("proto"), Encoder.createInteger(protocol)],
+      [Encoder.createBulkString("id"), Encoder.createInteger(client.id)],
+      [Encoder.createBulkString("mode"), Encoder.createBulkString("standalone")],
+      [Encoder.createBulkString("role"), Encoder.createBulkString("master")],
+      [Encoder.createBulkString("modules"), Encoder.createArray([])],
+    ]);
+  }
+
+  /**
+   * Encodes pairs of encoded keys and values as a map on RESP3 connections, or as a flat array on RESP2 ones.
+   * @param {Array<Array<string>>} entries - The [key, value] pairs.
+   * @returns {string} The encoded map or array.
+   */
+  encodeMap(entries) {
+    return this.protocol === 3 ? Encoder.createMap(entries) : Encoder.createArray(entries.flat());
+  }
+
+  /**
+   * Encodes encoded members as a set on RESP3 connections, or as an array on RESP2 ones.
+   * @param {string[]} members - The encoded members.
+   * @returns {string} The encoded set or array.
+   */
+  encodeSet(members) {
+    return this.protocol === 3 ? Encoder.createSet(members) : Encoder.createArray(members);
+  }
+
+  /**
+   * Encodes a score as a double on RESP3 connections, or as a bulk string on RESP2 ones.
+   * @param {number} score - The score.
+   * @returns {string} The encoded double or bulk string.
+   */
+  encodeDouble(score) {
+    return this.protocol === 3 ? Encoder.createDouble(score) : Encoder.createBulkString(formatScore(score));
+  }
+
+  /**
+   * Encodes a missing value as null on RESP3 connections, or as a null bulk string on RESP2 ones.
+   * @returns {string} The encoded null.
+   */
+  encodeNull() {
+    return this.protocol === 3 ? Encoder.createNull() : Encoder.createBulkString("", true);
+  }
+
+  /**
+   * Encodes a missing array as null on RESP3 connections, or as a null array on RESP2 ones.
+   * @returns {string} The encoded null.
+   */
+  encodeNullArray() {
+    return this.protocol === 3 ? Encoder.createNull() : Encoder.createArray([], true);
+  }
+
+  /**
+   * Encodes a Pub/Sub message as a push message for RESP3 connections, or as an array for RESP2 ones.
+   * @param {string[]} items - The encoded items of the message.
+   * @param {number} protocol - The RESP version of the connection the message is sent to.
+   * @returns {string} The encoded message.
+   */
+  encodePush(items, protocol) {
+    return protocol === 3 ? Encoder.createPush(items) : Encoder.createArray(items);
+  }
+
+  /**
+   * Checks whether a client is subscribed to any channel or pattern.
+   * @param {object} client - The state of the client.
+   * @returns {boolean} True if the client is in subscribed mode.
+   */
+  isSubscribed(client) {
+    return client.channels.size + client.patterns.size > 0;
+  }
+
+  /**
+   * Handles the SUBSCRIBE and PSUBSCRIBE commands, replying with a confirmation per channel or pattern.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - The channels or patterns to subscribe to.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleSubscribe(command, args, socket) {
+    if (args.length < 1) {
+      socket.write(wrongNumberOfArgs(command));
+      return;
+    }
+    const client = this.clients[getUid(socket)];
+    const [subscriptions, registry] =
+      command === "subscribe" ? [client.channels, this.channels] : [client.patterns, this.patterns];
+    for (const name of args) {
+      if (!subscriptions.has(name)) {
+        subscriptions.add(name);
+        if (!registry.has(name)) registry.set(name, new Set());
+        registry.get(name).add(client);
+      }
+      socket.write(
+        this.encodePush(
+          [
+            Encoder.createBulkString(command),
+            Encoder.createBulkString(name),
+            Encoder.createInteger(client.channels.size + client.patterns.size),
+          ],
+          client.protocol
+        )
+      );
+    }
+  }
+
+  /**
+   * Unsubscribes a client from channels or patterns, replying with a confirmation per channel or pattern
+   * when a socket is given. Without names, the client is unsubscribed from all its channels or patterns.
+   * @param {object} client - The state of the client.
+   * @param {string} command - "unsubscribe" for channels or "punsubscribe" for patterns.
+   * @param {string[]} names - The channels or patterns to unsubscribe from.
+   * @param {net.Socket|null} [socket=null] - The client socket to reply to, or null to unsubscribe silently.
+   */
+  unsubscribe(client, command, names, socket = null) {
+    const [subscriptions, registry] =
+      command === "unsubscribe" ? [client.channels, this.channels] : [client.patterns, this.patterns];
+    if (names.length === 0) names = [...subscriptions];
+    const reply = (name) => {
+      socket?.write(
+        this.encodePush(
+          [
+            Encoder.createBulkString(command),
+            name === null ? Encoder.createBulkString("", true) : Encoder.createBulkString(name),
+            Encoder.createInteger(client.channels.size + client.patterns.size),
+          ],
+          client.protocol
+        )
+      );
+    };
+    if (names.length === 0) reply(null);
+    for (const name of names) {
+      if (subscriptions.delete(name)) {
+        const clients = registry.get(name);
+        clients.delete(client);
+        if (clients.size === 0) registry.delete(name);
+      }
+      reply(name);
+    }
+  }
+
+  /**
+   * Handles the PUBLISH command, which sends a message to the clients subscribed to the channel
+   * and to the clients subscribed to a pattern matching it.
+   * @param {string[]} args - Arguments containing the channel and the message.
+   * @returns {string} The number of clients that received the message as an encoded integer.
+   */
+  handlePublish(args) {
+    if (args.length !== 2) return wrongNumberOfArgs("publish");
+    const [channel, message] = args;
+    let receivers = 0;
+    for (const client of this.channels.get(channel) ?? []) {
+      client.socket.write(
+        this.encodePush(
+          ["message", channel, message].map((item) => Encoder.createBulkString(item)),
+          client.protocol
+        )
+      );
+      receivers++;
+    }
+    for (const [pattern, clients] of this.patterns) {
+      if (!GlobMatcher.match(pattern, channel)) continue;
+      for (const client of clients) {
+        client.socket.write(
+          this.encodePush(
+            ["pmessage", pattern, channel, message].map((item) => Encoder.createBulkString(item)),
+            client.protocol
+          )
+        );
+        receivers++;
+      }
+    }
+    return Encoder.createInteger(receivers);
+  }
+
+  /**
+   * Handles the PUBSUB CHANNELS, NUMSUB and NUMPAT subcommands.
+   * @param {string[]} args - Arguments containing the subcommand and its arguments.
+   * @returns {string} The active channels, the subscriber counts or the pattern count, encoded.
+   */
+  handlePubsub(args) {
+    if (args.length < 1) return wrongNumberOfArgs("pubsub");
+    const subcommand = args[0].toLowerCase();
+    if (subcommand === "channels" && args.length <= 2) {
+      const channels = [...this.channels.keys()].filter(
+        (channel) => args.length === 1 || GlobMatcher.match(args[1], channel)
+      );
+      return Encoder.createArray(channels.map((channel) => Encoder.createBulkString(channel)));
+    }
+    if (subcommand === "numsub") {
+      return Encoder.createArray(
+        args.slice(1).flatMap((channel) => [
+          Encoder.createBulkString(channel),
+          Encoder.createInteger(this.channels.get(channel)?.size ?? 0),
+        ])
+      );
+    }
+    if (subcommand === "numpat" && args.length === 1) {
+      return Encoder.createInteger(this.patterns.size);
+    }
+    return Encoder.createSimpleError(
+      `ERR unknown subcommand or wrong number of arguments for '${args[0]}'. Try PUBSUB HELP.`
+    );
+  }
+
+  /**
+   * Handles the 'ping' command by returning a standard response.
+   * In subscribed mode on RESP2 connections, the reply is an array of "pong" and the message.
+   * @param {string[]} args - Arguments containing the optional message.
+   * @param {net.Socket} socket - The client socket.
+   * @returns {string} Encoded simple string "PONG", or the message.
+   */
+  handlePing(args, socket) {
+    if (args.length > 1) return wrongNumberOfArgs("ping");
+    if (this.protocol === 2 && this.isSubscribed(this.clients[getUid(socket)])) {
+      return Encoder.createArray([
+        Encoder.createBulkString("pong"),
+        Encoder.createBulkString(args[0] ?? ""),
+      ]);
+    }
+    if (args.length === 1) return Encoder.createBulkString(args[0]);
+    return Encoder.createSimpleString("PONG");
+  }
+
+  /**
+   * Handles the 'echo' command by returning the input argument as a bulk string.
+   * @param {string[]} args - Array containing the string to echo.
+   * @returns {string} Encoded bulk string of the echoed argument.
+   */
+  handleEcho(args) {
+    return Encoder.createBulkString(args[0]);
+  }
+
+  /**
+   * Handles the 'set' command to store a key-value pair, supporting the NX, XX, GET, EX, PX,
+   * EXAT, PXAT and KEEPTTL options. Successful sets are propagated with an absolute PXAT expiry.
+   * @param {string[]} args - Arguments containing the key, value, and options.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleSet(args, socket) {
+    if (args.length < 2) {
+      socket.write(wrongNumberOfArgs("set"));
+      return;
+    }
+    const [key, value] = args;
+    const options = SetOptions.parse(args.slice(2));
+    if (options.error) {
+      socket.write(Encoder.createSimpleError(options.error));
+      return;
+    }
+    const previous = options.get ? this.dataStore.getEntryOfType(key, "string") : null;
+    const isSet = this.dataStore.setString(key, value, options);
+    if (options.get) {
+      socket.write(
+        previous ? Encoder.createBulkString(previous.value) : Encoder.createBulkString("", true)
+      );
+    } else {
+      socket.write(isSet ? Encoder.createSimpleString("OK") : Encoder.createBulkString("", true));
+    }
+    if (!isSet) return;
+    const propagated = ["SET", key, value];
+    if (options.expiry !== null) propagated.push("PXAT", `${options.expiry}`);
+    else if (options.keepTtl) propagated.push("KEEPTTL");
+    this.propagate(encodeCommand(propagated));
+  }
+
+  /**
+   * Handles the 'get' command to retrieve a value by key.
+   * @param {string[]} args - Array containing the key.
+   * @returns {string} The value associated with the key as a bulk string, or null bulk string if key not found.
+   */
+  handleGet(args) {
+    const key = args[0];
+    const value = this.dataStore.stringGet(key);
+    if (value === null) {
+      return Encoder.createBulkString("", true);
+    }
+    return Encoder.createBulkString(value);
+  }
+
+  /**
+   * Handles the INCR, DECR, INCRBY and DECRBY commands with 64-bit integer arithmetic.
+   * The result is propagated as a SET that keeps the expiry, so that replicas don't repeat the arithmetic.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key, and the increment for INCRBY and DECRBY.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleIncr(command, args, socket) {
+    const hasIncrement = command.endsWith("by");
+    if (args.length !== (hasIncrement ? 2 : 1)) {
+      socket.write(wrongNumberOfArgs(command));
+      return;
+    }
+    const key = args[0];
+    let increment = hasIncrement ? parseInt64(args[1]) : 1n;
+    if (increment === null) {
+      socket.write(Encoder.createSimpleError(NOT_AN_INTEGER));
+      return;
+    }
+    if (command.startsWith("decr")) {
+      if (increment === INT64_MIN) {
+        socket.write(Encoder.createSimpleError("ERR decrement would overflow"));
+        return;
+      }
+      increment = -increment;
+    }
+
+    const current = this.dataStore.stringGet(key);
+    const value = current === null ? 0n : parseInt64(current.toString("latin1"));
+    if (value === null) {
+      socket.write(Encoder.createSimpleError(NOT_AN_INTEGER));
+      return;
+    }
+    const sum = value + increment;
+    if (sum < INT64_MIN || sum > INT64_MAX) {
+      socket.write(Encoder.createSimpleError("ERR increment or decrement would overflow"));
+      return;
+    }
+
+    const result = `${sum}`;
+    this.dataStore.stringUpdate(key, result);
+    socket.write(Encoder.createInteger(result));
+    this.propagate(encodeCommand(["SET", key, result, "KEEPTTL"]));
+  }
+
+  /**
+   * Handles the INCRBYFLOAT command.
+   * The result is propagated as a SET that keeps the expiry, so that replicas don't repeat the arithmetic.
+   * @param {string[]} args - Arguments containing the key and the increment.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleIncrbyfloat(args, socket) {
+    if (args.length !== 2) {
+      socket.write(wrongNumberOfArgs("incrbyfloat"));
+      return;
+    }
+    const key = args[0];
+    const increment = parseFloatArg(args[1]);
+    const current = this.dataStore.stringGet(key);
+    const value = current === null ? 0 : parseFloatArg(current.toString("latin1"));
+    if (increment === null || value === null) {
+      socket.write(Encoder.createSimpleError("ERR value is not a valid float"));
+      return;
+    }
+    const sum = value + increment;
+    if (!Number.isFinite(sum)) {
+      socket.write(Encoder.createSimpleError("ERR increment would produce NaN or Infinity"));
+      return;
+    }
+
+    const result = `${sum}`;
+    this.dataStore.stringUpdate(key, result);
+    socket.write(Encoder.createBulkString(result));
+    this.propagate(encodeCommand(["SET", key, result, "KEEPTTL"]));
+  }
+
+  /**
+   * Handles the APPEND command, which creates the string if it does not exist.
+   * @param {string[]} args - Arguments containing the key and the value to append.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleAppend(args, socket) {
+    if (args.length !== 2) {
+      socket.write(wrongNumberOfArgs("append"));
+      return;
+    }
+    const [key, suffix] = args;
+    const current = this.dataStore.stringGet(key) ?? Buffer.alloc(0);
+    if (current.length + suffix.length > Number(this.config["proto-max-bulk-len"])) {
+      socket.write(Encoder.createSimpleError(STRING_TOO_LONG));
+      return;
+    }
+    const value = Buffer.concat([current, Buffer.from(suffix, "latin1")]);
+    this.dataStore.stringUpdate(key, value);
+    socket.write(Encoder.createInteger(value.length));
+    this.propagate(encodeCommand(["SET", key, value, "KEEPTTL"]));
+  }
+
+  /**
+   * Handles the GETRANGE command. Offsets count bytes, and negative offsets count from the end.
+   * @param {string[]} args - Arguments containing the key, the start and the end offsets, both inclusive.
+   * @returns {string} The substring as an encoded bulk string, empty if the range is empty.
+   */
+  handleGetrange(args) {
+    if (args.length !== 3) return wrongNumberOfArgs("getrange");
+    let start = parseInteger(args[1]);
+    let end = parseInteger(args[2]);
+    if (start === null || end === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+    const bytes = this.dataStore.stringGet(args[0]) ?? Buffer.alloc(0);
+    if (start < 0 && end < 0 && start > end) return Encoder.createBulkString("");
+    if (start < 0) start = Math.max(bytes.length + start, 0);
+    if (end < 0) end = Math.max(bytes.length + end, 0);
+    end = Math.min(end, bytes.length - 1);
+    if (start > end) return Encoder.createBulkString("");
+    return Encoder.createBulkString(bytes.subarray(start, end + 1));
+  }
+
+  /**
+   * Handles the SETRANGE command, which overwrites part of a string starting at a byte offset,
+   * padding the string with zero bytes if it is shorter than the offset.
+   * @param {string[]} args - Arguments containing the key, the offset and the value.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleSetrange(args, socket) {
+    if (args.length !== 3) {
+      socket.write(wrongNumberOfArgs("setrange"));
+      return;
+    }
+    const [key, , value] = args;
+    const offset = parseInteger(args[1]);
+    if (offset === null) {
+      socket.write(Encoder.createSimpleError(NOT_AN_INTEGER));
+      return;
+    }
+    if (offset < 0) {
+      socket.write(Encoder.createSimpleError("ERR offset is out of range"));
+      return;
+    }
+    const bytes = this.dataStore.stringGet(key) ?? Buffer.alloc(0);
+    const patch = Buffer.from(value, "latin1");
+    if (patch.length === 0) {
+      socket.write(Encoder.createInteger(bytes.length));
+      return;
+    }
+    if (offset + patch.length > Number(this.config["proto-max-bulk-len"])) {
+      socket.write(Encoder.createSimpleError(STRING_TOO_LONG));
+      return;
+    }
+
+    const result = Buffer.alloc(Math.max(bytes.length, offset + patch.length));
+    bytes.copy(result);
+    patch.copy(result, offset);
+    this.dataStore.stringUpdate(key, result);
+    socket.write(Encoder.createInteger(result.length));
+    this.propagate(encodeCommand(["SET", key, result, "KEEPTTL"]));
+  }
+
+  /**
+   * Handles the STRLEN command.
+   * @param {string[]} args - Arguments containing the key.
+   * @returns {string} The length of the string in bytes as an encoded integer, 0 if the key does not exist.
+   */
+  handleStrlen(args) {
+    if (args.length !== 1) return wrongNumberOfArgs("strlen");
+    const value = this.dataStore.stringGet(args[0]);
+    return Encoder.createInteger(value === null ? 0 : value.length);
+  }
+
+  /**
+   * Handles the MGET command. Keys that don't exist or don't hold a string are returned as nulls.
+   * @param {string[]} args - The keys.
+   * @returns {string} The values as an encoded array of bulk strings.
+   */
+  handleMget(args) {
+    if (args.length < 1) return wrongNumberOfArgs("mget");
+    return Encoder.createArray(
+      args.map((key) => {
+        const value = this.dataStore.get(key);
+        const isString = value !== null && this.dataStore.getType(key) === "string";
+        return isString ? Encoder.createBulkString(value) : Encoder.createBulkString("", true);
+      })
+    );
+  }
+
+  /**
+   * Handles the MSET and MSETNX commands. MSETNX sets nothing if any of the keys already exists.
+   * Both are propagated as an MSET when keys are set.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing pairs of keys and values.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleMset(command, args, socket) {
+    if (args.length < 2 || args.length % 2 !== 0) {
+      socket.write(wrongNumberOfArgs(command));
+      return;
+    }
+    if (command === "msetnx") {
+      for (let i = 0; i < args.length; i += 2) {
+        if (this.dataStore.has(args[i])) {
+          socket.write(Encoder.createInteger(0));
+          return;
+        }
+      }
+    }
+    for (let i = 0; i < args.length; i += 2) {
+      this.dataStore.insert(args[i], args[i + 1]);
+    }
+    socket.write(
+      command === "msetnx" ? Encoder.createInteger(1) : Encoder.createSimpleString("OK")
+    );
+    this.propagate(encodeCommand(["MSET", ...args]));
+  }
+
+  /**
+   * Handles the GETDEL command, which deletes a string after retrieving its value.
+   * @param {string[]} args - Arguments containing the key.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleGetdel(args, socket) {
+    if (args.length !== 1) {
+      socket.write(wrongNumberOfArgs("getdel"));
+      return;
+    }
+    const value = this.dataStore.stringGet(args[0]);
+    if (value === null) {
+      socket.write(Encoder.createBulkString("", true));
+      return;
+    }
+    this.dataStore.delete(args[0]);
+    socket.write(Encoder.createBulkString(value));
+    this.propagate(encodeCommand(["DEL", args[0]]));
+  }
+
+  /**
+   * Handles the GETEX command, which retrieves the value of a string and optionally
+   * changes its expiry with EX, PX, EXAT, PXAT or PERSIST.
+   * Expiry changes are propagated as a PEXPIREAT with the absolute time, or as a PERSIST.
+   * @param {string[]} args - Arguments containing the key and the options.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleGetex(args, socket) {
+    if (args.length < 1) {
+      socket.write(wrongNumberOfArgs("getex"));
+      return;
+    }
+    const key = args[0];
+    let expiry;
+    for (let i = 1; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "persist" && expiry === undefined) {
+        expiry = null;
+      } else if (
+        ["ex", "px", "exat", "pxat"].includes(option) &&
+        expiry === undefined &&
+        i + 1 < args.length
+      ) {
+        expiry = SetOptions.parseExpiry(option, args[++i], "getex");
+        if (typeof expiry === "string") {
+          socket.write(Encoder.createSimpleError(expiry));
+          return;
+        }
+      } else {
+        socket.write(Encoder.createSimpleError("ERR syntax error"));
+        return;
+      }
+    }
+
+    const value = this.dataStore.stringGet(key);
+    if (value === null) {
+      socket.write(Encoder.createBulkString("", true));
+      return;
+    }
+    socket.write(Encoder.createBulkString(value));
+    if (expiry === undefined) return;
+    if (expiry === null) {
+      if (this.dataStore.getExpiry(key) === null) return;
+      this.dataStore.setExpiry(key, null);
+      this.propagate(encodeCommand(["PERSIST", key]));
+    } else if (expiry <= Date.now()) {
+      this.dataStore.delete(key);
+      this.propagate(encodeCommand(["DEL", key]));
+    } else {
+      this.dataStore.setExpiry(key, expiry);
+      this.propagate(encodeCommand(["PEXPIREAT", key, `${expiry}`]));
+    }
+  }
+
+  /**
+   * Handles the LPUSH, RPUSH, LPUSHX and RPUSHX commands.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key and the elements to push.
+   * @returns {string} The length of the list after the push as an encoded integer.
+   */
+  handlePush(command, args) {
+    if (args.length < 2) return wrongNumberOfArgs(command);
+    const toHead = command.startsWith("l");
+    const onlyIfExists = command.endsWith("x");
+    const length = this.dataStore.listPush(
+      args[0],
+      args.slice(1),
+      toHead,
+      onlyIfExists
+    );
+    return Encoder.createInteger(length);
+  }
+
+  /**
+   * Handles the LPOP and RPOP commands.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key and an optional count.
+   * @returns {string} The popped element as a bulk string, or an array of elements when a count is given.
+   */
+  handlePop(command, args) {
+    if (args.length < 1 || args.length > 2) return wrongNumberOfArgs(command);
+    const fromHead = command === "lpop";
+    if (args.length === 1) {
+      const popped = this.dataStore.listPop(args[0], fromHead, 1);
+      if (popped === null) return Encoder.createBulkString("", true);
+      return Encoder.createBulkString(popped[0]);
+    }
+
+    const count = parseInteger(args[1]);
+    if (count === null || count < 0) {
+      return Encoder.createSimpleError(
+        "ERR value is out of range, must be positive"
+      );
+    }
+    const popped = this.dataStore.listPop(args[0], fromHead, count);
+    if (popped === null) return Encoder.createArray([], true);
+    return Encoder.createArray(
+      popped.map((element) => Encoder.createBulkString(element))
+    );
+  }
+
+  /**
+   * Handles the LLEN command.
+   * @param {string[]} args - Arguments containing the key.
+   * @returns {string} The length of the list as an encoded integer.
+   */
+  handleLlen(args) {
+    if (args.length !== 1) return wrongNumberOfArgs("llen");
+    return Encoder.createInteger(this.dataStore.listLength(args[0]));
+  }
+
+  /**
+   * Handles the LRANGE command.
+   * @param {string[]} args - Arguments containing the key, start and stop indexes.
+   * @returns {string} The elements within the range as an encoded array.
+   */
+  handleLrange(args) {
+    if (args.length !== 3) return wrongNumberOfArgs("lrange");
+    const start = parseInteger(args[1]);
+    const stop = parseInteger(args[2]);
+    if (start === null || stop === null) {
+      return Encoder.createSimpleError(NOT_AN_INTEGER);
+    }
+    const elements = this.dataStore.listRange(args[0], start, stop);
+    return Encoder.createArray(
+      elements.map((element) => Encoder.createBulkString(element))
+    );
+  }
+
+  /**
+   * Handles the LINDEX command.
+   * @param {string[]} args - Arguments containing the key and the index.
+   * @returns {string} The element as a bulk string, or a null bulk string if out of range.
+   */
+  handleLindex(args) {
+    if (args.length !== 2) return wrongNumberOfArgs("lindex");
+    const index = parseInteger(args[1]);
+    if (index === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+    const element = this.dataStore.listIndex(args[0], index);
+    if (element === null) return Encoder.createBulkString("", true);
+    return Encoder.createBulkString(element);
+  }
+
+  /**
+   * Handles the LSET command.
+   * @param {string[]} args - Arguments containing the key, the index and the new element.
+   * @returns {string} "OK" as an encoded simple string, or an error.
+   */
+  handleLset(args) {
+    if (args.length !== 3) return wrongNumberOfArgs("lset");
+    const index = parseInteger(args[1]);
+    if (index === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+    const result = this.dataStore.listSet(args[0], index, args[2]);
+    if (result === null) return Encoder.createSimpleError("ERR no such key");
+    if (!result) return Encoder.createSimpleError("ERR index out of range");
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Handles the LINSERT command.
+   * @param {string[]} args - Arguments containing the key, BEFORE|AFTER, the pivot and the element.
+   * @returns {string} The new length of the list as an encoded integer.
+   */
+  handleLinsert(args) {
+    if (args.length !== 4) return wrongNumberOfArgs("linsert");
+    const where = args[1].toLowerCase();
+    if (where !== "before" && where !== "after") {
+      return Encoder.createSimpleError("ERR syntax error");
+    }
+    const length = this.dataStore.listInsert(
+      args[0],
+      where === "before",
+      args[2],
+      args[3]
+    );
+    return Encoder.createInteger(length);
+  }
+
+  /**
+   * Handles the LREM command.
+   * @param {string[]} args - Arguments containing the key, the count and the element.
+   * @returns {string} The number of removed elements as an encoded integer.
+   */
+  handleLrem(args) {
+    if (args.length !== 3) return wrongNumberOfArgs("lrem");
+    const count = parseInteger(args[1]);
+    if (count === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+    return Encoder.createInteger(
+      this.dataStore.listRemove(args[0], count, args[2])
+    );
+  }
+
+  /**
+   * Handles the LTRIM command.
+   * @param {string[]} args - Arguments containing the key, start and stop indexes.
+   * @returns {string} "OK" as an encoded simple string.
+   */
+  handleLtrim(args) {
+    if (args.length !== 3) return wrongNumberOfArgs("ltrim");
+    const start = parseInteger(args[1]);
+    const stop = parseInteger(args[2]);
+    if (start === null || stop === null) {
+      return Encoder.createSimpleError(NOT_AN_INTEGER);
+    }
+    this.dataStore.listTrim(args[0], start, stop);
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Handles the HSET, HMSET and HSETNX commands.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key followed by field and value pairs.
+   * @returns {string} The number of added fields as an encoded integer, or "OK" for HMSET.
+   */
+  handleHset(command, args) {
+    if (command === "hsetnx" && args.length !== 3) {
+      return wrongNumberOfArgs(command);
+    }
+    if (args.length < 3 || args.length % 2 === 0) {
+      return wrongNumberOfArgs(command);
+    }
+    const added = this.dataStore.hashSet(
+      args[0],
+      args.slice(1),
+      command === "hsetnx"
+    );
+    if (command === "hmset") return Encoder.createSimpleString("OK");
+    return Encoder.createInteger(added);
+  }
+
+  /**
+   * Handles the HGET command.
+   * @param {string[]} args - Arguments containing the key and the field.
+   * @returns {string} The value as a bulk string, or a null bulk string if not found.
+   */
+  handleHget(args) {
+    if (args.length !== 2) return wrongNumberOfArgs("hget");
+    const value = this.dataStore.hashGet(args[0], args[1]);
+    if (value === null) return Encoder.createBulkString("", true);
+    return Encoder.createBulkString(value);
+  }
+
+  /**
+   * Handles the HMGET command.
+   * @param {string[]} args - Arguments containing the key and the fields.
+   * @returns {string} An encoded array with the value (or null) of each field.
+   */
+  handleHmget(args) {
+    if (args.length < 2) return wrongNumberOfArgs("hmget");
+    const values = args.slice(1).map((field) => {
+      const value = this.dataStore.hashGet(args[0], field);
+      if (value === null) return Encoder.createBulkString("", true);
+      return Encoder.createBulkString(value);
+    });
+    return Encoder.createArray(values);
+  }
+
+  /**
+   * Handles the HGETALL, HKEYS and HVALS commands.
+   * HGETALL replies with a map on RESP3 connections.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key.
+   * @returns {string} An encoded array of fields and/or values.
+   */
+  handleHgetall(command, args) {
+    if (args.length !== 1) return wrongNumberOfArgs(command);
+    if (command === "hgetall") {
+      return this.encodeMap(
+        this.dataStore
+          .hashGetAll(args[0])
+          .map((pair) => pair.map((item) => Encoder.createBulkString(item)))
+      );
+    }
+    const response = [];
+    for (const [field, value] of this.dataStore.hashGetAll(args[0])) {
+      if (command !== "hvals") response.push(Encoder.createBulkString(field));
+      if (command !== "hkeys") response.push(Encoder.createBulkString(value));
+    }
+    return Encoder.createArray(response);
+  }
+
+  /**
+   * Handles the HDEL command.
+   * @param {string[]} args - Arguments containing the key and the fields to delete.
+   * @returns {string} The number of removed fields as an encoded integer.
+   */
+  handleHdel(args) {
+    if (args.length < 2) return wrongNumberOfArgs("hdel");
+    return Encoder.createInteger(
+      this.dataStore.hashDelete(args[0], args.slice(1))
+    );
+  }
+
+  /**
+   * Handles the HEXISTS command.
+   * @param {string[]} args - Arguments containing the key and the field.
+   * @returns {string} 1 if the field exists, otherwise 0, as an encoded integer.
+   */
+  handleHexists(args) {
+    if (args.length !== 2) return wrongNumberOfArgs("hexists");
+    const exists = this.dataStore.hashGet(args[0], args[1]) !== null;
+    return Encoder.createInteger(exists ? 1 : 0);
+  }
+
+  /**
+   * Handles the HLEN command.
+   * @param {string[]} args - Arguments containing the key.
+   * @returns {string} The number of fields as an encoded integer.
+   */
+  handleHlen(args) {
+    if (args.length !== 1) return wrongNumberOfArgs("hlen");
+    return Encoder.createInteger(this.dataStore.hashLength(args[0]));
+  }
+
+  /**
+   * Handles the HINCRBY and HINCRBYFLOAT commands.
+   * The result is propagated to replicas as an HSET so that they don't have to repeat the arithmetic.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key, the field and the increment.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleHincrby(command, args, socket) {
+    if (args.length !== 3) {
+      socket.write(wrongNumberOfArgs(command));
+      return;
+    }
+    const [key, field] = args;
+    const current = this.dataStore.hashGet(key, field);
+
+    let result;
+    if (command === "hincrby") {
+      const increment = parseInt64(args[2]);
+      if (increment === null) {
+        socket.write(Encoder.createSimpleError(NOT_AN_INTEGER));
+        return;
+      }
+      const value = current === null ? 0n : parseInt64(current);
+      if (value === null) {
+        socket.write(Encoder.createSimpleError("ERR hash value is not an integer"));
+        return;
+      }
+      const sum = value + increment;
+      if (sum < INT64_MIN || sum > INT64_MAX) {
+        socket.write(
+          Encoder.createSimpleError("ERR increment or decrement would overflow")
+        );
+        return;
+      }
+      result = `${sum}`;
+    } else {
+      const increment = parseFloatArg(args[2]);
+      if (increment === null) {
+        socket.write(Encoder.createSimpleError("ERR value is not a valid float"));
+        return;
+      }
+      const value = current === null ? 0 : parseFloatArg(current);
+      if (value === null) {
+        socket.write(Encoder.createSimpleError("ERR hash value is not a float"));
+        return;
+      }
+      const sum = value + increment;
+      if (!Number.isFinite(sum)) {
+        socket.write(
+          Encoder.createSimpleError("ERR increment would produce NaN or Infinity")
+        );
+        return;
+      }
+      result = `${sum}`;
+    }
+
+    this.dataStore.hashSet(key, [field, result]);
+    if (command === "hincrby") socket.write(Encoder.createInteger(result));
+    else socket.write(Encoder.createBulkString(result));
+    this.propagate(encodeCommand(["HSET", key, field, result]));
+  }
+
+  /**
+   * Handles the HSCAN command.
+   * @param {string[]} args - Arguments containing the key, the cursor and optional MATCH, COUNT and NOVALUES options.
+   * @returns {string} An encoded array with the next cursor and the scanned fields and values.
+   */
+  handleHscan(args) {
+    if (args.length < 2) return wrongNumberOfArgs("hscan");
+    const cursor = parseInteger(args[1]);
+    if (cursor === null || cursor < 0) {
+      return Encoder.createSimpleError("ERR invalid cursor");
+    }
+
+    let pattern = null;
+    let count = 10;
+    let noValues = false;
+    for (let i = 2; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "match" && i + 1 < args.length) {
+        pattern = args[++i];
+      } else if (option === "count" && i + 1 < args.length) {
+        count = parseInteger(args[++i]);
+        if (count === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+        if (count < 1) return Encoder.createSimpleError("ERR syntax error");
+      } else if (option === "novalues") {
+        noValues = true;
+      } else {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
+    }
+
+    const [nextCursor, pairs] = this.dataStore.hashScan(args[0], cursor, count);
+    const response = [];
+    for (const [field, value] of pairs) {
+      if (pattern !== null && !GlobMatcher.match(pattern, field)) continue;
+      response.push(Encoder.createBulkString(field));
+      if (!noValues) response.push(Encoder.createBulkString(value));
+    }
+    return Encoder.createArray([
+      Encoder.createBulkString(`${nextCursor}`),
+      Encoder.createArray(response),
+    ]);
+  }
+
+  /**
+   * Handles the SADD and SREM commands.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key and the members.
+   * @returns {string} The number of added or removed members as an encoded integer.
+   */
+  handleSadd(command, args) {
+    if (args.length < 2) return wrongNumberOfArgs(command);
+    const members = args.slice(1);
+    const count =
+      command === "sadd"
+        ? this.dataStore.setAdd(args[0], members)
+        : this.dataStore.setRemove(args[0], members);
+    return Encoder.createInteger(count);
+  }
+
+  /**
+   * Handles the SMEMBERS command.
+   * @param {string[]} args - Arguments containing the key.
+   * @returns {string} The members of the set as an encoded set or array.
+   */
+  handleSmembers(args) {
+    if (args.length !== 1) return wrongNumberOfArgs("smembers");
+    const members = [...this.dataStore.setMembers(args[0])];
+    return this.encodeSet(
+      members.map((member) => Encoder.createBulkString(member))
+    );
+  }
+
+  /**
+   * Handles the SISMEMBER command.
+   * @param {string[]} args - Arguments containing the key and the member.
+   * @returns {string} 1 if the member belongs to the set, otherwise 0, as an encoded integer.
+   */
+  handleSismember(args) {
+    if (args.length !== 2) return wrongNumberOfArgs("sismember");
+    const isMember = this.dataStore.setMembers(args[0]).has(args[1]);
+    return Encoder.createInteger(isMember ? 1 : 0);
+  }
+
+  /**
+   * Handles the SCARD command.
+   * @param {string[]} args - Arguments containing the key.
+   * @returns {string} The number of members as an encoded integer.
+   */
+  handleScard(args) {
+    if (args.length !== 1) return wrongNumberOfArgs("scard");
+    return Encoder.createInteger(this.dataStore.setSize(args[0]));
+  }
+
+  /**
+   * Handles the SINTER, SUNION and SDIFF commands.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the keys of the sets.
+   * @returns {string} The resulting members as an encoded set or array.
+   */
+  handleSetOperation(command, args) {
+    if (args.length < 1) return wrongNumberOfArgs(command);
+    const members = this.dataStore.setCombine(command.slice(1), args);
+    return this.encodeSet(
+      [...members].map((member) => Encoder.createBulkString(member))
+    );
+  }
+
+  /**
+   * Handles the SINTERSTORE, SUNIONSTORE and SDIFFSTORE commands.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the destination key followed by the keys of the sets.
+   * @returns {string} The number of members in the stored set as an encoded integer.
+   */
+  handleSetOperationStore(command, args) {
+    if (args.length < 2) return wrongNumberOfArgs(command);
+    const operation = command.slice(1, -"store".length);
+    const members = this.dataStore.setCombine(operation, args.slice(1));
+    return Encoder.createInteger(this.dataStore.setStore(args[0], members));
+  }
+
+  /**
+   * Handles the SRANDMEMBER command.
+   * @param {string[]} args - Arguments containing the key and an optional count.
+   * @returns {string} A random member as a bulk string, or an array of members when a count is given.
+   */
+  handleSrandmember(args) {
+    if (args.length < 1 || args.length > 2) {
+      return wrongNumberOfArgs("srandmember");
+    }
+    if (args.length === 1) {
+      const [member] = this.dataStore.setRandomMembers(args[0], 1);
+      if (member === undefined) return Encoder.createBulkString("", true);
+      return Encoder.createBulkString(member);
+    }
+    const count = parseInteger(args[1]);
+    if (count === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+    const members = this.dataStore.setRandomMembers(args[0], count);
+    return Encoder.createArray(
+      members.map((member) => Encoder.createBulkString(member))
+    );
+  }
+
+  /**
+   * Handles the SPOP command.
+   * The popped members are propagated to replicas as an SREM so that they remove the same members.
+   * @param {string[]} args - Arguments containing the key and an optional count.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleSpop(args, socket) {
+    if (args.length < 1 || args.length > 2) {
+      socket.write(wrongNumberOfArgs("spop"));
+      return;
+    }
+
+    let count = 1;
+    if (args.length === 2) {
+      count = parseInteger(args[1]);
+      if (count === null || count < 0) {
+        socket.write(
+          Encoder.createSimpleError("ERR value is out of range, must be positive")
+        );
+        return;
+      }
+    }
+
+    const popped = this.dataStore.setPop(args[0], count);
+    if (args.length === 1) {
+      if (popped.length === 0) socket.write(Encoder.createBulkString("", true));
+      else socket.write(Encoder.createBulkString(popped[0]));
+    } else {
+      socket.write(
+        Encoder.createArray(
+          popped.map((member) => Encoder.createBulkString(member))
+        )
+      );
+    }
+    if (popped.length > 0) {
+      this.propagate(encodeCommand(["SREM", args[0], ...popped]));
+    }
+  }
+
+  /**
+   * Handles the ZADD command.
+   * Only the members whose score changed are propagated to replicas, as a plain ZADD
+   * with their final scores, so that replicas don't have to re-evaluate the flags.
+   * @param {string[]} args - Arguments containing the key, optional flags and score and member pairs.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleZadd(args, socket) {
+    if (args.length < 3) {
+      socket.write(wrongNumberOfArgs("zadd"));
+      return;
+    }
+
+    const flags = {};
+    let i = 1;
+    while (i < args.length) {
+      const flag = args[i].toLowerCase();
+      if (!["nx", "xx", "gt", "lt", "ch", "incr"].includes(flag)) break;
+      flags[flag] = true;
+      i++;
+    }
+
+    const pairs = args.slice(i);
+    if (pairs.length === 0 || pairs.length % 2 !== 0) {
+      socket.write(Encoder.createSimpleError("ERR syntax error"));
+      return;
+    }
+    if (flags.incr && pairs.length !== 2) {
+      socket.write(
+        Encoder.createSimpleError(
+          "ERR INCR option supports a single increment-element pair"
+        )
+      );
+      return;
+    }
+    if (flags.nx && flags.xx) {
+      socket.write(
+        Encoder.createSimpleError(
+          "ERR XX and NX options at the same time are not compatible"
+        )
+      );
+      return;
+    }
+    if ((flags.gt && flags.lt) || (flags.nx && (flags.gt || flags.lt))) {
+      socket.write(
+        Encoder.createSimpleError(
+          "ERR GT, LT, and/or NX options at the same time are not compatible"
+        )
+      );
+      return;
+    }
+
+    const scoredMembers = [];
+    for (let j = 0; j < pairs.length; j += 2) {
+      const score = SortedSet.parseScore(pairs[j]);
+      if (score === null) {
+        socket.write(Encoder.createSimpleError("ERR value is not a valid float"));
+        return;
+      }
+      scoredMembers.push([pairs[j + 1], score]);
+    }
+
+    const result = this.applyZadd(args[0], scoredMembers, flags);
+    if (result.error) {
+      socket.write(Encoder.createSimpleError(result.error));
+      return;
+    }
+
+    if (flags.incr) {
+      if (result.score === null) {
+        socket.write(Encoder.createBulkString("", true));
+      } else {
+        socket.write(Encoder.createBulkString(formatScore(result.score)));
+      }
+    } else {
+      const count = flags.ch ? result.added + result.updated : result.added;
+      socket.write(Encoder.createInteger(count));
+    }
+    this.propagateZadd(args[0], result.changed);
+  }
+
+  /**
+   * Handles the ZINCRBY command.
+   * @param {string[]} args - Arguments containing the key, the increment and the member.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleZincrby(args, socket) {
+    if (args.length !== 3) {
+      socket.write(wrongNumberOfArgs("zincrby"));
+      return;
+    }
+    const increment = SortedSet.parseScore(args[1]);
+    if (increment === null) {
+      socket.write(Encoder.createSimpleError("ERR value is not a valid float"));
+      return;
+    }
+    const result = this.applyZadd(args[0], [[args[2], increment]], {
+      incr: true,
+    });
+    if (result.error) {
+      socket.write(Encoder.createSimpleError(result.error));
+      return;
+    }
+    socket.write(Encoder.createBulkString(formatScore(result.score)));
+    this.propagateZadd(args[0], result.changed);
+  }
+
+  /**
+   * Adds or updates members of a sorted set according to the ZADD flags.
+   * @param {string} key - The key of the sorted set.
+   * @param {Array<Array>} scoredMembers - An array of [member, score] pairs.
+   * @param {object} flags - The ZADD flags (nx, xx, gt, lt, incr) that are set.
+   * @returns {object} The number of added and updated members, the [member, score] pairs that changed,
+   * the score of the last member for INCR (null if it was not updated), or an error message.
+   */
+  applyZadd(key, scoredMembers, flags) {
+    const result = { added: 0, updated: 0, changed: [], score: null };
+    if (flags.xx && this.dataStore.sortedSetGet(key) === null) return result;
+
+    const sortedSet = this.dataStore.sortedSetGetOrCreate(key);
+    for (const [member, score] of scoredMembers) {
+      const current = sortedSet.getScore(member);
+      if (current === null) {
+        if (flags.xx) continue;
+        sortedSet.add(member, score);
+        result.added++;
+        result.changed.push([member, score]);
+        result.score = score;
+        continue;
+      }
+
+      if (flags.nx) continue;
+      const newScore = flags.incr ? current + score : score;
+      if (Number.isNaN(newScore)) {
+        result.error = "ERR resulting score is not a number (NaN)";
+        break;
+      }
+      if ((flags.gt && newScore <= current) || (flags.lt && newScore >= current)) {
+        continue;
+      }
+      result.score = newScore;
+      if (newScore === current) continue;
+      sortedSet.add(member, newScore);
+      result.updated++;
+      result.changed.push([member, newScore]);
+    }
+
+    this.dataStore.sortedSetRemoveIfEmpty(key);
+    return result;
+  }
+
+  /**
+   * Propagates sorted set changes to replicas as a plain ZADD with the final scores.
+   * @param {string} key - The key of the sorted set.
+   * @param {Array<Array>} changed - The [member, score] pairs that changed.
+   */
+  propagateZadd(key, changed) {
+    if (changed.length === 0) return;
+    const args = ["ZADD", key];
+    for (const [member, score] of changed) {
+      args.push(formatScore(score), member);
+    }
+    this.propagate(encodeCommand(args));
+  }
+
+  /**
+   * Handles the ZRANGE command and its ZREVRANGE, ZRANGEBYSCORE, ZREVRANGEBYSCORE,
+   * ZRANGEBYLEX and ZREVRANGEBYLEX variants.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key, the range and optional BYSCORE, BYLEX, REV, LIMIT and WITHSCORES options.
+   * @returns {string} The members in the range, optionally with their scores, as an encoded array.
+   */
+  handleZrange(command, args) {
+    if (args.length < 3) return wrongNumberOfArgs(command);
+
+    let by = "rank";
+    if (command.endsWith("byscore")) by = "score";
+    if (command.endsWith("bylex")) by = "lex";
+    let reverse = command.startsWith("zrev");
+    let withScores = false;
+    let limit = null;
+
+    for (let i = 3; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "byscore" && command === "zrange") by = "score";
+      else if (option === "bylex" && command === "zrange") by = "lex";
+      else if (option === "rev" && command === "zrange") reverse = true;
+      else if (option === "withscores" && !command.endsWith("bylex")) {
+        withScores = true;
+      } else if (option === "limit" && i + 2 < args.length) {
+        const offset = parseInteger(args[i + 1]);
+        const count = parseInteger(args[i + 2]);
+        if (offset === null || count === null) {
+          return Encoder.createSimpleError(NOT_AN_INTEGER);
+        }
+        limit = { offset, count };
+        i += 2;
+      } else {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
+    }
+
+    if (limit !== null && by === "rank") {
+      return Encoder.createSimpleError(
+        "ERR syntax error, LIMIT is only supported in combination with either BYSCORE or BYLEX"
+      );
+    }
+    if (withScores && by === "lex") {
+      return Encoder.createSimpleError(
+        "ERR syntax error, WITHSCORES not supported in combination with BYLEX"
+      );
+    }
+
+    const sortedSet = this.dataStore.sortedSetGet(args[0]);
+    let members = [];
+    if (by === "rank") {
+      const start = parseInteger(args[1]);
+      const stop = parseInteger(args[2]);
+      if (start === null || stop === null) {
+        return Encoder.createSimpleError(NOT_AN_INTEGER);
+      }
+      if (sortedSet !== null) {
+        const [from, to] = HashTable.normalizeRange(start, stop, sortedSet.size);
+        members = sortedSet.rangeByRank(from, to, reverse);
+      }
+    } else {
+      // Reversed ranges are given as max then min.
+      const minArg = reverse ? args[2] : args[1];
+      const maxArg = reverse ? args[1] : args[2];
+      const options = { reverse };
+      if (limit !== null) {
+        if (limit.offset < 0) return Encoder.createArray([]);
+        options.offset = limit.offset;
+        options.count = limit.count;
+      }
+
+      if (by === "score") {
+        const min = parseScoreBound(minArg);
+        const max = parseScoreBound(maxArg);
+        if (min === null || max === null) {
+          return Encoder.createSimpleError("ERR min or max is not a float");
+        }
+        if (sortedSet !== null) members = sortedSet.rangeByScore(min, max, options);
+      } else {
+        const min = parseLexBound(minArg);
+        const max = parseLexBound(maxArg);
+        if (min === null || max === null) {
+          return Encoder.createSimpleError(
+            "ERR min or max not valid string range item"
+          );
+        }
+        if (sortedSet !== null && minArg !== "+" && maxArg !== "-") {
+          members = sortedSet.rangeByLex(min, max, options);
+        }
+      }
+    }
+
+    const response = [];
+    for (const [member, score] of members) {
+      response.push(Encoder.createBulkString(member));
+      if (withScores) response.push(Encoder.createBulkString(formatScore(score)));
+    }
+    return Encoder.createArray(response);
+  }
+
+  /**
+   * Handles the ZREM command.
+   * @param {string[]} args - Arguments containing the key and the members to remove.
+   * @returns {string} The number of removed members as an encoded integer.
+   */
+  handleZrem(args) {
+    if (args.length < 2) return wrongNumberOfArgs("zrem");
+    const sortedSet = this.dataStore.sortedSetGet(args[0]);
+    if (sortedSet === null) return Encoder.createInteger(0);
+    let removed = 0;
+    for (const member of args.slice(1)) {
+      if (sortedSet.remove(member)) removed++;
+    }
+    this.dataStore.sortedSetRemoveIfEmpty(args[0]);
+    return Encoder.createInteger(removed);
+  }
+
+  /**
+   * Handles the ZCARD command.
+   * @param {string[]} args - Arguments containing the key.
+   * @returns {string} The number of members as an encoded integer.
+   */
+  handleZcard(args) {
+    if (args.length !== 1) return wrongNumberOfArgs("zcard");
+    const sortedSet = this.dataStore.sortedSetGet(args[0]);
+    return Encoder.createInteger(sortedSet === null ? 0 : sortedSet.size);
+  }
+
+  /**
+   * Handles the ZSCORE command.
+   * @param {string[]} args - Arguments containing the key and the member.
+   * @returns {string} The score as a bulk string, or a double on RESP3 connections, or null if not found.
+   */
+  handleZscore(args) {
+    if (args.length !== 2) return wrongNumberOfArgs("zscore");
+    const sortedSet = this.dataStore.sortedSetGet(args[0]);
+    const score = sortedSet === null ? null : sortedSet.getScore(args[1]);
+    if (score === null) return this.encodeNull();
+    return this.encodeDouble(score);
+  }
+
+  /**
+   * Handles the ZRANK and ZREVRANK commands.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key, the member and an optional WITHSCORE flag.
+   * @returns {string} The rank as an encoded integer, or a null bulk string if not found.
+   */
+  handleZrank(command, args) {
+    if (args.length < 2 || args.length > 3) return wrongNumberOfArgs(command);
+    const withScore = args.length === 3;
+    if (withScore && args[2].toLowerCase() !== "withscore") {
+      return Encoder.createSimpleError("ERR syntax error");
+    }
+
+    const sortedSet = this.dataStore.sortedSetGet(args[0]);
+    const rank =
+      sortedSet === null ? null : sortedSet.getRank(args[1], command === "zrevrank");
+    if (rank === null) {
+      return withScore
+        ? Encoder.createArray([], true)
+        : Encoder.createBulkString("", true);
+    }
+    if (!withScore) return Encoder.createInteger(rank);
+    return Encoder.createArray([
+      Encoder.createInteger(rank),
+      Encoder.createBulkString(formatScore(sortedSet.getScore(args[1]))),
+    ]);
+  }
+
+  /**
+   * Handles the ZPOPMIN and ZPOPMAX commands.
+   * The popped members are propagated to replicas as a ZREM.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key and an optional count.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleZpop(command, args, socket) {
+    if (args.length < 1 || args.length > 2) {
+      socket.write(wrongNumberOfArgs(command));
+      return;
+    }
+    let count = 1;
+    if (args.length === 2) {
+      count = parseInteger(args[1]);
+      if (count === null || count < 0) {
+        socket.write(
+          Encoder.createSimpleError("ERR value is out of range, must be positive")
+        );
+        return;
+      }
+    }
+
+    const sortedSet = this.dataStore.sortedSetGet(args[0]);
+    const popped =
+      sortedSet === null ? [] : sortedSet.pop(count, command === "zpopmax");
+    this.dataStore.sortedSetRemoveIfEmpty(args[0]);
+
+    const response = [];
+    for (const [member, score] of popped) {
+      response.push(Encoder.createBulkString(member));
+      response.push(Encoder.createBulkString(formatScore(score)));
+    }
+    socket.write(Encoder.createArray(response));
+    if (popped.length > 0) {
+      this.propagate(
+        encodeCommand(["ZREM", args[0], ...popped.map(([member]) => member)])
+      );
+    }
+  }
+
+  /**
+   * Handles the ZUNIONSTORE and ZINTERSTORE commands.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the destination, numkeys, the keys and optional WEIGHTS and AGGREGATE options.
+   * @returns {string} The number of members in the stored sorted set as an encoded integer.
+   */
+  handleZstore(command, args) {
+    if (args.length < 3) return wrongNumberOfArgs(command);
+    const numKeys = parseInteger(args[1]);
+    if (numKeys === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+    if (numKeys < 1) {
+      return Encoder.createSimpleError(
+        `ERR at least 1 input key is needed for '${command}' command`
+      );
+    }
+    if (args.length < 2 + numKeys) {
+      return Encoder.createSimpleError("ERR syntax error");
+    }
+
+    const keys = args.slice(2, 2 + numKeys);
+    let weights = keys.map(() => 1);
+    let aggregate = "sum";
+    for (let i = 2 + numKeys; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "weights" && i + numKeys < args.length) {
+        weights = args.slice(i + 1, i + 1 + numKeys).map(SortedSet.parseScore);
+        if (weights.includes(null)) {
+          return Encoder.createSimpleError("ERR weight value is not a float");
+        }
+        i += numKeys;
+      } else if (option === "aggregate" && i + 1 < args.length) {
+        aggregate = args[++i].toLowerCase();
+        if (!["sum", "min", "max"].includes(aggregate)) {
+          return Encoder.createSimpleError("ERR syntax error");
+        }
+      } else {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
+    }
+
+    const operation = command === "zunionstore" ? "union" : "inter";
+    const result = this.dataStore.sortedSetCombine(
+      operation,
+      keys,
+      weights,
+      aggregate
+    );
+    return Encoder.createInteger(this.dataStore.sortedSetStore(args[0], result));
+  }
+
+  /**
+   * Parses a database index argument.
+   * @param {string} value - The argument to parse.
+   * @returns {number|string} The index, or an encoded error if it isn't an existing database.
+   */
+  parseDbIndex(value) {
+    const index = parseInteger(value);
+    if (index === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+    if (index < 0 || index >= this.databases.length) {
+      return Encoder.createSimpleError("ERR DB index is out of range");
+    }
+    return index;
+  }
+
+  /**
+   * Handles the SELECT command by changing the database selected by the client.
+   * @param {string[]} args - Arguments containing the database index.
+   * @param {net.Socket} socket - The client socket.
+   * @returns {string} "OK" as an encoded simple string, or an error.
+   */
+  handleSelect(args, socket) {
+    if (args.length !== 1) return wrongNumberOfArgs("select");
+    const index = this.parseDbIndex(args[0]);
+    if (typeof index === "string") return index;
+    this.clients[getUid(socket)].db = index;
+    this.db = index;
+    this.dataStore = this.databases[index];
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Handles the SWAPDB command, which swaps the contents of two databases.
+   * Clients keep the same database index selected, so they see the other contents.
+   * @param {string[]} args - Arguments containing the two database indexes.
+   * @returns {string} "OK" as an encoded simple string, or an error.
+   */
+  handleSwapdb(args) {
+    if (args.length !== 2) return wrongNumberOfArgs("swapdb");
+    if (parseInteger(args[0]) === null) {
+      return Encoder.createSimpleError("ERR invalid first DB index");
+    }
+    if (parseInteger(args[1]) === null) {
+      return Encoder.createSimpleError("ERR invalid second DB index");
+    }
+    const first = this.parseDbIndex(args[0]);
+    if (typeof first === "string") return first;
+    const second = this.parseDbIndex(args[1]);
+    if (typeof second === "string") return second;
+
+    [this.databases[first], this.databases[second]] = [
+      this.databases[second],
+      this.databases[first],
+    ];
+    this.dataStore = this.databases[this.db];
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Handles the MOVE command, which moves a key to another database unless it already exists there.
+   * @param {string[]} args - Arguments containing the key and the destination database index.
+   * @param {net.Socket} socket - The client socket.
+   * @param {string} request - The raw request string to propagate.
+   */
+  handleMove(args, socket, request) {
+    if (args.length !== 2) {
+      socket.write(wrongNumberOfArgs("move"));
+      return;
+    }
+    const index = this.parseDbIndex(args[1]);
+    if (typeof index === "string") {
+      socket.write(index);
+      return;
+    }
+    if (index === this.db) {
+      socket.write(
+        Encoder.createSimpleError("ERR source and destination objects are the same")
+      );
+      return;
+    }
+    const moved = this.dataStore.move(args[0], this.databases[index]);
+    socket.write(Encoder.createInteger(moved ? 1 : 0));
+    if (moved) this.propagate(request);
+  }
+
+  /**
+   * Handles the FLUSHDB and FLUSHALL commands, which delete every key of the selected database or of all of them.
+   * The ASYNC and SYNC modifiers are accepted, and both flush synchronously.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the optional ASYNC or SYNC modifier.
+   * @returns {string} "OK" as an encoded simple string, or an error.
+   */
+  handleFlush(command, args) {
+    if (args.length > 1) return wrongNumberOfArgs(command);
+    if (args.length === 1 && !["async", "sync"].includes(args[0].toLowerCase())) {
+      return Encoder.createSimpleError("ERR syntax error");
+    }
+    const databases = command === "flushall" ? this.databases : [this.dataStore];
+    for (const dataStore of databases) dataStore.clear();
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Handles the 'info' command to provide server status information.
+   * @param {string[]} args - Array containing the section to return information about.
+   * @returns {string} Encoded bulk string containing the requested information.
+   */
+  handleInfo(args) {
+    const section = args.length > 0 ? args[0].toLowerCase() : "default";
+    const includes = (name) => ["all", "default", name].includes(section);
+    const sections = [];
+    if (includes("clients")) {
+      sections.push(
+        "# Clients\n" +
+          `connected_clients:${Object.keys(this.clients).length}\n` +
+          `blocked_clients:${this.blocking.size}`
+      );
+    }
+    if (includes("persistence")) {
+      sections.push(
+        "# Persistence\n" +
+          `rdb_changes_since_last_save:${this.dirty}\n` +
+          `rdb_bgsave_in_progress:${this.bgsaveInProgress ? 1 : 0}\n` +
+          `rdb_last_save_time:${Math.floor(this.lastSave / 1000)}\n` +
+          `rdb_last_bgsave_status:${this.lastBgsaveStatus}\n` +
+          `aof_enabled:${this.aof !== null ? 1 : 0}\n` +
+          `aof_rewrite_in_progress:${this.aofRewriteInProgress ? 1 : 0}\n` +
+          `aof_rewrite_scheduled:${this.aofRewriteScheduled ? 1 : 0}\n` +
+          `aof_last_bgrewrite_status:${this.lastAofRewriteStatus}`
+      );
+    }
+    if (includes("stats")) {
+      const expiredKeys = this.databases.reduce((sum, dataStore) => sum + dataStore.expiredKeys, 0);
+      sections.push(
+        "# Stats\n" +
+          `expired_keys:${expiredKeys}\n` +
+          `expired_stale_perc:${this.expiredStalePercent.toFixed(2)}\n` +
+          `expired_time_cap_reached_count:${this.expiredTimeCapReachedCount}`
+      );
+    }
+    if (includes("replication")) {
+      let response = "role:master\n";
+      response += `connected_slaves:${Object.keys(this.replicas).length}\n`;
+      response += `master_replid:${this.masterReplId}\n`;
+      response += `master_repl_offset:${this.masterReplOffset}\n`;
+      response += `repl_backlog_active:${this.backlog === null ? 0 : 1}\n`;
+      response += `repl_backlog_size:${this.config["repl-backlog-size"]}\n`;
+      response += `repl_backlog_first_byte_offset:${this.backlog === null ? 0 : this.backlog.offset}\n`;
+      response += `repl_backlog_histlen:${this.backlog === null ? 0 : this.backlog.length}`;
+      sections.push(response);
+    }
+    if (includes("keyspace")) {
+      let response = "# Keyspace";
+      this.databases.forEach((dataStore, index) => {
+        if (dataStore.size === 0) return;
+        response +=
+          `\ndb${index}:keys=${dataStore.size},expires=${dataStore.volatileKeys.size},` +
+          `avg_ttl=${Math.round(dataStore.averageTtl)}`;
+      });
+      sections.push(response);
+    }
+    const info = sections.join("\n\n");
+    return this.protocol === 3 ? Encoder.createVerbatimString(info) : Encoder.createBulkString(info);
+  }
+
+  /**
+   * Handles the 'replconf' command for replica configuration.
+   * @param {string[]} args - Array containing configuration arguments.
+   * @param {net.Socket} socket - The socket to which the response should be sent.
+   */
+  handleReplconf(args, socket) {
+    const arg = args[0].toLowerCase();
+    if (arg === "ack") {
+      this.acknowledgeReplica(parseInt(args[1]));
+    } else {
+      socket.write(Encoder.createSimpleString("OK"));
+    }
+  }
+
+  /**
+   * Handles the 'psync' command for initializing synchronization with a replica.
+   * A replica that already holds the data set up to an offset still covered by the backlog, as
+   * given by the replication ID and the offset of the next byte it needs, is sent the rest of the
+   * stream after a +CONTINUE reply. Otherwise it is sent a snapshot of the current data store.
+   * Until the snapshot has been flushed to the socket, writes propagated to the replica are
+   * buffered, and they are replayed once the transfer completes.
+   * @param {string[]} args - Array containing synchronization arguments.
+   * @param {net.Socket} socket - The socket to which the response should be sent.
+   */
+  handlePsync(args, socket) {
+    if (this.backlog === null) {
+      this.backlog = new ReplicationBacklog(Number(this.config["repl-backlog-size"]), this.masterReplOffset);
+    }
+    const offset = parseInteger(args[1] ?? "");
+    if (args[0] === this.masterReplId && offset !== null && this.backlog.covers(offset)) {
+      console.log(`Partial resynchronization of replica ${getUid(socket)} from offset ${offset}`);
+      socket.write(Encoder.createSimpleString(`CONTINUE ${this.masterReplId}`));
+      socket.write(this.backlog.readFrom(offset));
+      this.replicas[getUid(socket)] = { socket, state: "connected", pendingWrites: [] };
+      return;
+    }
+
+    socket.write(
+      Encoder.createSimpleString(
+        `FULLRESYNC ${this.masterReplId} ${this.masterReplOffset}`
+      )
+    );
+
+    // Register the replica before anything else is propagated, so that no write is missed.
+    const replica = { socket, state: "sync", pendingWrites: [] };
+    this.replicas[getUid(socket)] = replica;
+    this.propagatedDb = -1; // The replica starts with database 0 selected.
+
+    const rdb = new RDBWriter(this.databases).write();
+    const finalBuffer = Buffer.concat([Buffer.from(`$${rdb.length}\r\n`), rdb]);
+    socket.write(finalBuffer, () => this.completeReplicaSync(replica));
+  }
+
+  /**
+   * Marks a replica as connected once its snapshot has been sent, and replays
+   * the writes buffered during the transfer.
+   * @param {Object} replica - The replica whose synchronization completed.
+   */
+  completeReplicaSync(replica) {
+    for (const write of replica.pendingWrites) replica.socket.write(write);
+    replica.pendingWrites = [];
+    replica.state = "connected";
+  }
+
+  /**
+   * Sends data to a replica, buffering it while the replica is still receiving its snapshot.
+   * @param {Object} replica - The replica to send the data to.
+   * @param {string|Buffer} data - The data to send.
+   */
+  writeToReplica(replica, data) {
+    if (replica.state === "sync") replica.pendingWrites.push(data);
+    else replica.socket.write(data);
+  }
+
+  /**
+   * Propagates a request to all connected replicas and logs it to the append-only file.
+   * The request is preceded by a SELECT when it runs against another database than the previous one.
+   * Nothing is propagated while the append-only file is being replayed, and the requests of
+   * a transaction are held back until EXEC sends them as one block.
+   * Clients watching a key modified by the request are flagged.
+   * @param {string} request - The raw request string to be propagated.
+   * @param {number} [db=this.db] - The database the request runs against.
+   */
+  propagate(request, db = this.db) {
+    if (this.loading) return;
+    this.dirty++;
+    if (this.watchedKeys.size > 0 || this.blocking.size > 0) {
+      const writtenKeys = this.getWrittenKeys(new RequestParser(request).parse(), db);
+      this.touchWatchedKeys(writtenKeys);
+      for (const { db: index, key } of writtenKeys) this.blocking.signalKey(index, key);
+    }
+    if (this.propagatedDb !== db) {
+      request = encodeCommand(["SELECT", `${db}`]) + request;
+      this.propagatedDb = db;
+    }
+    if (this.transactionPropagation !== null) {
+      this.transactionPropagation.push(request);
+      return;
+    }
+    this.feedReplicationStream(request);
+  }
+
+  /**
+   * Sends propagated data to all connected replicas and logs it to the append-only file.
+   * @param {string} data - The encoded commands.
+   */
+  feedReplicationStream(data) {
+    if (this.aof !== null) this.aof.append(data);
+    this.feedReplicas(data);
+  }
+
+  /**
+   * Sends data to all connected replicas as part of the replication stream, keeping it in the backlog
+   * and advancing the replication offset, for replicas that reconnect to resume from.
+   * @param {string} data - The encoded commands.
+   */
+  feedReplicas(data) {
+    for (const replica of Object.values(this.replicas)) {
+      this.writeToReplica(replica, data);
+    }
+    if (this.backlog !== null) this.backlog.append(data);
+    this.masterReplOffset += data.length;
+  }
+
+  /**
+   * Handles the 'wait' command for synchronization wait logic.
+   * @param {string[]} args - Arguments containing number of required replicas and timeout.
+   * @param {net.Socket} socket - The socket on which to perform the wait.
+   */
+  handleWait(args, socket) {
+    if (Object.keys(this.replicas).length === 0) {
+      socket.write(Encoder.createInteger(0));
+      return;
+    }
+    if (this.masterReplOffset === 0) {
+      socket.write(Encoder.createInteger(Object.keys(this.replicas).length));
+      return;
+    }
+
+    let numOfReqReplicas = args[0];
+    let timeoutTime = args[1];
+
+    // Register a wait
+    this.wait = {};
+    this.wait.numOfAckReplicas = 0;
+    this.wait.numOfReqReplicas = numOfReqReplicas;
+    this.wait.socket = socket;
+    this.wait.isDone = false;
+    this.wait.offset = this.masterReplOffset; // Replicas acknowledge the offset preceding the GETACK.
+    this.wait.timeout = setTimeout(() => {
+      this.respondToWait();
+    }, timeoutTime);
+
+    this.feedReplicas(
+      Encoder.createArray([
+        Encoder.createBulkString("REPLCONF"),
+        Encoder.createBulkString("GETACK"),
+        Encoder.createBulkString("*"),
+      ])
+    );
+  }
+
+  /**
+   * Responds to a wait request after the timeout or when conditions are met.
+   */
+  respondToWait() {
+    clearTimeout(this.wait.timeout);
+    this.wait.socket.write(Encoder.createInteger(this.wait.numOfAckReplicas));
+    this.wait.isDone = true;
+  }
+
+  /**
+   * Acknowledges the reception of data from a replica up to the specified offset.
    * @param {number} replicaOffset - The offset up to which data has been received.
    */
-  acknowledgeReplica(replicaOffset) {
-    if (this.wait.isDone) return;
-    if (replicaOffset >= this.masterReplOffset) {
-      this.wait.numOfAckReplicas++;
-      if (this.wait.numOfAckReplicas >= this.wait.numOfReqReplicas)
-        this.respondToWait();
+  acknowledgeReplica(replicaOffset) {
+    if (this.wait.isDone) return;
+    if (replicaOffset >= this.wait.offset) {
+      this.wait.numOfAckReplicas++;
+      if (this.wait.numOfAckReplicas >= this.wait.numOfReqReplicas)
+        this.respondToWait();
+    }
+  }
+
+  /**
+   * Handles the CONFIG GET and CONFIG SET commands.
+   * Parameter names are matched case-insensitively, and CONFIG GET accepts glob patterns.
+   *
+   * @param {Array} args - The arguments passed to the function.
+   * @returns {Array} - An array containing the encoded configuration.
+   */
+  handleConfig(args) {
+    if (args.length < 2) return wrongNumberOfArgs("config");
+    const subcommand = args[0].toLowerCase();
+
+    if (subcommand === "get") {
+      const response = [];
+      for (const pattern of args.slice(1)) {
+        for (const name of Object.keys(this.config)) {
+          if (!GlobMatcher.match(pattern.toLowerCase(), name.toLowerCase())) continue;
+          response.push([
+            Encoder.createBulkString(name.toLowerCase()),
+            Encoder.createBulkString(`${this.config[name]}`),
+          ]);
+        }
+      }
+      return this.encodeMap(response);
+    }
+
+    if (subcommand === "set") {
+      if (args.length % 2 === 0) return wrongNumberOfArgs("config|set");
+      for (let i = 1; i < args.length; i += 2) {
+        const name = Object.keys(this.config).find(
+          (key) => key.toLowerCase() === args[i].toLowerCase()
+        );
+        if (name === undefined) {
+          return Encoder.createSimpleError(
+            `ERR Unknown option or number of arguments for CONFIG SET - '${args[i]}'`
+          );
+        }
+        const error = this.setConfig(name, args[i + 1]);
+        if (error !== null) return error;
+      }
+      return Encoder.createSimpleString("OK");
+    }
+
+    return Encoder.createSimpleError(
+      `ERR unknown subcommand '${args[0]}'. Try CONFIG HELP.`
+    );
+  }
+
+  /**
+   * Sets a configuration option, validating and applying the options that take effect immediately.
+   * @param {string} name - The name of the option, as found in the configuration.
+   * @param {string} value - The new value of the option.
+   * @returns {string|null} An encoded error if the value is invalid, otherwise null.
+   */
+  setConfig(name, value) {
+    if (MasterServer.IMMUTABLE_CONFIG.includes(name)) {
+      return Encoder.createSimpleError(
+        `ERR CONFIG SET failed (possibly related to argument '${name.toLowerCase()}') - can't set immutable config`
+      );
+    }
+    const allowedValues = {
+      appendOnly: ["yes", "no"],
+      appendFsync: AppendOnlyFile.FSYNC_POLICIES,
+    }[name];
+    if (allowedValues !== undefined) {
+      value = value.toLowerCase();
+      if (!allowedValues.includes(value)) {
+        return Encoder.createSimpleError(
+          `ERR CONFIG SET failed (possibly related to argument '${name.toLowerCase()}') - ` +
+            `argument(s) must be one of the following: ${allowedValues.join(", ")}`
+        );
+      }
+    }
+    if (MasterServer.MEMORY_CONFIG.includes(name)) {
+      const bytes = parseMemory(value);
+      if (bytes === null || bytes < MasterServer.MIN_MEMORY_CONFIG) {
+        return Encoder.createSimpleError(
+          `ERR CONFIG SET failed (possibly related to argument '${name}') - ` +
+            (bytes === null
+              ? "argument must be a memory value"
+              : `argument must be between ${MasterServer.MIN_MEMORY_CONFIG} and ${INT64_MAX} inclusive`)
+        );
+      }
+      value = `${bytes}`;
+    }
+
+    this.config[name] = value;
+    if (name === "appendOnly") {
+      if (value === "yes" && this.aof === null) this.startAppendOnly();
+      if (value === "no" && this.aof !== null) this.stopAppendOnly();
+    }
+    if (name === "appendFsync" && this.aof !== null) this.aof.fsyncPolicy = value;
+    if (name === "repl-backlog-size" && this.backlog !== null) this.backlog.resize(Number(value));
+    return null;
+  }
+
+  /**
+   * Handles the keys command.
+   *
+   * @param {Array} args - The arguments passed to the keys command, containing a glob pattern.
+   * @returns {string} - The keys matching the pattern as an encoded array.
+   */
+  handleKeys(args) {
+    if (args.length !== 1) return wrongNumberOfArgs("keys");
+    const keys = this.dataStore.getAllKeys().filter((key) => GlobMatcher.match(args[0], key));
+    return Encoder.createArray(keys.map((key) => Encoder.createBulkString(key)));
+  }
+
+  /**
+   * Handles the SCAN command.
+   * @param {string[]} args - Arguments containing the cursor and optional MATCH, COUNT and TYPE options.
+   * @returns {string} An encoded array with the next cursor and the scanned keys.
+   */
+  handleScan(args) {
+    if (args.length < 1) return wrongNumberOfArgs("scan");
+    const cursor = parseInteger(args[0]);
+    if (cursor === null || cursor < 0 || cursor > 0xffffffff) {
+      return Encoder.createSimpleError("ERR invalid cursor");
+    }
+
+    let pattern = null;
+    let count = 10;
+    let type = null;
+    for (let i = 1; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "match" && i + 1 < args.length) {
+        pattern = args[++i];
+      } else if (option === "count" && i + 1 < args.length) {
+        count = parseInteger(args[++i]);
+        if (count === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+        if (count < 1) return Encoder.createSimpleError("ERR syntax error");
+      } else if (option === "type" && i + 1 < args.length) {
+        type = args[++i].toLowerCase();
+      } else {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
+    }
+
+    const [nextCursor, keys] = this.dataStore.scan(cursor, count);
+    const response = keys.filter(
+      (key) =>
+        (pattern === null || GlobMatcher.match(pattern, key)) &&
+        (type === null || this.dataStore.getType(key) === type)
+    );
+    return Encoder.createArray([
+      Encoder.createBulkString(`${nextCursor}`),
+      Encoder.createArray(response.map((key) => Encoder.createBulkString(key))),
+    ]);
+  }
+
+  /**
+   * Handles the EXISTS command. Keys given several times are counted several times.
+   * @param {string[]} args - The keys to check.
+   * @returns {string} The number of existing keys as an encoded integer.
+   */
+  handleExists(args) {
+    if (args.length < 1) return wrongNumberOfArgs("exists");
+    return Encoder.createInteger(args.filter((key) => this.dataStore.has(key)).length);
+  }
+
+  /**
+   * Handles the RENAME and RENAMENX commands. The key keeps its expiry under its new name.
+   * RENAMENX only renames the key if the new name isn't taken.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key and its new name.
+   * @param {net.Socket} socket - The client socket.
+   * @param {string} request - The raw request string to propagate.
+   */
+  handleRename(command, args, socket, request) {
+    if (args.length !== 2) {
+      socket.write(wrongNumberOfArgs(command));
+      return;
+    }
+    const [key, newKey] = args;
+    if (!this.dataStore.has(key)) {
+      socket.write(Encoder.createSimpleError("ERR no such key"));
+      return;
+    }
+    if (command === "renamenx" && this.dataStore.has(newKey)) {
+      socket.write(Encoder.createInteger(0));
+      return;
+    }
+    this.dataStore.rename(key, newKey);
+    socket.write(
+      command === "renamenx" ? Encoder.createInteger(1) : Encoder.createSimpleString("OK")
+    );
+    this.propagate(request);
+  }
+
+  /**
+   * Handles the COPY command, which copies a key along with its expiry,
+   * optionally to another database with DB and over an existing key with REPLACE.
+   * @param {string[]} args - Arguments containing the source, the destination and the options.
+   * @param {net.Socket} socket - The client socket.
+   * @param {string} request - The raw request string to propagate.
+   */
+  handleCopy(args, socket, request) {
+    if (args.length < 2) {
+      socket.write(wrongNumberOfArgs("copy"));
+      return;
+    }
+    const [source, destination] = args;
+    let index = this.db;
+    let replace = false;
+    for (let i = 2; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "db" && i + 1 < args.length) {
+        index = this.parseDbIndex(args[++i]);
+        if (typeof index === "string") {
+          socket.write(index);
+          return;
+        }
+      } else if (option === "replace") {
+        replace = true;
+      } else {
+        socket.write(Encoder.createSimpleError("ERR syntax error"));
+        return;
+      }
+    }
+    if (index === this.db && source === destination) {
+      socket.write(Encoder.createSimpleError("ERR source and destination objects are the same"));
+      return;
+    }
+    const copied = this.dataStore.copy(source, this.databases[index], destination, replace);
+    socket.write(Encoder.createInteger(copied ? 1 : 0));
+    if (copied) this.propagate(request);
+  }
+
+  /**
+   * Handles the RANDOMKEY command.
+   * @returns {string} A random key as an encoded bulk string, or a null bulk string if the database is empty.
+   */
+  handleRandomkey() {
+    const key = this.dataStore.randomKey();
+    if (key === null) return Encoder.createBulkString("", true);
+    return Encoder.createBulkString(key);
+  }
+
+  /**
+   * Handles the DBSIZE command.
+   * @returns {string} The number of keys in the selected database as an encoded integer.
+   */
+  handleDbsize() {
+    return Encoder.createInteger(this.dataStore.size);
+  }
+
+  /**
+   * Handles the type command.
+   *
+   * @param {Array} args - The command arguments.
+   * @returns {string} - The response string.
+   */
+  handleType(args) {
+    const key = args[0];
+    const type = this.dataStore.getType(key);
+    if (type) return Encoder.createSimpleString(type);
+    return Encoder.createSimpleString("none");
+  }
+
+  /**
+   * Handles the DEL and UNLINK commands. Both delete the keys synchronously.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the keys to delete.
+   * @param {net.Socket} socket - The client socket.
+   * @param {string} request - The raw request string to propagate.
+   */
+  handleDel(command, args, socket, request) {
+    if (args.length < 1) {
+      socket.write(wrongNumberOfArgs(command));
+      return;
+    }
+    const deleted = args.filter((key) => this.dataStore.delete(key)).length;
+    socket.write(Encoder.createInteger(deleted));
+    if (deleted > 0) this.propagate(request);
+  }
+
+  /**
+   * Handles the EXPIRE, PEXPIRE, EXPIREAT and PEXPIREAT commands, with the NX, XX, GT and LT options.
+   * A key without an expiry counts as having an infinite one for GT and LT.
+   * The expiry is propagated as an absolute PEXPIREAT so that replicas and the append-only file
+   * don't depend on when they apply it. An expiry in the past deletes the key, which is propagated as a DEL.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key, the time and optional options.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleExpire(command, args, socket) {
+    if (args.length < 2) {
+      socket.write(wrongNumberOfArgs(command));
+      return;
+    }
+    const [key, time] = args;
+    const flags = {};
+    for (const option of args.slice(2)) {
+      const flag = option.toLowerCase();
+      if (!["nx", "xx", "gt", "lt"].includes(flag)) {
+        socket.write(Encoder.createSimpleError(`ERR Unsupported option ${option}`));
+        return;
+      }
+      flags[flag] = true;
+    }
+    if (flags.nx && (flags.xx || flags.gt || flags.lt)) {
+      socket.write(
+        Encoder.createSimpleError(
+          "ERR NX and XX, GT or LT options at the same time are not compatible"
+        )
+      );
+      return;
+    }
+    if (flags.gt && flags.lt) {
+      socket.write(
+        Encoder.createSimpleError("ERR GT and LT options at the same time are not compatible")
+      );
+      return;
+    }
+
+    const amount = parseInt64(time);
+    if (amount === null) {
+      socket.write(Encoder.createSimpleError(NOT_AN_INTEGER));
+      return;
+    }
+    let timestamp = command.startsWith("p") ? amount : amount * 1000n;
+    if (!command.endsWith("at")) timestamp += BigInt(Date.now());
+    if (timestamp < INT64_MIN || timestamp > INT64_MAX) {
+      socket.write(
+        Encoder.createSimpleError(`ERR invalid expire time in '${command}' command`)
+      );
+      return;
+    }
+
+    if (!this.dataStore.has(key)) {
+      socket.write(Encoder.createInteger(0));
+      return;
+    }
+    const current = this.dataStore.getExpiry(key);
+    const expiry = Number(timestamp);
+    const skip =
+      (flags.nx && current !== null) ||
+      (flags.xx && current === null) ||
+      (flags.gt && (current === null || expiry <= current)) ||
+      (flags.lt && current !== null && expiry >= current);
+    if (skip) {
+      socket.write(Encoder.createInteger(0));
+      return;
+    }
+
+    if (expiry <= Date.now()) {
+      this.dataStore.delete(key);
+      socket.write(Encoder.createInteger(1));
+      this.propagate(encodeCommand(["DEL", key]));
+      return;
+    }
+    this.dataStore.setExpiry(key, expiry);
+    socket.write(Encoder.createInteger(1));
+    this.propagate(encodeCommand(["PEXPIREAT", key, `${expiry}`]));
+  }
+
+  /**
+   * Handles the TTL, PTTL, EXPIRETIME and PEXPIRETIME commands.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments containing the key.
+   * @returns {string} The remaining time to live, or the UNIX time of the expiry, as an encoded integer;
+   * -1 if the key has no expiry and -2 if it does not exist.
+   */
+  handleTtl(command, args) {
+    if (args.length !== 1) return wrongNumberOfArgs(command);
+    if (!this.dataStore.has(args[0])) return Encoder.createInteger(-2);
+    const expiry = this.dataStore.getExpiry(args[0]);
+    if (expiry === null) return Encoder.createInteger(-1);
+
+    const ttl = Math.max(expiry - Date.now(), 0);
+    switch (command) {
+      case "ttl":
+        return Encoder.createInteger(Math.floor((ttl + 500) / 1000));
+      case "pttl":
+        return Encoder.createInteger(ttl);
+      case "expiretime":
+        return Encoder.createInteger(Math.floor((expiry + 500) / 1000));
+      default:
+        return Encoder.createInteger(expiry);
+    }
+  }
+
+  /**
+   * Handles the PERSIST command, which removes the expiry of a key.
+   * @param {string[]} args - Arguments containing the key.
+   * @param {net.Socket} socket - The client socket.
+   * @param {string} request - The raw request string to propagate.
+   */
+  handlePersist(args, socket, request) {
+    if (args.length !== 1) {
+      socket.write(wrongNumberOfArgs("persist"));
+      return;
+    }
+    if (this.dataStore.getExpiry(args[0]) === null) {
+      socket.write(Encoder.createInteger(0));
+      return;
+    }
+    this.dataStore.setExpiry(args[0], null);
+    socket.write(Encoder.createInteger(1));
+    this.propagate(request);
+  }
+
+  /**
+   * Parses the options of XADD and XTRIM: NOMKSTREAM for XADD, a MAXLEN or MINID trimming strategy
+   * with its threshold, optionally approximate with "~", and the LIMIT of approximate trimming.
+   * @param {string[]} args - The arguments of the command, starting with the key.
+   * @param {boolean} isXadd - True for XADD, whose options end at the ID of the entry.
+   * @returns {object|string} The options, with the trimming options or null and the index of the argument
+   * following them, or an encoded error.
+   */
+  parseStreamTrimOptions(args, isXadd) {
+    let noMkStream = false;
+    let trim = null;
+    let limit = null;
+    let i = 1;
+    for (; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      const moreArgs = args.length - i - 1;
+      if (isXadd && option === "nomkstream") {
+        noMkStream = true;
+      } else if ((option === "maxlen" || option === "minid") && moreArgs >= 1) {
+        if (trim !== null && trim.strategy !== option) {
+          return Encoder.createSimpleError("ERR syntax error, MAXLEN and MINID options at the same time are not compatible");
+        }
+        let approx = false;
+        if ((args[i + 1] === "~" || args[i + 1] === "=") && moreArgs >= 2) {
+          approx = args[++i] === "~";
+        }
+        const value = args[++i];
+        let threshold;
+        if (option === "maxlen") {
+          threshold = parseInteger(value);
+          if (threshold === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+          if (threshold < 0) return Encoder.createSimpleError("ERR The MAXLEN argument must be >= 0.");
+        } else {
+          threshold = Stream.parseIdArg(value);
+          if (threshold === null) return Encoder.createSimpleError(INVALID_STREAM_ID);
+        }
+        trim = { strategy: option, threshold, approx };
+      } else if (option === "limit" && moreArgs >= 1) {
+        limit = parseInteger(args[++i]);
+        if (limit === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+        if (limit < 0) return Encoder.createSimpleError("ERR The LIMIT argument must be >= 0.");
+      } else if (isXadd) {
+        break; // The ID of the entry.
+      } else {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
+    }
+
+    if (!isXadd && trim === null) return Encoder.createSimpleError("ERR syntax error");
+    if (limit !== null && trim === null) {
+      return Encoder.createSimpleError("ERR syntax error, LIMIT cannot be used without specifying a trimming strategy");
+    }
+    if (limit !== null && !trim.approx) {
+      return Encoder.createSimpleError("ERR syntax error, LIMIT cannot be used without the special ~ option");
+    }
+    if (trim !== null) {
+      // Approximate trimming removes at most 100 nodes by default, so that it never takes long.
+      trim.limit = limit ?? (trim.approx ? 100 * Stream.NODE_MAX_ENTRIES : 0);
+    }
+    return { noMkStream, trim, index: i };
+  }
+
+  /**
+   * Handles the XADD command by inserting a new entry into the specified stream,
+   * which can be trimmed afterwards with the MAXLEN or MINID option.
+   *
+   * @param {Array} args - The arguments passed to the XADD command.
+   * @param {Socket} socket - The socket object for communication.
+   * @returns {void}
+   */
+  handleXadd(args, socket) {
+    if (args.length < 4) {
+      socket.write(wrongNumberOfArgs("xadd"));
+      return;
+    }
+    const options = this.parseStreamTrimOptions(args, true);
+    if (typeof options === "string") {
+      socket.write(options);
+      return;
+    }
+    const streamKey = args[0];
+    const streamEntryId = args[options.index];
+    const fields = args.slice(options.index + 1);
+    if (fields.length === 0 || fields.length % 2 !== 0) {
+      socket.write(wrongNumberOfArgs("xadd"));
+      return;
+    }
+    const isValidId =
+      streamEntryId === "*" ||
+      (/^\d+-\*$/.test(streamEntryId) && Stream.parseIdArg(streamEntryId.slice(0, -2)) !== null) ||
+      Stream.parseId(streamEntryId) !== null;
+    if (!isValidId) {
+      socket.write(Encoder.createSimpleError(INVALID_STREAM_ID));
+      return;
+    }
+
+    if (streamEntryId === Stream.ZERO_ID) {
+      socket.write(
+        Encoder.createSimpleError(
+          "ERR The ID specified in XADD must be greater than 0-0"
+        )
+      );
+      return;
+    }
+
+    if (options.noMkStream && this.dataStore.getStream(streamKey) === null) {
+      socket.write(this.encodeNull());
+      return;
+    }
+    const entryId = this.dataStore.insertStream(streamKey, streamEntryId, fields);
+    if (entryId === null) {
+      socket.write(
+        Encoder.createSimpleError(
+          "ERR The ID specified in XADD is equal or smaller than the target stream top item"
+        )
+      );
+      return;
+    }
+    const stream = this.dataStore.getStream(streamKey);
+    const trimmed = options.trim === null ? 0 : stream.trim(options.trim);
+
+    socket.write(Encoder.createBulkString(entryId));
+    // Propagate the generated ID rather than "*", and the resulting length rather than the trimming
+    // options, so that replicas store the same entries even when trimming is approximate.
+    const trimArgs = trimmed > 0 ? ["MAXLEN", "=", `${stream.length}`] : [];
+    this.propagate(encodeCommand(["XADD", streamKey, ...trimArgs, entryId, ...fields]));
+  }
+
+  /**
+   * Handles the XTRIM command, which removes the oldest entries of a stream.
+   * @param {string[]} args - The key and the MAXLEN or MINID trimming options.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleXtrim(args, socket) {
+    if (args.length < 3) {
+      socket.write(wrongNumberOfArgs("xtrim"));
+      return;
+    }
+    const options = this.parseStreamTrimOptions(args, false);
+    if (typeof options === "string") {
+      socket.write(options);
+      return;
+    }
+    const stream = this.dataStore.getStream(args[0]);
+    const trimmed = stream === null ? 0 : stream.trim(options.trim);
+    socket.write(Encoder.createInteger(trimmed));
+    if (trimmed > 0) {
+      this.propagate(encodeCommand(["XTRIM", args[0], "MAXLEN", "=", `${stream.length}`]));
+    }
+  }
+
+  /**
+   * Handles the XDEL command, which deletes entries from a stream.
+   * @param {string[]} args - The key and the IDs of the entries.
+   * @returns {string} The number of deleted entries as an encoded integer, or an error.
+   */
+  handleXdel(args) {
+    if (args.length < 2) return wrongNumberOfArgs("xdel");
+    const ids = args.slice(1).map((id) => Stream.parseIdArg(id));
+    if (ids.includes(null)) return Encoder.createSimpleError(INVALID_STREAM_ID);
+    const stream = this.dataStore.getStream(args[0]);
+    if (stream === null) return Encoder.createInteger(0);
+    return Encoder.createInteger(ids.filter((id) => stream.delete(id)).length);
+  }
+
+  /**
+   * Handles the XLEN command.
+   * @param {string[]} args - The key.
+   * @returns {string} The number of entries of the stream as an encoded integer, 0 if the key does not exist.
+   */
+  handleXlen(args) {
+    if (args.length !== 1) return wrongNumberOfArgs("xlen");
+    const stream = this.dataStore.getStream(args[0]);
+    return Encoder.createInteger(stream === null ? 0 : stream.length);
+  }
+
+  /**
+   * Handles the XSETID command, which sets the last ID of a stream, and optionally the number of entries
+   * ever added and the greatest deleted ID, as used to rebuild streams from the append-only file.
+   * @param {string[]} args - The key, the last ID, and the ENTRIESADDED and MAXDELETEDID options.
+   * @returns {string} "OK" as an encoded simple string, or an error.
+   */
+  handleXsetid(args) {
+    if (args.length < 2) return wrongNumberOfArgs("xsetid");
+    const lastId = Stream.parseIdArg(args[1]);
+    if (lastId === null) return Encoder.createSimpleError(INVALID_STREAM_ID);
+    let entriesAdded = null;
+    let maxDeletedId = null;
+    for (let i = 2; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "entriesadded" && i + 1 < args.length) {
+        entriesAdded = parseInteger(args[++i]);
+        if (entriesAdded === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+        if (entriesAdded < 0) return Encoder.createSimpleError("ERR entries_added must be positive");
+      } else if (option === "maxdeletedid" && i + 1 < args.length) {
+        maxDeletedId = Stream.parseIdArg(args[++i]);
+        if (maxDeletedId === null) return Encoder.createSimpleError(INVALID_STREAM_ID);
+        if (Stream.compareIds(lastId, maxDeletedId) < 0) {
+          return Encoder.createSimpleError("ERR The ID specified in XSETID is smaller than the provided max_deleted_entry_id");
+        }
+      } else {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
+    }
+
+    const stream = this.dataStore.getStream(args[0]);
+    if (stream === null) return Encoder.createSimpleError("ERR no such key");
+    if (stream.length > 0 && Stream.compareIds(lastId, stream.entries[stream.length - 1].id) < 0) {
+      return Encoder.createSimpleError("ERR The ID specified in XSETID is smaller than the target stream top item");
+    }
+    if (entriesAdded !== null && entriesAdded < stream.length) {
+      return Encoder.createSimpleError("ERR The entries_added specified in XSETID is smaller than the target stream length");
+    }
+    stream.lastId = lastId;
+    if (entriesAdded !== null) stream.entriesAdded = entriesAdded;
+    if (maxDeletedId !== null) stream.maxDeletedId = maxDeletedId;
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Handles the XRANGE and XREVRANGE commands, which list the entries of a stream within a range of IDs,
+   * from the end of the range for XREVRANGE. Bounds prefixed with "(" are excluded.
+   *
+   * @param {string} command - "xrange" or "xrevrange".
+   * @param {Array} args - The key, the start and end of the range (the end first for XREVRANGE), and the COUNT option.
+   * @returns {Array|BulkString} - The entries, or an error.
+   */
+  handleXrange(command, args) {
+    if (args.length < 3) return wrongNumberOfArgs(command);
+    const reverse = command === "xrevrange";
+    const streamKey = args[0];
+    const startId = Stream.parseRangeArg(args[reverse ? 2 : 1], false);
+    const endId = Stream.parseRangeArg(args[reverse ? 1 : 2], true);
+    if (startId === null || endId === null) {
+      return Encoder.createSimpleError(INVALID_STREAM_ID);
+    }
+    let count = 0;
+    for (let i = 3; i < args.length; i++) {
+      if (args[i].toLowerCase() !== "count" || i + 1 >= args.length) {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
+      count = parseInteger(args[++i]);
+      if (count === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+      if (count <= 0) return this.encodeNullArray();
+    }
+    const entries = this.dataStore.getStreamBetween(streamKey, startId, endId, count, reverse);
+    return Encoder.createArray(entries.map(([id, fields]) => this.encodeStreamEntry(id, fields)));
+  }
+
+  /**
+   * Parses the options of XREAD and XREADGROUP, which end with the STREAMS option followed by the keys
+   * and then as many IDs.
+   * @param {string} command - "xread" or "xreadgroup".
+   * @param {string[]} args - The arguments of the command.
+   * @returns {object|string} The keys, the IDs as given, the COUNT (0 for no limit), the BLOCK timeout
+   * (null when not blocking), and for XREADGROUP the group, the consumer and NOACK, or an encoded error.
+   */
+  parseXreadOptions(command, args) {
+    const options = { count: 0, timeout: null, group: null, consumer: null, noAck: false };
+    const isGroupRead = command === "xreadgroup";
+    let streamsIndex = -1;
+    for (let i = 0; i < args.length && streamsIndex === -1; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "count" && i + 1 < args.length) {
+        const count = parseInteger(args[++i]);
+        if (count === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+        options.count = Math.max(count, 0);
+      } else if (option === "block" && i + 1 < args.length) {
+        options.timeout = parseInteger(args[++i]);
+        if (options.timeout === null) {
+          return Encoder.createSimpleError("ERR timeout is not an integer or out of range");
+        }
+        if (options.timeout < 0) return Encoder.createSimpleError("ERR timeout is negative");
+      } else if (isGroupRead && option === "group" && i + 2 < args.length) {
+        options.group = args[++i];
+        options.consumer = args[++i];
+      } else if (isGroupRead && option === "noack") {
+        options.noAck = true;
+      } else if (option === "streams") {
+        streamsIndex = i + 1;
+      } else {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
+    }
+    if (streamsIndex === -1) return Encoder.createSimpleError("ERR syntax error");
+    if (isGroupRead && options.group === null) {
+      return Encoder.createSimpleError("ERR Missing GROUP option for XREADGROUP");
+    }
+    const streamArgs = args.slice(streamsIndex);
+    if (streamArgs.length === 0 || streamArgs.length % 2 !== 0) {
+      return Encoder.createSimpleError(
+        `ERR Unbalanced '${command}' list of streams: for each stream key an ID or '${isGroupRead ? ">" : "$"}' must be specified.`
+      );
     }
+    options.keys = streamArgs.slice(0, streamArgs.length / 2);
+    options.ids = streamArgs.slice(streamArgs.length / 2);
+    return options;
   }
 
   /**
-   * Handles the configuration based on the provided arguments.
+   * Handles the XREAD command, which reads the entries of streams after the given IDs, "$" standing for
+   * the last ID of a stream. With BLOCK, it waits until one of the streams gets entries when there are none.
    *
-   * @param {Array} args - The arguments passed to the function.
-   * @returns {Array} - An array containing the encoded configuration.
+   * @param {Array} args - The COUNT and BLOCK options, then STREAMS with the keys and IDs.
+   * @param {Socket} socket - The socket object for communication.
+   * @returns {void}
    */
-  handleConfig(args) {
-    const arg = args[1].toLowerCase();
+  handleXread(args, socket) {
+    const options = this.parseXreadOptions("xread", args);
+    if (typeof options === "string") {
+      socket.write(options);
+      return;
+    }
+    const { keys, count, timeout } = options;
+    const startIds = this.processStartIds(keys, options.ids);
+    if (startIds.includes(null)) {
+      socket.write(Encoder.createSimpleError(INVALID_STREAM_ID));
+      return;
+    }
+    const entries = this.dataStore.getStreamAfter(keys, startIds, count);
+    if (entries.length > 0 || timeout === null) {
+      socket.write(this.getXreadResponse(entries));
+      return;
+    }
+    this.blockClient(socket, keys, timeout, () => {
+      const entries = this.dataStore.getStreamAfter(keys, startIds, count);
+      return entries.length === 0 ? null : this.getXreadResponse(entries);
+    });
+  }
+
+  /**
+   * Returns the XREAD response for the given entries, keyed by stream in a map on RESP3 connections.
+   *
+   * @param {Array} entries - The entries to process.
+   * @returns {Array|String} - The XREAD response.
+   */
+  getXreadResponse(entries) {
+    if (entries.length === 0) return this.encodeNullArray();
+    const ret = [];
+    for (const keyEntries of entries) {
+      const key = keyEntries[0];
+      const arr = [Encoder.createBulkString(key)];
+      const entriesForKey = keyEntries[1].map(([id, fields]) => this.encodeStreamEntry(id, fields));
+      arr.push(Encoder.createArray(entriesForKey));
+      ret.push(arr);
+    }
+    return this.protocol === 3 ? Encoder.createMap(ret) : Encoder.createArray(ret.map((arr) => Encoder.createArray(arr)));
+  }
+
+  /**
+   * Encodes a stream entry as an array of its ID and its fields and values.
+   * @param {string} id - The ID of the entry.
+   * @param {string[]|null} fields - The fields and values, or null for an entry that was deleted.
+   * @returns {string} The encoded entry.
+   */
+  encodeStreamEntry(id, fields) {
     return Encoder.createArray([
-      Encoder.createBulkString(arg),
-      Encoder.createBulkString(this.config[arg]),
+      Encoder.createBulkString(id),
+      fields === null
+        ? this.encodeNullArray()
+        : Encoder.createArray(fields.map((value) => Encoder.createBulkString(value))),
     ]);
   }
 
   /**
-   * Handles the keys command.
+   * Processes the start IDs for the given stream keys, replacing "$" with the last ID of the stream
+   * and completing IDs given without their sequence part.
    *
-   * @param {Array} args - The arguments passed to the keys command.
-   * @returns {string|Array} - The encoded response for the keys command.
+   * @param {Array<string>} streamKeys - The array of stream keys.
+   * @param {Array<string>} startIds - The array of start IDs.
+   * @returns {Array<string|null>} - The full start IDs, null for those that aren't valid IDs.
    */
-  handleKeys(args) {
-    const key = args[0];
-    if (key === "*") {
-      const arr = this.dataStore.getAllKeys().map((value) => {
-        return Encoder.createBulkString(value);
+  processStartIds(streamKeys, startIds) {
+    return startIds.map((startId, i) => {
+      if (startId !== "$") return Stream.parseIdArg(startId);
+      const stream = this.dataStore.getStream(streamKeys[i]);
+      return stream === null ? Stream.ZERO_ID : stream.lastId;
+    });
+  }
+
+  /**
+   * Blocks a client until one of the keys is written and it can be served, or until the timeout, when it
+   * gets a null reply. The next requests of the client are only processed once it is unblocked.
+   * Commands run by EXEC never block, and get the null reply right away.
+   * @param {net.Socket} socket - The client socket.
+   * @param {string[]} keys - The keys to wait for.
+   * @param {number} timeout - The timeout in milliseconds, or 0 to block forever.
+   * @param {Function} serve - Called with a written key, while the server is switched to the state of the
+   * client, returns the reply of the command, or null if the client can't be served yet. It must not throw.
+   */
+  blockClient(socket, keys, timeout, serve) {
+    if (this.transactionPropagation !== null) {
+      socket.write(this.encodeNullArray());
+      return;
+    }
+    const client = this.clients[getUid(socket)];
+    const wake = (response) => {
+      socket.write(response);
+      setImmediate(() => {
+        if (this.clients[getUid(socket)] === client) this.processClientBuffer(socket);
       });
-      return Encoder.createArray(arr);
+    };
+    this.blocking.block({
+      clientId: client.id,
+      db: this.db,
+      keys,
+      timeout,
+      serve: (key) => {
+        this.useClientState(client);
+        const response = serve(key);
+        if (response === null) return false;
+        wake(response);
+        return true;
+      },
+      onTimeout: () => {
+        this.useClientState(client);
+        wake(this.encodeNullArray());
+      },
+      wake,
+    });
+  }
+
+  /**
+   * Parses the timeout of the blocking list and sorted set commands, given in seconds.
+   * @param {string} value - The argument.
+   * @returns {number|string} The timeout in milliseconds, 0 to block forever, or an encoded error.
+   */
+  parseBlockingTimeout(value) {
+    const seconds = parseFloatArg(value);
+    if (seconds === null) return Encoder.createSimpleError("ERR timeout is not a float or out of range");
+    if (seconds < 0) return Encoder.createSimpleError("ERR timeout is negative");
+    return Math.ceil(seconds * 1000);
+  }
+
+  /**
+   * Handles the BLPOP and BRPOP commands, which pop an element from the first non-empty list, or block
+   * until one of the lists gets elements. The pop is propagated as LPOP or RPOP.
+   * @param {string} command - "blpop" or "brpop".
+   * @param {string[]} args - The keys followed by the timeout in seconds.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleBlockingPop(command, args, socket) {
+    if (args.length < 2) {
+      socket.write(wrongNumberOfArgs(command));
+      return;
+    }
+    const timeout = this.parseBlockingTimeout(args[args.length - 1]);
+    if (typeof timeout === "string") {
+      socket.write(timeout);
+      return;
+    }
+    const keys = args.slice(0, -1);
+    const fromHead = command === "blpop";
+    const pop = (key) => {
+      const popped = this.dataStore.listPop(key, fromHead, 1);
+      if (popped === null) return null;
+      this.propagate(encodeCommand([fromHead ? "LPOP" : "RPOP", key]));
+      return Encoder.createArray([Encoder.createBulkString(key), Encoder.createBulkString(popped[0])]);
+    };
+    for (const key of keys) {
+      const response = pop(key);
+      if (response === null) continue;
+      socket.write(response);
+      return;
+    }
+    this.blockClient(socket, keys, timeout, (key) => (this.dataStore.getType(key) === "list" ? pop(key) : null));
+  }
+
+  /**
+   * Pops an element from the tail of a list and pushes it to the head of another one, as RPOPLPUSH does.
+   * The move is propagated as RPOPLPUSH.
+   * @param {string} source - The key of the list to pop from.
+   * @param {string} destination - The key of the list to push to.
+   * @returns {string|null} The element as an encoded bulk string, or null if the source list does not exist.
+   * @throws {WrongTypeError} If a key holds a value of another type.
+   */
+  moveListElement(source, destination) {
+    if (this.dataStore.getEntryOfType(source, "list") === null) return null;
+    this.dataStore.getEntryOfType(destination, "list"); // Checks the type before popping.
+    const popped = this.dataStore.listPop(source, false, 1);
+    this.dataStore.listPush(destination, popped, true);
+    this.propagate(encodeCommand(["RPOPLPUSH", source, destination]));
+    return Encoder.createBulkString(popped[0]);
+  }
+
+  /**
+   * Handles the RPOPLPUSH command.
+   * @param {string[]} args - The source and destination keys.
+   * @returns {string} The moved element as an encoded bulk string, or null if the source list does not exist.
+   */
+  handleRpoplpush(args) {
+    if (args.length !== 2) return wrongNumberOfArgs("rpoplpush");
+    return this.moveListElement(args[0], args[1]) ?? Encoder.createBulkString("", true);
+  }
+
+  /**
+   * Handles the BRPOPLPUSH command, which is RPOPLPUSH blocking until the source list gets elements.
+   * A blocked client isn't served while the destination holds a value of another type.
+   * @param {string[]} args - The source and destination keys, and the timeout in seconds.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleBrpoplpush(args, socket) {
+    if (args.length !== 3) {
+      socket.write(wrongNumberOfArgs("brpoplpush"));
+      return;
+    }
+    const [source, destination] = args;
+    const timeout = this.parseBlockingTimeout(args[2]);
+    if (typeof timeout === "string") {
+      socket.write(timeout);
+      return;
+    }
+    const response = this.moveListElement(source, destination);
+    if (response !== null) {
+      socket.write(response);
+      return;
+    }
+    this.blockClient(socket, [source], timeout, () => {
+      if (this.dataStore.getType(source) !== "list") return null;
+      if (![null, "list"].includes(this.dataStore.getType(destination))) return null;
+      return this.moveListElement(source, destination);
+    });
+  }
+
+  /**
+   * Handles the BZPOPMIN and BZPOPMAX commands, which pop the member with the lowest or highest score from
+   * the first non-empty sorted set, or block until one of the sorted sets gets members.
+   * The pop is propagated as ZREM.
+   * @param {string} command - "bzpopmin" or "bzpopmax".
+   * @param {string[]} args - The keys followed by the timeout in seconds.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleBlockingZpop(command, args, socket) {
+    if (args.length < 2) {
+      socket.write(wrongNumberOfArgs(command));
+      return;
+    }
+    const timeout = this.parseBlockingTimeout(args[args.length - 1]);
+    if (typeof timeout === "string") {
+      socket.write(timeout);
+      return;
+    }
+    const keys = args.slice(0, -1);
+    const pop = (key) => {
+      const sortedSet = this.dataStore.sortedSetGet(key);
+      if (sortedSet === null || sortedSet.size === 0) return null;
+      const [[member, score]] = sortedSet.pop(1, command === "bzpopmax");
+      this.dataStore.sortedSetRemoveIfEmpty(key);
+      this.propagate(encodeCommand(["ZREM", key, member]));
+      return Encoder.createArray([
+        Encoder.createBulkString(key),
+        Encoder.createBulkString(member),
+        this.encodeDouble(score),
+      ]);
+    };
+    for (const key of keys) {
+      const response = pop(key);
+      if (response === null) continue;
+      socket.write(response);
+      return;
+    }
+    this.blockClient(socket, keys, timeout, (key) => (this.dataStore.getType(key) === "zset" ? pop(key) : null));
+  }
+
+  /**
+   * Handles the CLIENT command, whose ID subcommand replies with the id of the connection, and whose
+   * UNBLOCK subcommand unblocks a client blocked by a blocking command, as if it timed out or with an error.
+   * @param {string[]} args - The subcommand followed by its arguments.
+   * @param {net.Socket} socket - The client socket.
+   * @returns {string} The reply of the subcommand, or an error.
+   */
+  handleClient(args, socket) {
+    if (args.length === 0) return wrongNumberOfArgs("client");
+    const subcommand = args[0].toLowerCase();
+    if (subcommand === "id") {
+      if (args.length !== 1) return wrongNumberOfArgs("client|id");
+      return Encoder.createInteger(this.clients[getUid(socket)].id);
+    }
+    if (subcommand !== "unblock") {
+      return Encoder.createSimpleError(`ERR unknown subcommand '${args[0]}'. Try CLIENT HELP.`);
+    }
+    if (args.length < 2 || args.length > 3) return wrongNumberOfArgs("client|unblock");
+    const clientId = parseInteger(args[1]);
+    if (clientId === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+    const reason = args.length === 3 ? args[2].toLowerCase() : "timeout";
+    if (reason !== "timeout" && reason !== "error") {
+      return Encoder.createSimpleError("ERR CLIENT UNBLOCK reason should be TIMEOUT or ERROR");
+    }
+    const blocked = this.blocking.unblock(clientId);
+    if (blocked === null) return Encoder.createInteger(0);
+    if (reason === "error") {
+      blocked.wake(Encoder.createSimpleError("UNBLOCKED client unblocked via CLIENT UNBLOCK"));
     } else {
-      const value = this.dataStore.get(key);
-      if (value === null) {
-        return Encoder.createBulkString("", true);
-      }
-      return Encoder.createBulkString(value);
+      blocked.onTimeout();
     }
+    this.useClientState(this.clients[getUid(socket)]);
+    return Encoder.createInteger(1);
   }
 
   /**
-   * Handles the type command.
-   *
-   * @param {Array} args - The command arguments.
-   * @returns {string} - The response string.
+   * Retrieves a consumer of a group, creating it if needed, in which case its creation is propagated.
+   * @param {string} key - The key of the stream.
+   * @param {Stream} stream - The stream.
+   * @param {object} group - The group.
+   * @param {string} name - The name of the consumer.
+   * @param {number} now - The current time.
+   * @returns {object} The consumer.
    */
-  handleType(args) {
-    const key = args[0];
-    const type = this.dataStore.getType(key);
-    if (type) return Encoder.createSimpleString(type);
-    return Encoder.createSimpleString("none");
+  lookupConsumer(key, stream, group, name, now) {
+    const isNew = !group.consumers.has(name);
+    const consumer = stream.getConsumer(group, name, now);
+    if (isNew) this.propagate(encodeCommand(["XGROUP", "CREATECONSUMER", key, group.name, name]));
+    return consumer;
   }
 
   /**
-   * Handles the XADD command by inserting a new entry into the specified stream.
-   *
-   * @param {Array} args - The arguments passed to the XADD command.
-   * @param {Socket} socket - The socket object for communication.
-   * @returns {void}
+   * Handles the XGROUP command, which manages the consumer groups of a stream and their consumers.
+   * @param {string[]} args - The subcommand followed by its arguments.
+   * @returns {string} The reply of the subcommand, or an error.
    */
-  handleXadd(args, socket) {
-    const streamKey = args[0];
-    const streamEntry = {};
-    const streamEntryId = args[1];
-    streamEntry.id = streamEntryId;
+  handleXgroup(args) {
+    if (args.length === 0) return wrongNumberOfArgs("xgroup");
+    const subcommand = args[0].toLowerCase();
+    const arity = {
+      create: [4, 7],
+      setid: [4, 6],
+      destroy: [3, 3],
+      createconsumer: [4, 4],
+      delconsumer: [4, 4],
+    }[subcommand];
+    if (arity === undefined) {
+      return Encoder.createSimpleError(`ERR unknown subcommand '${args[0]}'. Try XGROUP HELP.`);
+    }
+    if (args.length < arity[0] || args.length > arity[1]) {
+      return wrongNumberOfArgs(`xgroup|${subcommand}`);
+    }
+    const [, key, groupName] = args;
 
-    for (let i = 2; i < args.length; i += 2) {
-      let entryKey = args[i];
-      let entryValue = args[i + 1];
-      streamEntry[entryKey] = entryValue;
+    let mkStream = false;
+    let entriesRead = null;
+    for (let i = 4; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "mkstream" && subcommand === "create") {
+        mkStream = true;
+      } else if (option === "entriesread" && i + 1 < args.length) {
+        entriesRead = parseInteger(args[++i]);
+        if (entriesRead === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+        if (entriesRead < -1) {
+          return Encoder.createSimpleError("ERR value for ENTRIESREAD must be positive or -1");
+        }
+        if (entriesRead === -1) entriesRead = null;
+      } else {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
     }
 
-    if (streamEntryId === "0-0") {
-      socket.write(
-        Encoder.createSimpleError(
-          "ERR The ID specified in XADD must be greater than 0-0"
-        )
+    let stream = this.dataStore.getStream(key);
+    if (stream === null && !mkStream) {
+      return Encoder.createSimpleError(
+        "ERR The XGROUP subcommand requires the key to exist. Note that for CREATE you may want to use the MKSTREAM option to create an empty stream automatically."
       );
-      return;
+    }
+    let id = null;
+    if (subcommand === "create" || subcommand === "setid") {
+      id = args[3] === "$" ? stream?.lastId ?? Stream.ZERO_ID : Stream.parseIdArg(args[3]);
+      if (id === null) return Encoder.createSimpleError(INVALID_STREAM_ID);
     }
 
-    const entryId = this.dataStore.insertStream(streamKey, streamEntry);
-    if (entryId === null) {
+    if (subcommand === "create") {
+      if (stream === null) stream = this.dataStore.getOrCreateStream(key);
+      if (stream.createGroup(groupName, id, entriesRead) === null) {
+        return Encoder.createSimpleError("BUSYGROUP Consumer Group name already exists");
+      }
+      return Encoder.createSimpleString("OK");
+    }
+    if (subcommand === "destroy") {
+      return Encoder.createInteger(stream.groups.delete(groupName) ? 1 : 0);
+    }
+
+    const group = stream.groups.get(groupName);
+    if (group === undefined) {
+      return Encoder.createSimpleError(`NOGROUP No such consumer group '${groupName}' for key name '${key}'`);
+    }
+    switch (subcommand) {
+      case "setid":
+        group.lastId = id;
+        group.entriesRead = entriesRead;
+        return Encoder.createSimpleString("OK");
+      case "createconsumer": {
+        if (group.consumers.has(args[3])) return Encoder.createInteger(0);
+        stream.getConsumer(group, args[3]);
+        return Encoder.createInteger(1);
+      }
+      default:
+        return Encoder.createInteger(stream.deleteConsumer(group, args[3]));
+    }
+  }
+
+  /**
+   * Handles the XREADGROUP command, which reads entries from streams on behalf of a consumer of a group.
+   * The ID ">" reads the entries never delivered to the group, which become pending for the consumer
+   * unless NOACK is given, and can block until some are added. Any other ID reads again the entries
+   * pending for the consumer after it.
+   * @param {string[]} args - The GROUP, COUNT, BLOCK and NOACK options, then STREAMS with the keys and IDs.
+   * @param {net.Socket} socket - The client socket.
+   */
+  handleXreadgroup(args, socket) {
+    const options = this.parseXreadOptions("xreadgroup", args);
+    if (typeof options === "string") {
+      socket.write(options);
+      return;
+    }
+    const { keys, ids, timeout } = options;
+    for (let i = 0; i < ids.length; i++) {
+      if (ids[i] === "$") {
+        socket.write(
+          Encoder.createSimpleError(
+            "ERR The $ ID is meaningless in the context of XREADGROUP: you want to read the history of this consumer by specifying a proper ID, or use the > ID to get new messages. The $ ID would just return an empty result set."
+          )
+        );
+        return;
+      }
+      if (ids[i] !== ">") ids[i] = Stream.parseIdArg(ids[i]);
+      if (ids[i] === null) {
+        socket.write(Encoder.createSimpleError(INVALID_STREAM_ID));
+        return;
+      }
+    }
+    for (const key of keys) {
+      if (this.dataStore.getStream(key)?.groups.has(options.group)) continue;
       socket.write(
         Encoder.createSimpleError(
-          "ERR The ID specified in XADD is equal or smaller than the target stream top item"
+          `NOGROUP No such key '${key}' or consumer group '${options.group}' in XREADGROUP with GROUP option`
         )
       );
       return;
     }
 
-    socket.write(Encoder.createBulkString(entryId));
-    this.checkBlock();
+    const result = this.readGroup(keys, ids, options);
+    // Reading the history of the consumer never blocks.
+    if (result.length > 0 || timeout === null) {
+      socket.write(this.getXreadResponse(result));
+      return;
+    }
+    this.blockClient(socket, keys, timeout, () => {
+      const streams = keys.map((key) => (this.dataStore.getType(key) === "stream" ? this.dataStore.getStream(key) : null));
+      if (streams.includes(null)) {
+        return Encoder.createSimpleError("UNBLOCKED the stream key no longer exists");
+      }
+      if (streams.some((stream) => !stream.groups.has(options.group))) {
+        return Encoder.createSimpleError("NOGROUP the consumer group this client was blocked on no longer exists");
+      }
+      const result = this.readGroup(keys, ids, options);
+      return result.length === 0 ? null : this.getXreadResponse(result);
+    });
   }
 
   /**
-   * Handles the XRANGE command.
-   *
-   * @param {Array} args - The arguments passed to the XRANGE command.
-   * @returns {Array|BulkString} - The response to the XRANGE command.
+   * Reads entries from streams on behalf of a consumer of a group, whose groups must exist.
+   * The changes to the groups are propagated as XCLAIM and XGROUP commands, which don't depend on
+   * when they are applied.
+   * @param {string[]} keys - The keys of the streams.
+   * @param {string[]} ids - For each stream, ">" to read new entries, or the ID after which the
+   * entries pending for the consumer are read again.
+   * @param {object} options - The group and consumer names, the maximum number of entries per stream
+   * (0 for no limit), and whether new entries are delivered without becoming pending.
+   * @returns {Array<Array<any>>} An array of [key, entries] pairs, whose entries are formatted as [id, fields],
+   * with null fields for pending entries that were deleted. Streams without new entries are left out.
    */
-  handleXrange(args) {
-    const streamKey = args[0];
-    const startId = args[1];
-    const endId = args[2];
-    const entries = this.dataStore.getStreamBetween(streamKey, startId, endId);
-
-    if (entries.length === 0) {
-      return Encoder.createBulkString("nil");
-    }
-
-    const toReturn = [];
-    for (const entry of entries) {
-      const id = entry[0];
-      const keyValues = entry[1];
-      toReturn.push(
-        Encoder.createArray([
-          Encoder.createBulkString(id),
-          Encoder.createArray(
-            keyValues.map((value) => Encoder.createBulkString(value))
-          ),
-        ])
+  readGroup(keys, ids, { group: groupName, consumer: consumerName, count, noAck }) {
+    const now = Date.now();
+    const result = [];
+    keys.forEach((key, i) => {
+      const stream = this.dataStore.getStream(key);
+      const group = stream.groups.get(groupName);
+      const consumer = this.lookupConsumer(key, stream, group, consumerName, now);
+      if (ids[i] !== ">") {
+        const pending = stream.deliverPending(group, consumer, ids[i], count, now);
+        result.push([key, pending.map(([id, entry]) => [id, entry === null ? null : entry.fields])]);
+        return;
+      }
+      const entries = stream.deliverNew(group, consumer, count, noAck, now);
+      if (entries.length === 0) return;
+      if (!noAck) {
+        for (const entry of entries) {
+          this.propagate(encodeXclaim(key, groupName, group.pending.get(entry.id), group.lastId));
+        }
+      }
+      this.propagate(
+        encodeCommand(["XGROUP", "SETID", key, groupName, group.lastId, "ENTRIESREAD", `${group.entriesRead ?? -1}`])
       );
-    }
+      result.push([key, entries.map((entry) => [entry.id, entry.fields])]);
+    });
+    return result;
+  }
 
-    return Encoder.createArray(toReturn);
+  /**
+   * Handles the XACK command, which removes entries from the pending entries of a group.
+   * @param {string[]} args - The key, the group and the IDs of the entries.
+   * @returns {string} The number of acknowledged entries as an encoded integer, or an error.
+   */
+  handleXack(args) {
+    if (args.length < 3) return wrongNumberOfArgs("xack");
+    const [key, groupName, ...idArgs] = args;
+    const ids = idArgs.map((id) => Stream.parseIdArg(id));
+    if (ids.includes(null)) return Encoder.createSimpleError(INVALID_STREAM_ID);
+    const stream = this.dataStore.getStream(key);
+    const group = stream?.groups.get(groupName);
+    if (group === undefined) return Encoder.createInteger(0);
+    return Encoder.createInteger(ids.filter((id) => stream.removePending(group, id)).length);
   }
 
   /**
-   * Handles the XREAD command.
-   *
-   * @param {Array} args - The arguments passed to the XREAD command.
-   * @param {Socket} socket - The socket object for communication.
-   * @returns {void}
+   * Handles the XPENDING command. Without a range, it replies with a summary of the pending entries
+   * of a group: their number, smallest and greatest IDs, and number per consumer. With a range,
+   * it lists the pending entries with their consumer, idle time and delivery count.
+   * @param {string[]} args - The key and the group, optionally followed by [IDLE min-idle] start end count [consumer].
+   * @returns {string} The summary or the entries, or an error.
    */
-  handleXread(args, socket) {
-    if (args[0].toLowerCase() !== "block") {
-      args = args.slice(1);
-      const mid = Math.ceil(args.length / 2);
-      const streamKeys = args.slice(0, mid);
-      const startIds = args.slice(mid);
-      const entries = this.dataStore.getStreamAfter(streamKeys, startIds);
-      const response = this.getXreadResponse(entries);
-      socket.write(response);
-      return;
+  handleXpending(args) {
+    if (args.length < 2) return wrongNumberOfArgs("xpending");
+    const [key, groupName] = args;
+    let minIdle = 0;
+    let rangeIndex = 2;
+    if (args.length >= 5 && args[2].toLowerCase() === "idle") {
+      minIdle = parseInteger(args[3]);
+      if (minIdle === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+      rangeIndex = 4;
+    }
+    const rangeArgs = args.slice(rangeIndex);
+    if (args.length > 2 && (rangeArgs.length < 3 || rangeArgs.length > 4)) {
+      return Encoder.createSimpleError("ERR syntax error");
+    }
+    let start = null;
+    let end = null;
+    let count = 0;
+    if (args.length > 2) {
+      start = Stream.parseRangeArg(rangeArgs[0], false);
+      end = Stream.parseRangeArg(rangeArgs[1], true);
+      if (start === null || end === null) return Encoder.createSimpleError(INVALID_STREAM_ID);
+      count = parseInteger(rangeArgs[2]);
+      if (count === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
     }
 
-    let timeoutTime = Number.parseInt(args[1]);
-    args = args.slice(3);
-    const mid = Math.ceil(args.length / 2);
-    let streamKeys = args.slice(0, mid);
-    let startIds = args.slice(mid);
-    startIds = this.processStartIds(streamKeys, startIds);
-    this.block = { streamKeys, startIds, isDone: false };
-    this.block.socket = socket;
-    this.block.timeout = -1;
-    if (timeoutTime != 0) {
-      this.block.timeout = setTimeout(() => {
-        let entries = this.dataStore.getStreamAfter(
-          this.block.streamKeys,
-          this.block.startIds
+    const stream = this.dataStore.getStream(key);
+    const group = stream?.groups.get(groupName);
+    if (group === undefined) return noGroupError(key, groupName);
+
+    if (args.length === 2) {
+      const pending = stream.getPending(group);
+      if (pending.length === 0) {
+        return Encoder.createArray([Encoder.createInteger(0), this.encodeNull(), this.encodeNull(), this.encodeNullArray()]);
+      }
+      const consumers = [...group.consumers.values()]
+        .filter((consumer) => consumer.pending.size > 0)
+        .sort((a, b) => (a.name < b.name ? -1 : 1))
+        .map((consumer) =>
+          Encoder.createArray([Encoder.createBulkString(consumer.name), Encoder.createBulkString(`${consumer.pending.size}`)])
         );
-        let response = this.getXreadResponse(entries);
-        this.block.socket.write(response);
-        this.block.isDone = true;
-      }, timeoutTime);
+      return Encoder.createArray([
+        Encoder.createInteger(pending.length),
+        Encoder.createBulkString(pending[0].id),
+        Encoder.createBulkString(pending[pending.length - 1].id),
+        Encoder.createArray(consumers),
+      ]);
+    }
+
+    let pending = [];
+    if (rangeArgs.length === 3) {
+      pending = stream.getPending(group);
+    } else if (group.consumers.has(rangeArgs[3])) {
+      pending = stream.getPending(group, group.consumers.get(rangeArgs[3]));
     }
-    this.checkBlock();
+    const now = Date.now();
+    pending = pending.filter(
+      (nack) =>
+        Stream.compareIds(nack.id, start) >= 0 &&
+        Stream.compareIds(nack.id, end) <= 0 &&
+        now - nack.deliveryTime >= minIdle
+    );
+    return Encoder.createArray(
+      pending.slice(0, Math.max(count, 0)).map((nack) =>
+        Encoder.createArray([
+          Encoder.createBulkString(nack.id),
+          Encoder.createBulkString(nack.consumer),
+          Encoder.createInteger(now - nack.deliveryTime),
+          Encoder.createInteger(nack.deliveryCount),
+        ])
+      )
+    );
   }
 
   /**
-   * Returns the XREAD response for the given entries.
-   *
-   * @param {Array} entries - The entries to process.
-   * @returns {Array|String} - The XREAD response.
+   * Handles the XCLAIM command, which gives pending entries of a group that have been idle for long
+   * enough to another consumer. Pending entries that were deleted from the stream are removed.
+   * Each change is propagated as an XCLAIM command that doesn't depend on when it is applied.
+   * @param {string[]} args - The key, the group, the consumer, the minimum idle time, the IDs,
+   * and the IDLE, TIME, RETRYCOUNT, FORCE, JUSTID and LASTID options.
+   * @returns {string} The claimed entries, or only their IDs with JUSTID, or an error.
    */
-  getXreadResponse(entries) {
-    if (entries.length === 0) {
-      return Encoder.createBulkString("nil", true);
+  handleXclaim(args) {
+    if (args.length < 5) return wrongNumberOfArgs("xclaim");
+    const [key, groupName, consumerName] = args;
+    const minIdle = parseInteger(args[3]);
+    if (minIdle === null) return Encoder.createSimpleError("ERR Invalid min-idle-time argument for XCLAIM");
+
+    // The IDs end where the options start.
+    let i = 4;
+    const ids = [];
+    for (; i < args.length && Stream.parseIdArg(args[i]) !== null; i++) ids.push(Stream.parseIdArg(args[i]));
+
+    const now = Date.now();
+    let deliveryTime = now;
+    let retryCount = null;
+    let force = false;
+    let justId = false;
+    let lastId = null;
+    for (; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      const hasValue = i + 1 < args.length;
+      if (option === "force") {
+        force = true;
+      } else if (option === "justid") {
+        justId = true;
+      } else if ((option === "idle" || option === "time") && hasValue) {
+        const value = parseInteger(args[++i]);
+        if (value === null) {
+          return Encoder.createSimpleError(`ERR Invalid ${option.toUpperCase()} option argument for XCLAIM`);
+        }
+        deliveryTime = option === "idle" ? now - value : value;
+      } else if (option === "retrycount" && hasValue) {
+        retryCount = parseInteger(args[++i]);
+        if (retryCount === null) return Encoder.createSimpleError("ERR Invalid RETRYCOUNT option argument for XCLAIM");
+      } else if (option === "lastid" && hasValue) {
+        lastId = Stream.parseIdArg(args[++i]);
+        if (lastId === null) return Encoder.createSimpleError(INVALID_STREAM_ID);
+      } else {
+        return Encoder.createSimpleError(`ERR Unrecognized XCLAIM option '${args[i]}'`);
+      }
     }
-    const ret = [];
-    for (const keyEntries of entries) {
-      const key = keyEntries[0];
-      const arr = [Encoder.createBulkString(key)];
-      const entriesForKey = [];
-      for (const entries of keyEntries[1]) {
-        const id = entries[0];
-        const keyValues = entries[1];
-        entriesForKey.push(
-          Encoder.createArray([
-            Encoder.createBulkString(id),
-            Encoder.createArray(
-              keyValues.map((value) => Encoder.createBulkString(value))
-            ),
-          ])
-        );
+    if (deliveryTime < 0 || deliveryTime > now) deliveryTime = now;
+
+    const stream = this.dataStore.getStream(key);
+    const group = stream?.groups.get(groupName);
+    if (group === undefined) return noGroupError(key, groupName);
+
+    let propagateLastId = false;
+    if (lastId !== null && Stream.compareIds(lastId, group.lastId) > 0) {
+      group.lastId = lastId;
+      propagateLastId = true;
+    }
+    const consumer = this.lookupConsumer(key, stream, group, consumerName, now);
+    const claimed = [];
+    for (const id of ids) {
+      let nack = group.pending.get(id);
+      const entry = stream.getEntry(id);
+      if (entry === null) {
+        if (nack !== undefined) {
+          stream.removePending(group, id);
+          this.propagate(encodeXclaim(key, groupName, nack, group.lastId));
+          propagateLastId = false;
+        }
+        continue;
       }
-      arr.push(Encoder.createArray(entriesForKey));
-      ret.push(Encoder.createArray(arr));
+      if (nack === undefined && !force) continue;
+      if (nack !== undefined && minIdle > 0 && now - nack.deliveryTime < minIdle) continue;
+
+      nack = stream.assignPending(group, id, consumer);
+      nack.deliveryTime = deliveryTime;
+      if (retryCount !== null) {
+        nack.deliveryCount = retryCount;
+      } else if (!justId) {
+        nack.deliveryCount++;
+      }
+      consumer.activeTime = now;
+      claimed.push(justId ? Encoder.createBulkString(id) : this.encodeStreamEntry(id, entry.fields));
+      this.propagate(encodeXclaim(key, groupName, nack, group.lastId));
+      propagateLastId = false;
+    }
+    if (propagateLastId) {
+      this.propagate(
+        encodeCommand(["XGROUP", "SETID", key, groupName, group.lastId, "ENTRIESREAD", `${group.entriesRead ?? -1}`])
+      );
     }
-    return Encoder.createArray(ret);
+    return Encoder.createArray(claimed);
   }
 
   /**
-   * Processes the start IDs for the given stream keys.
-   *
-   * @param {Array<string>} streamKeys - The array of stream keys.
-   * @param {Array<string>} startIds - The array of start IDs.
-   * @returns {Array<string>} - The updated array of start IDs.
+   * Handles the XAUTOCLAIM command, which scans the pending entries of a group from a given ID and
+   * gives those that have been idle for long enough to another consumer, like XCLAIM.
+   * @param {string[]} args - The key, the group, the consumer, the minimum idle time, the start ID,
+   * and the COUNT and JUSTID options.
+   * @returns {string} The ID to continue the scan from (0-0 once complete), the claimed entries or their IDs,
+   * and the IDs of the pending entries that were deleted from the stream, or an error.
    */
-  processStartIds(streamKeys, startIds) {
-    for (let i = 0; i < streamKeys.length; i++) {
-      const key = streamKeys[i];
-      let startId = startIds[i];
-      if (startId !== "$") continue;
+  handleXautoclaim(args) {
+    if (args.length < 5) return wrongNumberOfArgs("xautoclaim");
+    const [key, groupName, consumerName] = args;
+    const minIdle = parseInteger(args[3]);
+    if (minIdle === null) return Encoder.createSimpleError("ERR Invalid min-idle-time argument for XAUTOCLAIM");
+    const start = Stream.parseRangeArg(args[4], false);
+    if (start === null) return Encoder.createSimpleError(INVALID_STREAM_ID);
 
-      const entries = this.dataStore.get(key);
-      if (entries === null || entries.length === 0) startId = "0-0";
-      const lastEntryId = entries.slice(-1)[0].id;
-      const lastEntryIdMS = lastEntryId.split("-")[0];
-      const lastEntryIdSeq = lastEntryId.split("-")[1];
-      startId = lastEntryIdMS + "-" + `${Number.parseInt(lastEntryIdSeq)}`;
-      startIds[i] = startId;
+    const attemptsFactor = 10;
+    let count = 100;
+    let justId = false;
+    for (let i = 5; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "count" && i + 1 < args.length) {
+        count = parseInteger(args[++i]);
+        if (count === null || count < 1 || count > Number.MAX_SAFE_INTEGER / attemptsFactor) {
+          return Encoder.createSimpleError("ERR COUNT must be > 0");
+        }
+      } else if (option === "justid") {
+        justId = true;
+      } else {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
+    }
+
+    const stream = this.dataStore.getStream(key);
+    const group = stream?.groups.get(groupName);
+    if (group === undefined) return noGroupError(key, groupName);
+
+    const now = Date.now();
+    const consumer = this.lookupConsumer(key, stream, group, consumerName, now);
+    const pending = stream.getPending(group).filter((nack) => Stream.compareIds(nack.id, start) >= 0);
+    const claimed = [];
+    const deleted = [];
+    let attempts = count * attemptsFactor;
+    let next = 0;
+    for (; next < pending.length && attempts > 0 && count > 0; next++, attempts--) {
+      const nack = pending[next];
+      const entry = stream.getEntry(nack.id);
+      if (entry === null) {
+        stream.removePending(group, nack.id);
+        deleted.push(Encoder.createBulkString(nack.id));
+        this.propagate(encodeXclaim(key, groupName, nack, group.lastId));
+        continue;
+      }
+      if (minIdle > 0 && now - nack.deliveryTime < minIdle) continue;
+
+      stream.assignPending(group, nack.id, consumer);
+      nack.deliveryTime = now;
+      if (!justId) nack.deliveryCount++;
+      consumer.activeTime = now;
+      claimed.push(justId ? Encoder.createBulkString(nack.id) : this.encodeStreamEntry(nack.id, entry.fields));
+      this.propagate(encodeXclaim(key, groupName, nack, group.lastId));
+      count--;
     }
-    return startIds;
+    const cursor = next < pending.length ? pending[next].id : Stream.ZERO_ID;
+    return Encoder.createArray([Encoder.createBulkString(cursor), Encoder.createArray(claimed), Encoder.createArray(deleted)]);
   }
 
   /**
-   * Checks the block and sends the appropriate response if it is not done.
+   * Handles the XINFO command, which describes a stream, its consumer groups or the consumers of a group.
+   * @param {string[]} args - STREAM with the key and optionally FULL [COUNT count], GROUPS with the key,
+   * or CONSUMERS with the key and the group.
+   * @returns {string} The description as an encoded map or array of maps, or an error.
    */
-  checkBlock() {
-    if (!this.block || this.block.isDone) return;
+  handleXinfo(args) {
+    if (args.length === 0) return wrongNumberOfArgs("xinfo");
+    const subcommand = args[0].toLowerCase();
+    const arity = { stream: [2, 5], groups: [2, 2], consumers: [3, 3] }[subcommand];
+    if (arity === undefined) {
+      return Encoder.createSimpleError(`ERR unknown subcommand '${args[0]}'. Try XINFO HELP.`);
+    }
+    if (args.length < arity[0] || args.length > arity[1]) {
+      return wrongNumberOfArgs(`xinfo|${subcommand}`);
+    }
+    const key = args[1];
+    const stream = this.dataStore.getStream(key);
+    if (stream === null) return Encoder.createSimpleError("ERR no such key");
 
-    const entries = this.dataStore.getStreamAfter(
-      this.block.streamKeys,
-      this.block.startIds
-    );
+    const now = Date.now();
+    const bulk = (value) => Encoder.createBulkString(value);
+    const integerOrNull = (value) => (value === null ? this.encodeNull() : Encoder.createInteger(value));
 
-    if (entries.length === 0) return;
+    if (subcommand === "groups") {
+      return Encoder.createArray(
+        [...stream.groups.values()].map((group) =>
+          this.encodeMap([
+            [bulk("name"), bulk(group.name)],
+            [bulk("consumers"), Encoder.createInteger(group.consumers.size)],
+            [bulk("pending"), Encoder.createInteger(group.pending.size)],
+            [bulk("last-delivered-id"), bulk(group.lastId)],
+            [bulk("entries-read"), integerOrNull(group.entriesRead)],
+            [bulk("lag"), integerOrNull(stream.getLag(group))],
+          ])
+        )
+      );
+    }
+    if (subcommand === "consumers") {
+      const group = stream.groups.get(args[2]);
+      if (group === undefined) {
+        return Encoder.createSimpleError(`NOGROUP No such consumer group '${args[2]}' for key name '${key}'`);
+      }
+      return Encoder.createArray(
+        [...group.consumers.values()].map((consumer) =>
+          this.encodeMap([
+            [bulk("name"), bulk(consumer.name)],
+            [bulk("pending"), Encoder.createInteger(consumer.pending.size)],
+            [bulk("idle"), Encoder.createInteger(now - consumer.seenTime)],
+            [bulk("inactive"), Encoder.createInteger(consumer.activeTime === -1 ? -1 : now - consumer.activeTime)],
+          ])
+        )
+      );
+    }
 
-    const response = this.getXreadResponse(entries);
-    this.block.socket.write(response);
-    this.block.isDone = true;
+    let full = false;
+    let count = 10;
+    if (args.length > 2) {
+      const hasCount = args.length === 5 && args[3].toLowerCase() === "count";
+      if (args[2].toLowerCase() !== "full" || (args.length > 3 && !hasCount)) {
+        return Encoder.createSimpleError("ERR syntax error");
+      }
+      full = true;
+      if (hasCount) {
+        count = parseInteger(args[4]);
+        if (count === null) return Encoder.createSimpleError(NOT_AN_INTEGER);
+      }
+    }
+    const limit = (items) => (count > 0 ? items.slice(0, count) : items);
 
-    if (this.block.timeout !== -1) {
-      clearTimeout(this.block.timeout);
+    // Entries are stored in nodes of a few entries, each a key of the radix tree.
+    const radixTreeKeys = Math.ceil(stream.length / Stream.NODE_MAX_ENTRIES);
+    const info = [
+      [bulk("length"), Encoder.createInteger(stream.length)],
+      [bulk("radix-tree-keys"), Encoder.createInteger(radixTreeKeys)],
+      [bulk("radix-tree-nodes"), Encoder.createInteger(radixTreeKeys + 1)],
+      [bulk("last-generated-id"), bulk(stream.lastId)],
+      [bulk("max-deleted-entry-id"), bulk(stream.maxDeletedId)],
+      [bulk("entries-added"), Encoder.createInteger(stream.entriesAdded)],
+      [bulk("recorded-first-entry-id"), bulk(stream.firstId)],
+    ];
+    if (!full) {
+      const first = stream.entries[0];
+      const last = stream.entries[stream.length - 1];
+      info.push(
+        [bulk("groups"), Encoder.createInteger(stream.groups.size)],
+        [bulk("first-entry"), first === undefined ? this.encodeNull() : this.encodeStreamEntry(first.id, first.fields)],
+        [bulk("last-entry"), last === undefined ? this.encodeNull() : this.encodeStreamEntry(last.id, last.fields)]
+      );
+      return this.encodeMap(info);
     }
+
+    const groups = [...stream.groups.values()].map((group) => {
+      const pending = limit(stream.getPending(group)).map((nack) =>
+        Encoder.createArray([
+          bulk(nack.id),
+          bulk(nack.consumer),
+          Encoder.createInteger(nack.deliveryTime),
+          Encoder.createInteger(nack.deliveryCount),
+        ])
+      );
+      const consumers = [...group.consumers.values()].map((consumer) =>
+        this.encodeMap([
+          [bulk("name"), bulk(consumer.name)],
+          [bulk("seen-time"), Encoder.createInteger(consumer.seenTime)],
+          [bulk("active-time"), Encoder.createInteger(consumer.activeTime)],
+          [bulk("pel-count"), Encoder.createInteger(consumer.pending.size)],
+          [
+            bulk("pending"),
+            Encoder.createArray(
+              limit(stream.getPending(group, consumer)).map((nack) =>
+                Encoder.createArray([
+                  bulk(nack.id),
+                  Encoder.createInteger(nack.deliveryTime),
+                  Encoder.createInteger(nack.deliveryCount),
+                ])
+              )
+            ),
+          ],
+        ])
+      );
+      return this.encodeMap([
+        [bulk("name"), bulk(group.name)],
+        [bulk("last-delivered-id"), bulk(group.lastId)],
+        [bulk("entries-read"), integerOrNull(group.entriesRead)],
+        [bulk("lag"), integerOrNull(stream.getLag(group))],
+        [bulk("pel-count"), Encoder.createInteger(group.pending.size)],
+        [bulk("pending"), Encoder.createArray(pending)],
+        [bulk("consumers"), Encoder.createArray(consumers)],
+      ]);
+    });
+    info.push(
+      [bulk("entries"), Encoder.createArray(limit(stream.entries).map((entry) => this.encodeStreamEntry(entry.id, entry.fields)))],
+      [bulk("groups"), Encoder.createArray(groups)]
+    );
+    return this.encodeMap(info);
   }
 }
 
@@ -1,4 +1,11 @@
 const HashTable = require("./HashTable");
+const SortedSet = require("./SortedSet");
+const Deque = require("./Deque");
+const Stream = require("./Stream");
+const Listpack = require("./Listpack");
+const Ziplist = require("./Ziplist");
+const LZF = require("./LZF");
+const CRC64 = require("./CRC64");
 
 /**
  * Represents a Redis RDB Parser.
@@ -8,6 +15,27 @@ class RDBParser {
   static CONSTANTS = {
     MAGIC_REDIS_STRING: 5,
     RDB_VERSION: 4,
+    MAGIC: "REDIS",
+    MIN_RDB_VERSION: 1,
+    MAX_RDB_VERSION: 12,
+    CHECKSUM_MIN_VERSION: 5, // Files written by older versions don't end with a checksum.
+  };
+
+  /**
+   * Custom error class for files that are corrupt, truncated or of an unsupported version.
+   * Records the byte offset at which the problem was detected and the opcode being parsed,
+   * which is null while the header is parsed.
+   */
+  static CorruptRDBError = class CorruptRDBError extends Error {
+    constructor(reason, offset, opCode = null) {
+      const context =
+        opCode === null ? "" : `, while parsing opcode 0x${opCode.toString(16).padStart(2, "0")}`;
+      super(`${reason} at offset ${offset}${context}`);
+      this.name = "Corrupt RDB";
+      this.reason = reason;
+      this.offset = offset;
+      this.opCode = opCode;
+    }
   };
 
   /**
@@ -23,25 +51,111 @@ class RDBParser {
     EOF: 0xff,
   };
 
-  constructor(buffer) {
+  /**
+   * Represents the value types and the data store type each of them loads into.
+   * @type {Object}
+   */
+  static ValueTypes = {
+    STRING: 0,
+    LIST: 1,
+    SET: 2,
+    ZSET: 3,
+    HASH: 4,
+    ZSET_2: 5,
+    HASH_ZIPMAP: 9,
+    LIST_ZIPLIST: 10,
+    SET_INTSET: 11,
+    ZSET_ZIPLIST: 12,
+    HASH_ZIPLIST: 13,
+    LIST_QUICKLIST: 14,
+    STREAM_LISTPACKS: 15,
+    HASH_LISTPACK: 16,
+    ZSET_LISTPACK: 17,
+    LIST_QUICKLIST_2: 18,
+    STREAM_LISTPACKS_2: 19,
+    SET_LISTPACK: 20,
+    STREAM_LISTPACKS_3: 21,
+  };
+
+  /**
+   * Represents the containers of the nodes of a LIST_QUICKLIST_2 value.
+   * @type {Object}
+   */
+  static QuicklistContainers = {
+    PLAIN: 1, // A single large element stored as a plain string.
+    PACKED: 2, // A listpack of elements.
+  };
+
+  /**
+   * Represents the special string formats, following a length encoding whose two high bits are set.
+   * @type {Object}
+   */
+  static StringFormats = {
+    INT8: 0,
+    INT16: 1,
+    INT32: 2,
+    LZF: 3,
+  };
+
+  /**
+   * Constructs a new RDBParser instance.
+   * @param {Buffer} buffer - The contents of the RDB file.
+   * @param {number} [databaseCount=16] - The number of databases keys can be loaded into.
+   */
+  constructor(buffer, databaseCount = 16) {
     this.buffer = buffer;
     this.cursor = 0;
-    this.dataStore = new HashTable();
+    this.databases = Array.from({ length: databaseCount }, () => new HashTable());
+    this.dataStore = this.databases[0]; // The database selected by the last SELECTDB opcode.
 
     this.auxData = {};
+    this.rdbVersion = null;
+    this.opCode = null; // The opcode being parsed, for error reporting.
   }
 
   /**
    * Parses the Redis RDB file.
+   * @throws {CorruptRDBError} If the file is corrupt, truncated or of an unsupported version.
    */
   parse() {
+    try {
+      this.readHeader();
+      this.readOpCodes();
+    } catch (err) {
+      if (err instanceof RDBParser.CorruptRDBError) throw err;
+      // Errors raised while decoding nested structures, such as listpacks, or values that can't be loaded.
+      throw this.createError(err.message);
+    }
+  }
+
+  /**
+   * Reads and validates the magic string and the version of the file.
+   * @throws {CorruptRDBError} If the file doesn't start with the magic string or its version isn't supported.
+   */
+  readHeader() {
+    const { MAGIC, MIN_RDB_VERSION, MAX_RDB_VERSION } = RDBParser.CONSTANTS;
     let redisMagicString = this.readStringOfLen(
       RDBParser.CONSTANTS.MAGIC_REDIS_STRING
     );
+    if (redisMagicString !== MAGIC) {
+      throw new RDBParser.CorruptRDBError("Wrong signature trying to load DB from file", 0);
+    }
+
     let rdbVersion = this.readStringOfLen(RDBParser.CONSTANTS.RDB_VERSION);
+    this.rdbVersion = /^\d{4}$/.test(rdbVersion) ? Number(rdbVersion) : NaN;
+    if (!(this.rdbVersion >= MIN_RDB_VERSION && this.rdbVersion <= MAX_RDB_VERSION)) {
+      throw new RDBParser.CorruptRDBError(`Can't handle RDB format version ${rdbVersion}`, 5);
+    }
+  }
 
+  /**
+   * Reads opcodes and the keys they introduce until the EOF opcode.
+   */
+  readOpCodes() {
     while (true) {
+      this.opCode = null; // Reset so that a missing opcode isn't attributed to the previous one.
       const opCode = this.readByte();
+      this.opCode = opCode;
       switch (opCode) {
         case RDBParser.OPCodes.AUX:
           this.readAUX();
@@ -95,12 +209,13 @@ class RDBParser {
    * Reads the expire time in milliseconds from the RDB file and inserts the key-value pair with timestamp into the data store.
    */
   readExpireTimeMS() {
-    let timestamp = this.read8Bytes();
+    // Millisecond timestamps fit in a number, which is what the data store and expiry arithmetic expect.
+    let timestamp = Number(this.read8Bytes());
     let valueType = this.readValueType();
     let key = this.readStringEncoding();
-    let value = this.readValue(valueType);
+    let { type, value } = this.readValue(valueType);
 
-    this.dataStore.insertKeyWithTimeStamp(key, value, timestamp);
+    this.dataStore.insertKeyWithTimeStamp(key, value, timestamp, type);
   }
 
   /**
@@ -110,20 +225,55 @@ class RDBParser {
     let timestamp = this.read4Bytes() * 1000;
     let valueType = this.readValueType();
     let key = this.readStringEncoding();
-    let value = this.readValue(valueType);
+    let { type, value } = this.readValue(valueType);
 
-    this.dataStore.insertKeyWithTimeStamp(key, value, timestamp);
+    this.dataStore.insertKeyWithTimeStamp(key, value, timestamp, type);
   }
 
   /**
-   * Reads and parses the SELECTDB command from the RDB file.
+   * Reads and parses the SELECTDB command from the RDB file, and loads the following keys into that database.
    * @returns {void}
+   * @throws {CorruptRDBError} If the database doesn't exist.
    */
   readSelectDB() {
     let { type, value } = this.readLengthEncoding();
+    if (value >= this.databases.length) {
+      throw this.createError(
+        `Data file was created with a Redis server configured to handle more than ${this.databases.length} databases`
+      );
+    }
+    this.dataStore = this.databases[value];
   }
 
-  readEOF() {}
+  /**
+   * Reads the checksum following the EOF opcode and verifies it against the CRC64 of the
+   * preceding bytes. A zero checksum means that the file was saved with checksums disabled.
+   * @throws {CorruptRDBError} If the checksum is missing or doesn't match.
+   */
+  readEOF() {
+    if (this.rdbVersion < RDBParser.CONSTANTS.CHECKSUM_MIN_VERSION) return;
+    const checksumOffset = this.cursor;
+    const expected = this.read8Bytes();
+    if (expected === 0n) return;
+    const actual = CRC64.compute(this.buffer.subarray(0, checksumOffset));
+    if (actual !== expected) {
+      throw new RDBParser.CorruptRDBError(
+        `Wrong RDB checksum expected: 0x${expected.toString(16).padStart(16, "0")} ` +
+          `got: 0x${actual.toString(16).padStart(16, "0")}`,
+        checksumOffset,
+        this.opCode
+      );
+    }
+  }
+
+  /**
+   * Creates an error for a problem detected at the current position.
+   * @param {string} reason - The description of the problem.
+   * @returns {CorruptRDBError} The error.
+   */
+  createError(reason) {
+    return new RDBParser.CorruptRDBError(reason, this.cursor, this.opCode);
+  }
 
   /**
    * Reads a key without expiry from the RDB file and inserts it into the data store.
@@ -132,42 +282,60 @@ class RDBParser {
    */
   readKeyWithoutExpiry(valueType) {
     let key = this.readStringEncoding();
-    let value = this.readValue(valueType);
-    this.dataStore.insert(key, value);
+    let { type, value } = this.readValue(valueType);
+    this.dataStore.insertKeyWithTimeStamp(key, value, null, type);
   }
 
   /**
    * Reads and returns the string encoding from the input.
    * 
-   * @returns {string} The string encoding value.
+   * @returns {string} The string encoding value, as a binary string holding one character per byte.
    * @throws {Error} If there is an error while reading the string encoding.
    */
   readStringEncoding() {
+    return this.readStringBuffer().toString("latin1");
+  }
+
+  /**
+   * Reads a string encoding from the input as raw bytes.
+   * Integer encoded strings are returned as the bytes of their decimal representation,
+   * and LZF compressed strings are decompressed.
+   *
+   * @returns {Buffer} The bytes of the string.
+   * @throws {Error} If there is an error while reading the string encoding.
+   */
+  readStringBuffer() {
     let { type, value } = this.readLengthEncoding();
 
     if (type === "length") {
       let length = value;
-      return this.readStringOfLen(length);
+      return this.readBytes(length);
     }
 
-    if (value === 0) {
-      return `${this.readByte()}`;
-    } else if (value === 1) {
-      return `${this.read2Bytes()}`;
-    } else if (value === 2) {
-      return `${this.read4Bytes()}`;
+    const formats = RDBParser.StringFormats;
+    if (value === formats.INT8) {
+      return Buffer.from(`${this.readBytes(1).readInt8(0)}`);
+    } else if (value === formats.INT16) {
+      return Buffer.from(`${this.readBytes(2).readInt16LE(0)}`);
+    } else if (value === formats.INT32) {
+      return Buffer.from(`${this.readBytes(4).readInt32LE(0)}`);
+    } else if (value === formats.LZF) {
+      const compressedLength = this.readLengthEncoding().value;
+      const length = this.readLengthEncoding().value;
+      return LZF.decompress(this.readBytes(compressedLength), length);
     }
 
-    throw new Error("Error while reading string encoding");
+    throw this.createError(`Unknown string encoding: ${value}`);
   }
 
   /**
    * Reads the length encoding from the input stream.
    * 
+   * @param {boolean} [asBigInt=false] - Whether to return the value as a BigInt, for 64-bit values that don't fit in a number.
    * @returns {Object} An object containing the type and value of the length encoding.
    * @throws {Error} If an error occurs while reading the length encoding.
    */
-  readLengthEncoding() {
+  readLengthEncoding(asBigInt = false) {
     let firstByte = this.readByte();
     let twoBits = firstByte >> 6;
 
@@ -178,17 +346,19 @@ class RDBParser {
     } else if (twoBits === 0b01) {
       let secondByte = this.readByte();
       value = ((firstByte & 0b00111111) << 8) | secondByte;
-    } else if (twoBits === 0b10) {
-      value = this.read4Bytes();
+    } else if (firstByte === 0x80) {
+      value = this.readBytes(4).readUInt32BE(0);
+    } else if (firstByte === 0x81) {
+      value = this.readBytes(8).readBigUInt64BE(0);
     } else if (twoBits === 0b11) {
       type = "format";
       value = firstByte & 0b00111111;
     } else {
-      throw new Error(
+      throw this.createError(
         `Error while reading length encoding, got first byte as : ${firstByte}`
       );
     }
-    return { type, value };
+    return { type, value: asBigInt ? BigInt(value) : Number(value) };
   }
 
   /**
@@ -201,23 +371,339 @@ class RDBParser {
 
   /**
    * Reads and returns the value based on the given value type.
+   * Compact encodings are expanded into the same data store types as their plain counterparts.
    *
    * @param {number} valueType - The type of the value.
-   * @returns {string} - The parsed value.
+   * @returns {{type: string, value: any}} - The data store type and the parsed value.
    * @throws {Error} - If the value type is not handled.
    */
   readValue(valueType) {
-    if (valueType == 0) {
-      return this.readStringEncoding();
+    const types = RDBParser.ValueTypes;
+    switch (valueType) {
+      case types.STRING:
+        return { type: "string", value: this.readStringEncoding() };
+
+      case types.LIST: {
+        const list = [];
+        const length = this.readLengthEncoding().value;
+        for (let i = 0; i < length; i++) list.push(this.readStringEncoding());
+        return { type: "list", value: new Deque(list) };
+      }
+
+      case types.LIST_ZIPLIST:
+        return { type: "list", value: new Deque(this.readZiplist()) };
+
+      case types.LIST_QUICKLIST:
+      case types.LIST_QUICKLIST_2:
+        return { type: "list", value: new Deque(this.readQuicklist(valueType)) };
+
+      case types.SET: {
+        const set = new Set();
+        const length = this.readLengthEncoding().value;
+        for (let i = 0; i < length; i++) set.add(this.readStringEncoding());
+        return { type: "set", value: set };
+      }
+
+      case types.SET_INTSET:
+        return { type: "set", value: new Set(this.readIntset()) };
+
+      case types.SET_LISTPACK:
+        return { type: "set", value: new Set(this.readListpack()) };
+
+      case types.HASH: {
+        const hash = new Map();
+        const length = this.readLengthEncoding().value;
+        for (let i = 0; i < length; i++) {
+          const field = this.readStringEncoding();
+          hash.set(field, this.readStringEncoding());
+        }
+        return { type: "hash", value: hash };
+      }
+
+      case types.HASH_ZIPMAP:
+        return { type: "hash", value: this.readZipmap() };
+
+      case types.HASH_ZIPLIST:
+        return { type: "hash", value: new Map(RDBParser.toPairs(this.readZiplist())) };
+
+      case types.HASH_LISTPACK:
+        return { type: "hash", value: new Map(RDBParser.toPairs(this.readListpack())) };
+
+      case types.ZSET:
+      case types.ZSET_2: {
+        const sortedSet = new SortedSet();
+        const length = this.readLengthEncoding().value;
+        for (let i = 0; i < length; i++) {
+          const member = this.readStringEncoding();
+          sortedSet.add(member, this.readScore(valueType));
+        }
+        return { type: "zset", value: sortedSet };
+      }
+
+      case types.ZSET_ZIPLIST:
+      case types.ZSET_LISTPACK: {
+        const sortedSet = new SortedSet();
+        const elements =
+          valueType === types.ZSET_ZIPLIST ? this.readZiplist() : this.readListpack();
+        for (const [member, score] of RDBParser.toPairs(elements)) {
+          sortedSet.add(member, this.parseScore(score));
+        }
+        return { type: "zset", value: sortedSet };
+      }
+
+      case types.STREAM_LISTPACKS:
+      case types.STREAM_LISTPACKS_2:
+      case types.STREAM_LISTPACKS_3:
+        return { type: "stream", value: this.readStream(valueType) };
     }
-    throw new Error(`Value Type not handled: ${valueType}`);
+    throw this.createError(`Value Type not handled: ${valueType}`);
+  }
+
+  /**
+   * Reads a sorted set score, stored as a binary double by ZSET_2 and as a string by ZSET.
+   * String scores are prefixed by their length, where 253, 254 and 255 stand for NaN, inf and -inf.
+   *
+   * @param {number} valueType - The sorted set value type.
+   * @returns {number} The score.
+   */
+  readScore(valueType) {
+    if (valueType === RDBParser.ValueTypes.ZSET_2) {
+      return this.readBytes(8).readDoubleLE(0);
+    }
+    const length = this.readByte();
+    if (length === 253) return NaN;
+    if (length === 254) return Infinity;
+    if (length === 255) return -Infinity;
+    return this.parseScore(this.readStringOfLen(length));
+  }
+
+  /**
+   * Reads a ziplist stored as a string.
+   * @returns {Array<string>} The entries of the ziplist.
+   */
+  readZiplist() {
+    return Ziplist.decode(this.readStringBuffer()).map((entry) => `${entry}`);
+  }
+
+  /**
+   * Reads a listpack stored as a string.
+   * @returns {Array<string>} The elements of the listpack.
+   */
+  readListpack() {
+    return Listpack.decode(this.readStringBuffer()).map((element) => `${element}`);
+  }
+
+  /**
+   * Reads a quicklist, a linked list of ziplist nodes, or of listpack and plain nodes for LIST_QUICKLIST_2.
+   * @param {number} valueType - The quicklist value type.
+   * @returns {Array<string>} The elements of the list.
+   */
+  readQuicklist(valueType) {
+    const list = [];
+    const nodeCount = this.readLengthEncoding().value;
+    for (let i = 0; i < nodeCount; i++) {
+      if (valueType === RDBParser.ValueTypes.LIST_QUICKLIST) {
+        for (const entry of this.readZiplist()) list.push(entry);
+        continue;
+      }
+      const container = this.readLengthEncoding().value;
+      if (container === RDBParser.QuicklistContainers.PLAIN) {
+        list.push(this.readStringEncoding());
+      } else {
+        for (const element of this.readListpack()) list.push(element);
+      }
+    }
+    return list;
+  }
+
+  /**
+   * Reads an intset stored as a string: the size of its integers in bytes,
+   * their count and the sorted integers, all little-endian.
+   * @returns {Array<string>} The members of the set.
+   * @throws {Error} If the size of the integers is invalid.
+   */
+  readIntset() {
+    const intset = this.readStringBuffer();
+    const encoding = intset.readUInt32LE(0);
+    const length = intset.readUInt32LE(4);
+    const members = [];
+    for (let i = 0; i < length; i++) {
+      const offset = 8 + i * encoding;
+      if (encoding === 2) members.push(`${intset.readInt16LE(offset)}`);
+      else if (encoding === 4) members.push(`${intset.readInt32LE(offset)}`);
+      else if (encoding === 8) members.push(`${intset.readBigInt64LE(offset)}`);
+      else throw new Error(`Invalid intset encoding: ${encoding}`);
+    }
+    return members;
+  }
+
+  /**
+   * Reads a zipmap stored as a string, the hash encoding used before ziplists.
+   * Each field and value is prefixed by its length, and values are followed by unused padding bytes.
+   * @returns {Map<string, string>} The hash.
+   */
+  readZipmap() {
+    const zipmap = this.readStringBuffer();
+    let cursor = 1; // Skip the number of entries, which is only valid below 254.
+    const readLength = () => {
+      const byte = zipmap[cursor++];
+      if (byte < 254) return byte;
+      if (byte === 255) return null; // End of the zipmap.
+      const length = zipmap.readUInt32LE(cursor);
+      cursor += 4;
+      return length;
+    };
+    const readString = (length) => {
+      const string = zipmap.toString("latin1", cursor, cursor + length);
+      cursor += length;
+      return string;
+    };
+
+    const hash = new Map();
+    while (true) {
+      const fieldLength = readLength();
+      if (fieldLength === null) break;
+      const field = readString(fieldLength);
+      const valueLength = readLength();
+      const free = zipmap[cursor++];
+      hash.set(field, readString(valueLength));
+      cursor += free;
+    }
+    return hash;
+  }
+
+  /**
+   * Groups a flat array of elements into pairs.
+   * @param {Array} elements - The elements, such as alternating fields and values.
+   * @returns {Array<Array>} The pairs of consecutive elements.
+   */
+  static toPairs(elements) {
+    const pairs = [];
+    for (let i = 0; i + 1 < elements.length; i += 2) {
+      pairs.push([elements[i], elements[i + 1]]);
+    }
+    return pairs;
+  }
+
+  /**
+   * Parses a score stored as a string, as formatted by Redis.
+   * @param {string} score - The score.
+   * @returns {number} The parsed score.
+   * @throws {CorruptRDBError} If the score is not a valid float.
+   */
+  parseScore(score) {
+    const parsed = SortedSet.parseScore(score);
+    if (parsed === null) throw this.createError(`Invalid sorted set score: ${score}`);
+    return parsed;
+  }
+
+  /**
+   * Reads a stream stored as listpack nodes followed by its metadata and consumer groups.
+   * Deleted entries are skipped.
+   *
+   * @param {number} valueType - The stream value type, which determines the metadata present.
+   * @returns {Stream} The stream.
+   */
+  readStream(valueType) {
+    const types = RDBParser.ValueTypes;
+    const stream = new Stream();
+    const readId = () => `${this.readLengthEncoding(true).value}-${this.readLengthEncoding(true).value}`;
+    const readRawId = () => {
+      const id = this.readBytes(16);
+      return `${id.readBigUInt64BE(0)}-${id.readBigUInt64BE(8)}`;
+    };
+    const readMillisecondTime = () => Number(this.readBytes(8).readBigInt64LE(0));
+
+    const nodeCount = this.readLengthEncoding().value;
+    for (let n = 0; n < nodeCount; n++) {
+      const nodeKey = this.readStringBuffer();
+      const masterMs = nodeKey.readBigUInt64BE(0);
+      const masterSeq = nodeKey.readBigUInt64BE(8);
+      const elements = Listpack.decode(this.readStringBuffer());
+
+      const count = Number(elements[0]) + Number(elements[1]);
+      const numMasterFields = Number(elements[2]);
+      const masterFields = elements.slice(3, 3 + numMasterFields);
+      let i = 3 + numMasterFields + 1; // Skip the master entry terminator.
+
+      for (let e = 0; e < count; e++) {
+        const flags = Number(elements[i++]);
+        const ms = masterMs + BigInt(elements[i++]);
+        const seq = masterSeq + BigInt(elements[i++]);
+        const entry = { id: `${ms}-${seq}`, ms, seq, fields: [] };
+        if (flags & 2) {
+          for (const field of masterFields) entry.fields.push(`${field}`, `${elements[i++]}`);
+        } else {
+          const numFields = Number(elements[i++]);
+          for (let f = 0; f < numFields; f++) {
+            const field = elements[i++];
+            entry.fields.push(`${field}`, `${elements[i++]}`);
+          }
+        }
+        i++; // Skip the lp-count.
+        if (!(flags & 1)) stream.entries.push(entry);
+      }
+    }
+
+    this.readLengthEncoding(); // Number of entries.
+    stream.lastId = readId();
+    if (valueType >= types.STREAM_LISTPACKS_2) {
+      readId(); // First ID, which is the ID of the first entry read.
+      stream.maxDeletedId = readId();
+      stream.entriesAdded = this.readLengthEncoding().value;
+    } else {
+      stream.entriesAdded = stream.length;
+    }
+
+    const groupCount = this.readLengthEncoding().value;
+    for (let g = 0; g < groupCount; g++) {
+      const name = this.readStringEncoding();
+      const lastId = readId();
+      let entriesRead = stream.estimateEntriesRead(lastId);
+      if (valueType >= types.STREAM_LISTPACKS_2) {
+        const value = this.readLengthEncoding(true).value;
+        entriesRead = value === 2n ** 64n - 1n ? null : Number(value); // -1 when unknown.
+      }
+      const group = stream.createGroup(name, lastId, entriesRead);
+      if (group === null) throw this.createError(`Duplicated consumer group name ${name}`);
+
+      const pendingCount = this.readLengthEncoding().value;
+      for (let p = 0; p < pendingCount; p++) {
+        const id = readRawId();
+        const deliveryTime = readMillisecondTime();
+        const deliveryCount = this.readLengthEncoding().value;
+        group.pending.set(id, { id, consumer: null, deliveryTime, deliveryCount });
+      }
+
+      const consumerCount = this.readLengthEncoding().value;
+      for (let c = 0; c < consumerCount; c++) {
+        const consumerName = this.readStringEncoding();
+        const seenTime = readMillisecondTime();
+        const consumer = stream.getConsumer(group, consumerName, seenTime);
+        consumer.activeTime = valueType >= types.STREAM_LISTPACKS_3 ? readMillisecondTime() : seenTime;
+        const consumerPendingCount = this.readLengthEncoding().value;
+        for (let p = 0; p < consumerPendingCount; p++) {
+          const nack = group.pending.get(readRawId());
+          if (nack === undefined) throw this.createError("Consumer PEL entry not found in the group PEL");
+          nack.consumer = consumerName;
+          consumer.pending.add(nack.id);
+        }
+      }
+      for (const nack of group.pending.values()) {
+        if (nack.consumer === null) throw this.createError("Stream CG PEL entry without consumer");
+      }
+    }
+
+    return stream;
   }
 
   /**
    * Reads a byte from the buffer and advances the cursor.
    * @returns {number} The byte read from the buffer.
+   * @throws {CorruptRDBError} If the end of the buffer was reached.
    */
   readByte() {
+    this.ensureAvailable(1);
     return this.buffer[this.cursor++];
   }
 
@@ -227,6 +713,7 @@ class RDBParser {
    * @returns {number} The 2 bytes read from the buffer.
    */
   read2Bytes() {
+    this.ensureAvailable(2);
     let bytes = this.buffer.readUInt16LE(this.cursor);
     this.cursor += 2;
     return bytes;
@@ -239,6 +726,7 @@ class RDBParser {
    * @returns {number} The value read from the buffer as an unsigned 32-bit integer.
    */
   read4Bytes() {
+    this.ensureAvailable(4);
     let bytes = this.buffer.readUInt32LE(this.cursor);
     this.cursor += 4;
     return bytes;
@@ -250,6 +738,7 @@ class RDBParser {
    * @returns {BigInt} The 8 bytes read from the buffer.
    */
   read8Bytes() {
+    this.ensureAvailable(8);
     let bytes = this.buffer.readBigUint64LE(this.cursor);
     this.cursor += 8;
     return bytes;
@@ -262,11 +751,33 @@ class RDBParser {
    * @returns {string} - The string read from the buffer.
    */
   readStringOfLen(len) {
-    let string = String.fromCharCode(
-      ...this.buffer.subarray(this.cursor, this.cursor + len)
-    );
+    return this.readBytes(len).toString("latin1");
+  }
+
+  /**
+   * Reads a number of raw bytes from the buffer and advances the cursor.
+   *
+   * @param {number} len - The number of bytes to read.
+   * @returns {Buffer} - The bytes read from the buffer.
+   * @throws {CorruptRDBError} If the buffer holds fewer bytes than requested.
+   */
+  readBytes(len) {
+    this.ensureAvailable(len);
+    let bytes = this.buffer.subarray(this.cursor, this.cursor + len);
     this.cursor += len;
-    return string;
+    return bytes;
+  }
+
+  /**
+   * Checks that the buffer holds a number of bytes past the cursor.
+   *
+   * @param {number} len - The number of bytes about to be read.
+   * @throws {CorruptRDBError} If the buffer holds fewer bytes.
+   */
+  ensureAvailable(len) {
+    if (this.cursor + len > this.buffer.length) {
+      throw this.createError("Unexpected EOF reading RDB file");
+    }
   }
 }
 
@@ -0,0 +1,334 @@
+const fs = require("fs");
+const CRC64 = require("./CRC64");
+const Listpack = require("./Listpack");
+const Stream = require("./Stream");
+
+/**
+ * Represents a Redis RDB Writer.
+ * Serializes the contents of the databases into the Redis RDB (Redis Database) file format,
+ * as the inverse of {@link RDBParser}.
+ */
+class RDBWriter {
+  static CONSTANTS = {
+    MAGIC_REDIS_STRING: "REDIS",
+    RDB_VERSION: "0011",
+    STREAM_NODE_MAX_ENTRIES: 100,
+  };
+
+  /**
+   * Represents the available OPCodes.
+   * @type {Object}
+   */
+  static OPCodes = {
+    AUX: 0xfa,
+    RESIZEDB: 0xfb,
+    EXPIRETIMEMS: 0xfc,
+    EXPIRETIME: 0xfd,
+    SELECTDB: 0xfe,
+    EOF: 0xff,
+  };
+
+  /**
+   * Represents the value types written for each data store type.
+   * @type {Object}
+   */
+  static ValueTypes = {
+    string: 0,
+    list: 1,
+    set: 2,
+    hash: 4,
+    zset: 5, // ZSET_2, with binary double scores.
+    stream: 21, // STREAM_LISTPACKS_3.
+  };
+
+  /**
+   * Constructs a new RDBWriter instance.
+   * @param {Array<HashTable>} databases - The databases to serialize, indexed by their number.
+   */
+  constructor(databases) {
+    this.databases = databases;
+    this.chunks = [];
+  }
+
+  /**
+   * Serializes the databases into an RDB payload, including the trailing CRC64 checksum.
+   * Empty databases are skipped.
+   * @returns {Buffer} The RDB payload.
+   */
+  write() {
+    this.chunks = [];
+    this.writeString(
+      RDBWriter.CONSTANTS.MAGIC_REDIS_STRING + RDBWriter.CONSTANTS.RDB_VERSION,
+      false
+    );
+    this.writeAUX("redis-ver", "7.2.0");
+    this.writeAUX("redis-bits", "64");
+    this.writeAUX("ctime", `${Math.floor(Date.now() / 1000)}`);
+    this.writeAUX("used-mem", `${process.memoryUsage().heapUsed}`);
+    this.writeAUX("aof-base", "0");
+
+    this.databases.forEach((dataStore, index) => {
+      const entries = [...dataStore.entries()];
+      if (entries.length === 0) return;
+      this.writeByte(RDBWriter.OPCodes.SELECTDB);
+      this.writeLength(index);
+      this.writeByte(RDBWriter.OPCodes.RESIZEDB);
+      this.writeLength(entries.length);
+      this.writeLength(entries.filter(([, entry]) => entry.expiry != null).length);
+      for (const [key, entry] of entries) this.writeEntry(key, entry);
+    });
+
+    this.writeByte(RDBWriter.OPCodes.EOF);
+    const payload = Buffer.concat(this.chunks);
+    const checksum = Buffer.alloc(8);
+    checksum.writeBigUInt64LE(CRC64.compute(payload));
+    return Buffer.concat([payload, checksum]);
+  }
+
+  /**
+   * Serializes the databases and writes them to a file.
+   * The payload is written to a temporary file first and renamed over the target,
+   * so that a crash during the save never leaves a truncated file behind.
+   * @param {Array<HashTable>} databases - The databases to serialize.
+   * @param {string} filePath - The path of the RDB file.
+   */
+  static save(databases, filePath) {
+    const payload = new RDBWriter(databases).write();
+    const tempPath = `${filePath}.tmp-${process.pid}`;
+    fs.writeFileSync(tempPath, payload);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Serializes the databases and writes them to a file without blocking on disk I/O.
+   * The snapshot is serialized synchronously, so it reflects the databases at the time of the call
+   * even if they are modified while the file is being written.
+   * @param {Array<HashTable>} databases - The databases to serialize.
+   * @param {string} filePath - The path of the RDB file.
+   * @returns {Promise<void>} Resolves once the file is in place.
+   */
+  static async saveInBackground(databases, filePath) {
+    const payload = new RDBWriter(databases).write();
+    const tempPath = `${filePath}.tmp-${process.pid}`;
+    await fs.promises.writeFile(tempPath, payload);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Writes an AUX field.
+   * @param {string} key - The name of the field.
+   * @param {string} value - The value of the field.
+   */
+  writeAUX(key, value) {
+    this.writeByte(RDBWriter.OPCodes.AUX);
+    this.writeString(key);
+    this.writeString(value);
+  }
+
+  /**
+   * Writes a key, its optional expiry and its value.
+   * @param {string} key - The key.
+   * @param {object} entry - The data store entry holding the value, its type and expiry.
+   * @throws {Error} If the type of the entry can't be serialized.
+   */
+  writeEntry(key, entry) {
+    if (entry.expiry != null) {
+      this.writeByte(RDBWriter.OPCodes.EXPIRETIMEMS);
+      const timestamp = Buffer.alloc(8);
+      timestamp.writeBigUInt64LE(BigInt(entry.expiry));
+      this.chunks.push(timestamp);
+    }
+
+    const valueType = RDBWriter.ValueTypes[entry.type];
+    if (valueType === undefined) {
+      throw new Error(`Value Type not handled: ${entry.type}`);
+    }
+    this.writeByte(valueType);
+    this.writeString(key);
+    this.writeValue(entry.type, entry.value);
+  }
+
+  /**
+   * Writes a value in the encoding matching its type.
+   * @param {string} type - The data store type of the value.
+   * @param {any} value - The value.
+   */
+  writeValue(type, value) {
+    switch (type) {
+      case "string":
+        this.writeString(value);
+        break;
+      case "list":
+        this.writeLength(value.length);
+        for (const element of value) this.writeString(element);
+        break;
+      case "set":
+        this.writeLength(value.size);
+        for (const member of value) this.writeString(member);
+        break;
+      case "hash":
+        this.writeLength(value.size);
+        for (const [field, fieldValue] of value) {
+          this.writeString(field);
+          this.writeString(fieldValue);
+        }
+        break;
+      case "zset":
+        this.writeLength(value.size);
+        for (const [member, score] of value) {
+          this.writeString(member);
+          const binaryScore = Buffer.alloc(8);
+          binaryScore.writeDoubleLE(score);
+          this.chunks.push(binaryScore);
+        }
+        break;
+      case "stream":
+        this.writeStream(value);
+        break;
+    }
+  }
+
+  /**
+   * Writes a stream as a sequence of listpack nodes followed by its metadata and consumer groups.
+   *
+   * Each node starts with a master entry holding the entry count, the deleted count and the
+   * fields of its first entry. Entries then store their ID as a delta from the node's master ID,
+   * and only their values when their fields match the master fields.
+   * @param {Stream} stream - The stream.
+   */
+  writeStream(stream) {
+    const { entries } = stream;
+    const fieldNames = (entry) => entry.fields.filter((_, i) => i % 2 === 0);
+    const nodeSize = RDBWriter.CONSTANTS.STREAM_NODE_MAX_ENTRIES;
+    const nodeCount = Math.ceil(entries.length / nodeSize);
+
+    this.writeLength(nodeCount);
+    for (let start = 0; start < entries.length; start += nodeSize) {
+      const nodeEntries = entries.slice(start, start + nodeSize);
+      const [masterMs, masterSeq] = Stream.parseId(nodeEntries[0].id);
+      const masterFields = fieldNames(nodeEntries[0]);
+
+      const elements = [nodeEntries.length, 0, masterFields.length, ...masterFields, 0];
+      for (const entry of nodeEntries) {
+        const [ms, seq] = Stream.parseId(entry.id);
+        const fields = fieldNames(entry);
+        const sameFields =
+          fields.length === masterFields.length &&
+          fields.every((field, i) => field === masterFields[i]);
+
+        elements.push(sameFields ? 2 : 0, ms - masterMs, seq - masterSeq);
+        if (sameFields) {
+          elements.push(...entry.fields.filter((_, i) => i % 2 === 1));
+          elements.push(fields.length + 3);
+        } else {
+          elements.push(fields.length, ...entry.fields);
+          elements.push(fields.length * 2 + 4);
+        }
+      }
+
+      const nodeKey = Buffer.alloc(16);
+      nodeKey.writeBigUInt64BE(masterMs, 0);
+      nodeKey.writeBigUInt64BE(masterSeq, 8);
+      this.writeString(nodeKey);
+      this.writeString(Listpack.encode(elements));
+    }
+
+    this.writeLength(entries.length);
+    for (const id of [stream.lastId, stream.firstId, stream.maxDeletedId]) {
+      for (const part of Stream.parseId(id)) this.writeLength(part);
+    }
+    this.writeLength(stream.entriesAdded);
+
+    this.writeLength(stream.groups.size);
+    for (const group of stream.groups.values()) {
+      this.writeString(group.name);
+      for (const part of Stream.parseId(group.lastId)) this.writeLength(part);
+      this.writeLength(group.entriesRead ?? 2n ** 64n - 1n); // -1 when unknown.
+
+      const pending = stream.getPending(group);
+      this.writeLength(pending.length);
+      for (const nack of pending) {
+        this.writeStreamId(nack.id);
+        this.writeMillisecondTime(nack.deliveryTime);
+        this.writeLength(nack.deliveryCount);
+      }
+
+      this.writeLength(group.consumers.size);
+      for (const consumer of group.consumers.values()) {
+        this.writeString(consumer.name);
+        this.writeMillisecondTime(consumer.seenTime);
+        this.writeMillisecondTime(consumer.activeTime);
+        const consumerPending = stream.getPending(group, consumer);
+        this.writeLength(consumerPending.length);
+        for (const nack of consumerPending) this.writeStreamId(nack.id);
+      }
+    }
+  }
+
+  /**
+   * Writes a stream ID as two 64-bit big-endian integers.
+   * @param {string} id - The ID.
+   */
+  writeStreamId(id) {
+    const [ms, seq] = Stream.parseId(id);
+    const buffer = Buffer.alloc(16);
+    buffer.writeBigUInt64BE(ms, 0);
+    buffer.writeBigUInt64BE(seq, 8);
+    this.chunks.push(buffer);
+  }
+
+  /**
+   * Writes a time in milliseconds as a 64-bit little-endian integer.
+   * @param {number} time - The time.
+   */
+  writeMillisecondTime(time) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigInt64LE(BigInt(time));
+    this.chunks.push(buffer);
+  }
+
+  /**
+   * Writes a length-prefixed string.
+   * @param {string|Buffer} value - The string to write, as a Buffer or a binary string.
+   * @param {boolean} [withLength=true] - False to write the raw bytes without a length prefix.
+   */
+  writeString(value, withLength = true) {
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(`${value}`, "latin1");
+    if (withLength) this.writeLength(data.length);
+    this.chunks.push(data);
+  }
+
+  /**
+   * Writes a length using the RDB length encoding.
+   * Lengths up to 63 use 6 bits, up to 16383 use 14 bits, and larger ones a 32 or 64-bit big-endian integer.
+   * @param {number|bigint} length - The length to write.
+   */
+  writeLength(length) {
+    const value = BigInt(length);
+    if (value < 64n) {
+      this.writeByte(Number(value));
+    } else if (value < 16384n) {
+      this.chunks.push(Buffer.from([0x40 | Number(value >> 8n), Number(value & 0xffn)]));
+    } else if (value <= 0xffffffffn) {
+      const buffer = Buffer.alloc(5);
+      buffer[0] = 0x80;
+      buffer.writeUInt32BE(Number(value), 1);
+      this.chunks.push(buffer);
+    } else {
+      const buffer = Buffer.alloc(9);
+      buffer[0] = 0x81;
+      buffer.writeBigUInt64BE(value, 1);
+      this.chunks.push(buffer);
+    }
+  }
+
+  /**
+   * Writes a single byte.
+   * @param {number} byte - The byte to write.
+   */
+  writeByte(byte) {
+    this.chunks.push(Buffer.from([byte]));
+  }
+}
+
+module.exports = RDBWriter;
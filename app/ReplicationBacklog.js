@@ -0,0 +1,80 @@
+/**
+ * Holds the latest bytes of the replication stream in a circular buffer, so that a replica that
+ * reconnects can be sent the part of the stream it missed instead of a full snapshot.
+ *
+ * Offsets are those of the replication stream: the first byte ever propagated is at offset 1,
+ * and the offset of the master is the one of the last byte it propagated.
+ */
+class ReplicationBacklog {
+  /**
+   * Constructs a new, empty ReplicationBacklog instance.
+   * @param {number} size - The number of bytes held.
+   * @param {number} offset - The offset of the master, whose next byte is the first one held.
+   */
+  constructor(size, offset) {
+    this.buffer = Buffer.alloc(size);
+    this.index = 0; // Position in the buffer where the next byte is written.
+    this.length = 0; // Number of bytes held, up to the size of the buffer.
+    this.offset = offset + 1; // Offset of the first byte held.
+  }
+
+  /**
+   * The number of bytes the backlog can hold.
+   * @type {number}
+   */
+  get size() {
+    return this.buffer.length;
+  }
+
+  /**
+   * Appends bytes of the replication stream, overwriting the oldest ones once the buffer is full.
+   * @param {string|Buffer} data - The bytes, as a Buffer or a binary string.
+   */
+  append(data) {
+    let bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, "latin1");
+    const end = this.offset + this.length + bytes.length;
+    if (bytes.length > this.size) bytes = bytes.subarray(bytes.length - this.size);
+    const copied = bytes.copy(this.buffer, this.index);
+    bytes.copy(this.buffer, 0, copied);
+    this.index = (this.index + bytes.length) % this.size;
+    this.length = Math.min(this.length + bytes.length, this.size);
+    this.offset = end - this.length;
+  }
+
+  /**
+   * Checks whether the stream can be resumed from an offset, which is the case from the first byte held
+   * to the one following the last byte held.
+   * @param {number} offset - The offset of the first byte to send.
+   * @returns {boolean} True if the backlog holds every byte from the offset on.
+   */
+  covers(offset) {
+    return offset >= this.offset && offset <= this.offset + this.length;
+  }
+
+  /**
+   * Reads the bytes held from an offset on.
+   * @param {number} offset - The offset of the first byte to read, which must be covered.
+   * @returns {Buffer} The bytes.
+   */
+  readFrom(offset) {
+    const count = this.offset + this.length - offset;
+    const start = (this.index - count + this.size) % this.size;
+    if (start + count <= this.size) return Buffer.from(this.buffer.subarray(start, start + count));
+    return Buffer.concat([this.buffer.subarray(start), this.buffer.subarray(0, count - (this.size - start))]);
+  }
+
+  /**
+   * Resizes the backlog, keeping the latest bytes that fit.
+   * @param {number} size - The new number of bytes held.
+   */
+  resize(size) {
+    if (size === this.size) return;
+    const bytes = this.readFrom(this.offset);
+    this.buffer = Buffer.alloc(size);
+    this.index = 0;
+    this.length = 0;
+    this.append(bytes); // Moves the first offset past the bytes that don't fit anymore.
+  }
+}
+
+module.exports = ReplicationBacklog;
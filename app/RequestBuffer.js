@@ -0,0 +1,64 @@
+/**
+ * Holds the bytes received on a connection that weren't parsed yet, as the chunks they arrived in.
+ *
+ * Chunks are only concatenated when the contents are read, and the buffer records how long it must
+ * get before the request it holds can be complete, so that a large request received in many chunks
+ * is concatenated and parsed once rather than once per chunk.
+ */
+class RequestBuffer {
+  /**
+   * Constructs a new, empty RequestBuffer instance.
+   */
+  constructor() {
+    this.chunks = [];
+    this.length = 0; // Number of bytes held.
+    this.awaitedLength = 0; // Number of bytes needed before parsing the contents again is worth it.
+  }
+
+  /**
+   * Whether enough bytes are held for the contents to be parsed again.
+   * @type {boolean}
+   */
+  get ready() {
+    return this.length > 0 && this.length >= this.awaitedLength;
+  }
+
+  /**
+   * Appends a chunk of received bytes.
+   * @param {Buffer} chunk - The bytes.
+   */
+  append(chunk) {
+    this.chunks.push(chunk);
+    this.length += chunk.length;
+  }
+
+  /**
+   * Retrieves the bytes held, concatenating the chunks into one.
+   * @returns {Buffer} The bytes.
+   */
+  contents() {
+    if (this.chunks.length === 0) return Buffer.alloc(0);
+    if (this.chunks.length > 1) this.chunks = [Buffer.concat(this.chunks, this.length)];
+    return this.chunks[0];
+  }
+
+  /**
+   * Replaces the bytes held with the ones left once the contents were parsed.
+   * @param {Buffer} remaining - The bytes that weren't parsed.
+   * @param {number} [awaitedLength=0] - The number of bytes needed before parsing them again is worth it.
+   */
+  consume(remaining, awaitedLength = 0) {
+    this.chunks = remaining.length > 0 ? [remaining] : [];
+    this.length = remaining.length;
+    this.awaitedLength = awaitedLength;
+  }
+
+  /**
+   * Discards the bytes held.
+   */
+  clear() {
+    this.consume(Buffer.alloc(0));
+  }
+}
+
+module.exports = RequestBuffer;
@@ -1,105 +1,260 @@
-const assert = require("assert");
+const Encoder = require("./Encoder");
+
+const ASTERISK = 0x2a;
+const DOLLAR = 0x24;
+const NEWLINE = 0x0a;
+const CARRIAGE_RETURN = 0x0d;
+
+/**
+ * Escape sequences recognized inside double quotes in inline requests, besides \xHH.
+ */
+const INLINE_ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", a: "\x07" };
 
 /**
  * A class for parsing Redis-like protocol messages from a buffer.
+ *
+ * Parsing works on bytes, so arguments may hold arbitrary binary data. Arguments and requests are
+ * returned as binary strings, holding one character per byte (the "latin1" encoding of Node.js), so that
+ * their length is their size in bytes and `Buffer.from(string, "latin1")` gives back the original bytes.
+ *
+ * Besides RESP arrays of bulk strings, requests can be sent inline, as a line of arguments separated
+ * by spaces, the way they are typed in a telnet session.
  */
 class RequestParser {
   /**
-   * Custom error class for handling incomplete request errors.
+   * The longest inline request, or line holding an array or bulk string length, that is accepted.
+   */
+  static MAX_INLINE_LENGTH = 64 * 1024;
+
+  /**
+   * The default limit on the length of a bulk string.
+   */
+  static DEFAULT_MAX_BULK_LENGTH = 512 * 1024 * 1024;
+
+  /**
+   * Custom error class for handling incomplete request errors. It holds the length the buffer must reach
+   * for the request to be complete, or null if it is unknown until more of the request is received.
    */
   static PartialRequestError = class PartialRequestError extends Error {
-    constructor() {
+    constructor(neededLength = null) {
       super("Index out of bound while parsing request");
       this.name = "Partial Request";
+      this.neededLength = neededLength;
+    }
+  };
+
+  /**
+   * Custom error class for malformed requests, after which the rest of the buffer can't be parsed.
+   */
+  static ProtocolError = class ProtocolError extends Error {
+    constructor(reason) {
+      super(`Protocol error: ${reason}`);
+      this.name = "Protocol Error";
     }
   };
 
   /**
    * Constructs a new RequestParser instance.
-   * @param {string} buffer - The buffer containing the request data.
+   * @param {Buffer|string} buffer - The buffer containing the request data, or a binary string.
+   * @param {object} [options] - Parsing options.
+   * @param {number} [options.maxBulkLength] - The longest bulk string that is accepted.
+   * @param {boolean} [options.allowInline=true] - Whether inline requests are accepted.
    */
-  constructor(buffer) {
-    this.request = buffer;
+  constructor(buffer, { maxBulkLength = RequestParser.DEFAULT_MAX_BULK_LENGTH, allowInline = true } = {}) {
+    this.request = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer, "latin1");
+    this.maxBulkLength = maxBulkLength;
+    this.allowInline = allowInline;
     this.cursor = 0; // Tracks the current position in the buffer.
     this.currentRequest = ""; // Holds the current request being parsed.
+    this.awaitedLength = 0; // Length the remaining buffer must reach before the partial request can be complete.
   }
 
   /**
-   * Parses the buffer and extracts the arguments from the Redis-like request.
-   * @returns {Array<string>} An array of arguments extracted from the request.
+   * Parses the next complete request from the buffer, skipping empty ones.
+   * Inline requests are converted to a RESP array, so that `currentRequest` always holds one.
+   * When the last request is partial, `awaitedLength` tells how long the remaining buffer must get for it to be complete.
+   * @returns {Array<string>} The arguments of the request, or an empty array if no complete request is buffered.
+   * @throws {ProtocolError} If the request is malformed.
    */
   parse() {
-    const startCursor = this.cursor; // Remember the starting position for rollback.
-    this.args = []; // Initialize arguments list.
-    try {
-      assert.equal(this.curr(), "*", "Start of request should be *"); // Check for the correct start symbol.
-      this.cursor++;
-      const numOfArgs = this.readNum(); // Read the number of arguments.
-      for (let i = 0; i < numOfArgs; i++) {
-        this.args.push(this.readBulkString()); // Read each bulk string argument.
+    this.awaitedLength = 0;
+    while (this.cursor < this.request.length) {
+      const startCursor = this.cursor; // Remember the starting position for rollback.
+      const isInline = this.curr() !== ASTERISK;
+      if (isInline && !this.allowInline) {
+        throw new RequestParser.ProtocolError(`expected '*', got '${String.fromCharCode(this.curr())}'`);
       }
-    } catch (err) {
-      this.cursor = startCursor; // Rollback to the start position on error.
-      this.args = [];
-      this.currentRequest = "";
-    } finally {
-      this.currentRequest = this.request.slice(startCursor, this.cursor); // Update the current request.
+      try {
+        this.args = isInline ? this.readInline() : this.readMultibulk();
+      } catch (err) {
+        if (!(err instanceof RequestParser.PartialRequestError)) throw err;
+        this.cursor = startCursor; // Rollback until the rest of the request is received.
+        this.awaitedLength = (err.neededLength ?? this.request.length + 1) - startCursor;
+        break;
+      }
+      if (this.args.length === 0) continue;
+      this.currentRequest = isInline
+        ? Encoder.createArray(this.args.map((arg) => Encoder.createBulkString(arg)))
+        : this.request.toString("latin1", startCursor, this.cursor);
       return this.args;
     }
+    this.args = [];
+    this.currentRequest = "";
+    return this.args;
   }
 
   /**
-   * Reads a number from the buffer until a carriage return.
-   * @returns {number} The parsed number.
+   * Reads a RESP array of bulk strings.
+   * @returns {Array<string>} The bulk strings, none for an empty or null array.
+   * @throws {PartialRequestError} If the buffer does not contain the whole array.
+   * @throws {ProtocolError} If the array is malformed.
    */
-  readNum() {
-    let num = 0;
-    while (this.curr() !== "\r") {
-      num = num * 10 + (this.curr() - "0"); // Convert character to digit and accumulate.
-      this.cursor++;
+  readMultibulk() {
+    this.cursor++;
+    const numOfArgs = this.readNum("mbulk count string"); // Read the number of arguments.
+    if (numOfArgs === null || numOfArgs > 0x7fffffff) {
+      throw new RequestParser.ProtocolError("invalid multibulk length");
+    }
+    const args = [];
+    for (let i = 0; i < numOfArgs; i++) {
+      args.push(this.readBulkString()); // Read each bulk string argument.
     }
-    this.cursor += 2; // Skip the carriage return and newline.
-    return num;
+    return args;
+  }
+
+  /**
+   * Reads a number from the buffer until a carriage return and newline.
+   * @param {string} description - What the number is, for the error raised when its line is too long.
+   * @returns {number|null} The parsed number, or null if the line isn't an integer.
+   * @throws {PartialRequestError} If the buffer does not contain the whole line.
+   * @throws {ProtocolError} If the line is too long.
+   */
+  readNum(description) {
+    const end = this.request.indexOf("\r\n", this.cursor);
+    if (end === -1) {
+      if (this.request.length - this.cursor > RequestParser.MAX_INLINE_LENGTH) {
+        throw new RequestParser.ProtocolError(`too big ${description}`);
+      }
+      throw new RequestParser.PartialRequestError();
+    }
+    const line = this.request.toString("latin1", this.cursor, end);
+    this.cursor = end + 2; // Skip the carriage return and newline.
+    return /^-?\d{1,18}$/.test(line) ? Number(line) : null;
   }
 
   /**
    * Reads a bulk string from the buffer.
    * @returns {string} The bulk string.
+   * @throws {PartialRequestError} If the buffer does not contain the whole bulk string.
+   * @throws {ProtocolError} If the bulk string is malformed or longer than the limit.
    */
   readBulkString() {
-    assert.equal(this.curr(), "$", "Start of bulk string should be $");
+    if (this.curr() !== DOLLAR) {
+      throw new RequestParser.ProtocolError(`expected '$', got '${String.fromCharCode(this.curr())}'`);
+    }
     this.cursor++;
-    const lenOfString = this.readNum(); // Read the length of the bulk string.
+    const lenOfString = this.readNum("bulk count string"); // Read the length of the bulk string.
+    if (lenOfString === null || lenOfString < 0 || lenOfString > this.maxBulkLength) {
+      throw new RequestParser.ProtocolError("invalid bulk length");
+    }
     const string = this.getString(lenOfString); // Extract the string.
     return string;
   }
 
+  /**
+   * Reads an inline request, a line of arguments terminated by a newline, optionally preceded by a carriage return.
+   * @returns {Array<string>} The arguments, none for a blank line.
+   * @throws {PartialRequestError} If the buffer does not contain the whole line.
+   * @throws {ProtocolError} If the line is too long or its quotes are unbalanced.
+   */
+  readInline() {
+    const end = this.request.indexOf(NEWLINE, this.cursor);
+    if (end === -1) {
+      if (this.request.length - this.cursor > RequestParser.MAX_INLINE_LENGTH) {
+        throw new RequestParser.ProtocolError("too big inline request");
+      }
+      throw new RequestParser.PartialRequestError();
+    }
+    const lineEnd = end > this.cursor && this.request[end - 1] === CARRIAGE_RETURN ? end - 1 : end;
+    const line = this.request.toString("latin1", this.cursor, lineEnd);
+    this.cursor = end + 1;
+    const args = RequestParser.splitInlineArgs(line);
+    if (args === null) throw new RequestParser.ProtocolError("unbalanced quotes in request");
+    return args;
+  }
+
+  /**
+   * Splits an inline request into arguments separated by whitespace, which can be quoted.
+   * Double quotes support the \n, \r, \t, \b, \a and \xHH escapes, and a backslash before any other
+   * character stands for that character. Single quotes only support \' for a quote.
+   * A closing quote must be followed by whitespace or the end of the line.
+   * @param {string} line - The request, without its line terminator.
+   * @returns {Array<string>|null} The arguments, or null if the quotes are unbalanced.
+   */
+  static splitInlineArgs(line) {
+    const isSpace = (char) => char !== undefined && " \t\n\r\v\f".includes(char);
+    const args = [];
+    let i = 0;
+    while (true) {
+      while (isSpace(line[i])) i++;
+      if (i >= line.length) return args;
+
+      let arg = "";
+      let quote = null; // The quote that opened the quoted part being read, if any.
+      for (; ; i++) {
+        const char = line[i];
+        if (quote !== null && char === undefined) return null;
+        if (quote === '"' && char === "\\" && /^x[0-9a-f]{2}$/i.test(line.slice(i + 1, i + 4))) {
+          arg += String.fromCharCode(parseInt(line.slice(i + 2, i + 4), 16));
+          i += 3;
+        } else if (quote === '"' && char === "\\" && i + 1 < line.length) {
+          i++;
+          arg += INLINE_ESCAPES[line[i]] ?? line[i];
+        } else if (quote === "'" && char === "\\" && line[i + 1] === "'") {
+          i++;
+          arg += "'";
+        } else if (quote !== null && char === quote) {
+          if (i + 1 < line.length && !isSpace(line[i + 1])) return null;
+          quote = null;
+        } else if (quote === null && (char === undefined || isSpace(char))) {
+          break;
+        } else if (quote === null && (char === '"' || char === "'")) {
+          quote = char;
+        } else {
+          arg += char;
+        }
+      }
+      args.push(arg);
+    }
+  }
+
   /**
    * Retrieves a string from the buffer of a specified length.
    * @param {number} lenOfString - The length of the string to extract.
-   * @returns {string} The extracted string.
-   * @throws {PartialRequestError} If the buffer does not contain enough characters.
+   * @returns {string} The extracted string, as a binary string.
+   * @throws {PartialRequestError} If the buffer does not contain the string and its terminating CRLF.
    */
   getString(lenOfString) {
-    if (this.request.length < this.cursor + lenOfString) {
-      throw new RequestParser.PartialRequestError(); // Throw error if the buffer is too short.
+    if (this.request.length < this.cursor + lenOfString + 2) {
+      // Throw error if the buffer is too short.
+      throw new RequestParser.PartialRequestError(this.cursor + lenOfString + 2);
     }
-    const ret = this.request.slice(this.cursor, this.cursor + lenOfString);
+    const ret = this.request.toString("latin1", this.cursor, this.cursor + lenOfString);
     this.cursor += lenOfString + 2; // Move past the string and the subsequent carriage return and newline.
     return ret;
   }
 
   /**
    * Retrieves the remaining part of the buffer after the current cursor position.
-   * @returns {string} The remaining buffer.
+   * @returns {Buffer} The remaining buffer.
    */
   getRemainingRequest() {
-    return this.request.slice(this.cursor);
+    return this.request.subarray(this.cursor);
   }
 
   /**
-   * Gets the current character in the buffer at the cursor's position.
-   * @returns {string} The current character.
+   * Gets the current byte in the buffer at the cursor's position.
+   * @returns {number} The current byte.
    * @throws {PartialRequestError} If the cursor is out of bounds.
    */
   curr() {
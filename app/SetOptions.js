@@ -0,0 +1,73 @@
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+/**
+ * Represents the options of a SET command: NX, XX, GET, EX, PX, EXAT, PXAT and KEEPTTL.
+ */
+class SetOptions {
+  /**
+   * Constructs a new SetOptions instance with the defaults of a plain SET.
+   */
+  constructor() {
+    this.condition = null; // "nx" to only set a key that doesn't exist, "xx" to only set an existing one.
+    this.get = false; // True to reply with the previous value.
+    this.expiry = null; // The UNIX time at which the key expires, in milliseconds.
+    this.keepTtl = false; // True to keep the current expiry of the key.
+    this.error = null; // The error message if the options are invalid.
+  }
+
+  /**
+   * Parses the options following the key and value of a SET command.
+   * Relative expiries are converted to absolute ones.
+   * @param {string[]} args - The options.
+   * @returns {SetOptions} The parsed options, whose `error` is set if they are invalid.
+   */
+  static parse(args) {
+    const options = new SetOptions();
+    let hasExpiry = false;
+    for (let i = 0; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if ((option === "nx" || option === "xx") && options.condition === null) {
+        options.condition = option;
+      } else if (option === "get") {
+        options.get = true;
+      } else if (option === "keepttl" && !hasExpiry) {
+        options.keepTtl = true;
+        hasExpiry = true;
+      } else if (["ex", "px", "exat", "pxat"].includes(option) && !hasExpiry && i + 1 < args.length) {
+        hasExpiry = true;
+        options.expiry = SetOptions.parseExpiry(option, args[++i]);
+        if (typeof options.expiry === "string") {
+          options.error = options.expiry;
+          return options;
+        }
+      } else {
+        options.error = "ERR syntax error";
+        return options;
+      }
+    }
+    return options;
+  }
+
+  /**
+   * Parses the argument of an expiry option into an absolute expiry.
+   * @param {string} option - The lowercased option: "ex", "px", "exat" or "pxat".
+   * @param {string} value - The argument of the option.
+   * @param {string} [command="set"] - The lowercased name of the command, for error messages.
+   * @returns {number|string} The UNIX time at which the key expires, in milliseconds, or an error message.
+   */
+  static parseExpiry(option, value, command = "set") {
+    if (!/^-?\d+$/.test(value) || BigInt(value) < INT64_MIN || BigInt(value) > INT64_MAX) {
+      return "ERR value is not an integer or out of range";
+    }
+    const amount = BigInt(value);
+    let timestamp = option.startsWith("e") ? amount * 1000n : amount;
+    if (!option.endsWith("at")) timestamp += BigInt(Date.now());
+    if (amount <= 0n || timestamp > INT64_MAX) {
+      return `ERR invalid expire time in '${command}' command`;
+    }
+    return Number(timestamp);
+  }
+}
+
+module.exports = SetOptions;
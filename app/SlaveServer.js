@@ -1,7 +1,12 @@
 const net = require("net");
 const Encoder = require("./Encoder");
 const RequestParser = require("./RequestParser");
+const RequestBuffer = require("./RequestBuffer");
 const HashTable = require("./HashTable");
+const RDBParser = require("./RDBParser");
+const SetOptions = require("./SetOptions");
+const SortedSet = require("./SortedSet");
+const Stream = require("./Stream");
 
 /**
  * Generates a unique identifier for a socket using its remote address and port.
@@ -12,6 +17,31 @@ function getUid(socket) {
   return `${socket.remoteAddress}:${socket.remotePort}`;
 }
 
+/**
+ * The replies accepted from the master at each step of the handshake, by prefix.
+ * The snapshot that follows a full resynchronization is sent as a bulk string, preceded by its length.
+ */
+const HANDSHAKE_REPLIES = {
+  ping: ["+pong"],
+  port: ["+ok"],
+  capa: ["+ok"],
+  psync: ["+fullresync", "+continue"],
+  "rdb-length": ["$"],
+};
+
+/**
+ * Commands that modify the dataset, which the replica only accepts from its master.
+ */
+const WRITE_COMMANDS = [
+  "set", "incr", "decr", "incrby", "decrby", "incrbyfloat", "append", "setrange", "mset", "msetnx", "getdel",
+  "getex", "del", "unlink", "rename", "renamenx", "copy", "move", "swapdb", "flushdb", "flushall", "expire",
+  "pexpire", "expireat", "pexpireat", "persist", "xadd", "xdel", "xtrim", "xsetid", "xgroup", "xreadgroup",
+  "xack", "xclaim", "xautoclaim", "lpush", "rpush", "lpushx", "rpushx", "blpop", "brpop", "rpoplpush",
+  "brpoplpush", "lpop", "rpop", "lset", "linsert", "lrem", "ltrim", "hset", "hmset", "hsetnx", "hdel",
+  "hincrby", "hincrbyfloat", "sadd", "srem", "sinterstore", "sunionstore", "sdiffstore", "spop", "zadd",
+  "zincrby", "zrem", "bzpopmin", "bzpopmax", "zpopmin", "zpopmax", "zunionstore", "zinterstore",
+];
+
 /**
  * Class representing a slave server that connects to a master server for data replication.
  */
@@ -28,12 +58,23 @@ class SlaveServer {
     this.port = port;
     this.masterHost = masterHost;
     this.masterPort = masterPort;
-    this.dataStore = new HashTable();
-    this.clientBuffers = {};
+    this.databases = Array.from({ length: 16 }, () => new HashTable());
+    this.dataStore = this.databases[0]; // The database selected by the sender of the command being handled.
+    this.clientBuffers = {}; // The unparsed bytes received from each connected client.
+    this.clients = {}; // Per-connection state, such as the selected database.
 
-    this.masterBuffer = "";
+    this.masterBuffer = new RequestBuffer();
     this.masterSocket = null;
-    this.masterOffset = 0;
+    this.masterReplId = null; // Replication ID of the master the data set was last synchronized with.
+    this.masterOffset = 0; // Offset of the last byte of the replication stream applied.
+    this.pendingReplId = null; // Replication ID of a full resynchronization whose snapshot isn't loaded yet.
+    this.pendingOffset = 0; // Offset the replication stream starts from once that snapshot is loaded.
+    this.masterLinkUp = false;
+    this.handshakeState = null; // Step of the handshake with the master, "stream" once it is done.
+    this.rdbLength = 0; // Length of the snapshot being received.
+    this.masterClient = { db: 0 }; // State of the replication stream.
+    this.masterTransaction = null; // Commands of a transaction from the master, queued until EXEC.
+    this.masterTransactionLength = 0; // Bytes of the transaction from the master received so far, from its MULTI on.
   }
 
   /**
@@ -42,21 +83,25 @@ class SlaveServer {
   startServer() {
     this.performHandshake();
     const server = net.createServer((socket) => {
-      this.clientBuffers[getUid(socket)] = "";
+      this.clientBuffers[getUid(socket)] = new RequestBuffer();
+      this.clients[getUid(socket)] = { db: 0 };
+      socket.setDefaultEncoding("latin1"); // Replies are binary strings.
 
       socket.on(`data`, (data) => {
-        this.clientBuffers[getUid(socket)] += data.toString();
+        this.clientBuffers[getUid(socket)].append(data);
         this.processClientBuffer(socket);
       });
 
       socket.on("error", (err) => {
         console.log(`Socket Error: ${err}`);
         delete this.clientBuffers[getUid(socket)];
+        delete this.clients[getUid(socket)];
       });
 
       socket.on(`close`, () => {
         console.log(`Disconnecting client: ${getUid(socket)}`);
         delete this.clientBuffers[getUid(socket)];
+        delete this.clients[getUid(socket)];
       });
     });
 
@@ -67,6 +112,9 @@ class SlaveServer {
 
   /**
    * Performs the handshake process with the master server to establish replication capabilities.
+   * Once the replica was synchronized, it asks the master to continue the replication stream from
+   * the offset it reached, and the master only sends a new snapshot if it can't.
+   * The handshake starts over a second after the connection is lost.
    */
   performHandshake() {
     const socket = net.createConnection(
@@ -79,63 +127,18 @@ class SlaveServer {
     );
 
     this.masterSocket = socket;
+    this.masterBuffer = new RequestBuffer();
+    socket.setDefaultEncoding("latin1");
 
     socket.write(Encoder.createArray([Encoder.createBulkString("PING")]));
-    this.handshakeStep = 1;
+    this.handshakeState = "ping";
 
+    // Replies and the snapshot can be split across chunks or share one with the commands that follow,
+    // so everything is buffered and consumed as far as it is complete.
     socket.on("data", (data) => {
-      let masterResponse = data.toString().toLowerCase();
-      if (this.handshakeStep === 1) {
-        if (masterResponse !== Encoder.createSimpleString("pong")) return;
-        this.handshakeStep = 2;
-        socket.write(
-          Encoder.createArray([
-            Encoder.createBulkString("REPLCONF"),
-            Encoder.createBulkString("listening-port"),
-            Encoder.createBulkString(`${this.port}`),
-          ])
-        );
-      } else if (this.handshakeStep === 2) {
-        if (masterResponse !== Encoder.createSimpleString("ok")) return;
-        this.handshakeStep = 3;
-        socket.write(
-          Encoder.createArray([
-            Encoder.createBulkString("REPLCONF"),
-            Encoder.createBulkString("capa"),
-            Encoder.createBulkString("psync2"),
-          ])
-        );
-      } else if (this.handshakeStep === 3) {
-        if (masterResponse !== Encoder.createSimpleString("ok")) return;
-        this.handshakeStep = 4;
-        socket.write(
-          Encoder.createArray([
-            Encoder.createBulkString("PSYNC"),
-            Encoder.createBulkString("?"),
-            Encoder.createBulkString("-1"),
-          ])
-        );
-      } else if (this.handshakeStep === 4) {
-        if (!masterResponse.startsWith("+fullresync")) return;
-        let idx = masterResponse.indexOf("\r\n");
-        idx += 3;
-        let sizeOfRDB = 0;
-        while (masterResponse[idx] !== "\r") {
-          sizeOfRDB = sizeOfRDB * 10 + (masterResponse[idx] - "0");
-          idx++;
-        }
-        idx += 2;
-        let rdbFileData = masterResponse.slice(idx, idx + sizeOfRDB);
-        idx += sizeOfRDB - 1;
-        masterResponse = data.toString().slice(idx);
-        this.masterBuffer = "";
-        this.handshakeStep = 5;
-      }
-      if (this.handshakeStep === 5) {
-        if (masterResponse === "") return;
-        this.masterBuffer += masterResponse;
-        this.processMasterBuffer();
-      }
+      this.masterBuffer.append(data);
+      if (this.handshakeState !== "stream" && !this.advanceHandshake()) return;
+      this.processMasterBuffer();
     });
 
     socket.on(`error`, (err) => {
@@ -144,9 +147,130 @@ class SlaveServer {
 
     socket.on("close", () => {
       console.log("Connection closed");
+      // Whatever was received after the last complete command is sent again when the stream resumes.
+      this.masterBuffer.clear();
+      this.masterTransaction = null;
+      this.masterTransactionLength = 0;
+      this.masterLinkUp = false;
+      this.handshakeState = null;
+      setTimeout(() => this.performHandshake(), 1000);
     });
   }
 
+  /**
+   * Consumes the buffered replies of the master to the handshake, sending the next handshake command
+   * after each of them. A full resynchronization is followed by an RDB snapshot, sent as a bulk
+   * string without a trailing CRLF, which replaces the data set of the replica once fully received.
+   * An unexpected reply or a corrupt snapshot closes the connection, so that the handshake starts over.
+   * @returns {boolean} True once the handshake is done and the buffer holds the replication stream.
+   */
+  advanceHandshake() {
+    const socket = this.masterSocket;
+    while (this.handshakeState !== "stream") {
+      if (this.handshakeState === "rdb") {
+        if (this.masterBuffer.length < this.rdbLength) return false;
+        const buffer = this.masterBuffer.contents();
+        const rdb = buffer.subarray(0, this.rdbLength);
+        this.masterBuffer.consume(buffer.subarray(this.rdbLength));
+        if (!this.loadSnapshot(rdb)) {
+          socket.destroy();
+          return false;
+        }
+        // Only a loaded snapshot lets the stream resume from its offset if the connection is lost.
+        this.masterReplId = this.pendingReplId;
+        this.masterOffset = this.pendingOffset;
+        this.masterLinkUp = true;
+        this.handshakeState = "stream";
+        break;
+      }
+
+      const buffer = this.masterBuffer.contents();
+      const lineEnd = buffer.indexOf("\r\n");
+      if (lineEnd === -1) return false;
+      const reply = buffer.toString("latin1", 0, lineEnd);
+      this.masterBuffer.consume(buffer.subarray(lineEnd + 2));
+      const [status, ...fields] = reply.split(" ");
+      const accepted = HANDSHAKE_REPLIES[this.handshakeState];
+      if (!accepted.some((prefix) => status.toLowerCase().startsWith(prefix))) {
+        console.log(`Unexpected reply from master during the handshake: ${reply}`);
+        socket.destroy();
+        return false;
+      }
+      switch (this.handshakeState) {
+        case "ping":
+          this.handshakeState = "port";
+          socket.write(
+            Encoder.createArray([
+              Encoder.createBulkString("REPLCONF"),
+              Encoder.createBulkString("listening-port"),
+              Encoder.createBulkString(`${this.port}`),
+            ])
+          );
+          break;
+        case "port":
+          this.handshakeState = "capa";
+          socket.write(
+            Encoder.createArray([
+              Encoder.createBulkString("REPLCONF"),
+              Encoder.createBulkString("capa"),
+              Encoder.createBulkString("psync2"),
+            ])
+          );
+          break;
+        case "capa": {
+          this.handshakeState = "psync";
+          const resumed = this.masterReplId !== null;
+          socket.write(
+            Encoder.createArray([
+              Encoder.createBulkString("PSYNC"),
+              Encoder.createBulkString(resumed ? this.masterReplId : "?"),
+              Encoder.createBulkString(resumed ? `${this.masterOffset + 1}` : "-1"),
+            ])
+          );
+          break;
+        }
+        case "psync":
+          if (status.toLowerCase() === "+continue") {
+            // The stream goes on from the offset that was asked for, with the same replication ID unless given.
+            if (fields.length > 0) this.masterReplId = fields[0];
+            console.log(`Partial resynchronization from offset ${this.masterOffset + 1}`);
+            this.masterLinkUp = true;
+            this.handshakeState = "stream";
+          } else {
+            this.pendingReplId = fields[0];
+            this.pendingOffset = Number.parseInt(fields[1]);
+            this.handshakeState = "rdb-length";
+          }
+          break;
+        case "rdb-length":
+          this.rdbLength = Number.parseInt(reply.slice(1));
+          this.handshakeState = "rdb";
+          break;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Replaces the data set of the replica with the contents of an RDB snapshot sent by the master.
+   * @param {Buffer} rdb - The snapshot.
+   * @returns {boolean} True if the snapshot was loaded, false if it is corrupt.
+   */
+  loadSnapshot(rdb) {
+    const rdbParser = new RDBParser(rdb, this.databases.length);
+    try {
+      rdbParser.parse();
+    } catch (err) {
+      if (!(err instanceof RDBParser.CorruptRDBError)) throw err;
+      console.log(`Failed to load the RDB snapshot from master: ${err.message}`);
+      return false;
+    }
+    console.log(`Loaded the RDB snapshot of ${rdb.length} bytes from master`);
+    this.databases = rdbParser.databases;
+    this.masterClient.db = 0;
+    return true;
+  }
+
   /**
    * Processes the buffer for a specific client socket, parsing commands and handling them.
    * @param {net.Socket} socket - The client socket whose buffer is being processed.
@@ -154,31 +278,55 @@ class SlaveServer {
   processClientBuffer(socket) {
     const clientKey = getUid(socket);
     const buffer = this.clientBuffers[clientKey];
-    const requestParser = new RequestParser(buffer);
-    while (true) {
-      const args = requestParser.parse();
-      if (args.length === 0) break;
-      const currentRequest = requestParser.currentRequest;
-      this.handleCommand(socket, args, currentRequest);
+    if (!buffer.ready) return; // The partial request at the end of the buffer can't be complete yet.
+    const requestParser = new RequestParser(buffer.contents());
+    try {
+      while (true) {
+        const args = requestParser.parse();
+        if (args.length === 0) break;
+        const currentRequest = requestParser.currentRequest;
+        this.handleCommand(socket, args, currentRequest);
+      }
+    } catch (err) {
+      if (!(err instanceof RequestParser.ProtocolError)) throw err;
+      console.log(`${err.message} from client ${clientKey}`);
+      delete this.clientBuffers[clientKey];
+      socket.pause();
+      socket.end(Encoder.createSimpleError(`ERR ${err.message}`), () => socket.destroy());
+      return;
     }
 
-    this.clientBuffers[clientKey] = requestParser.getRemainingRequest();
+    buffer.consume(requestParser.getRemainingRequest(), requestParser.awaitedLength);
   }
 
   /**
    * Processes the buffer received from the master server, parsing and handling replication commands.
    */
   processMasterBuffer() {
-    const buffer = this.masterBuffer;
-    const requestParser = new RequestParser(buffer);
-    while (true) {
-      const args = requestParser.parse();
-      if (args.length === 0) break;
-      const currentRequest = requestParser.currentRequest;
-      this.handleCommand(this.masterSocket, args, currentRequest);
-      this.masterOffset += currentRequest.length;
+    if (!this.masterBuffer.ready) return; // The partial command at the end of the buffer can't be complete yet.
+    const requestParser = new RequestParser(this.masterBuffer.contents(), { maxBulkLength: Infinity });
+    try {
+      while (true) {
+        const args = requestParser.parse();
+        if (args.length === 0) break;
+        const currentRequest = requestParser.currentRequest;
+        this.handleCommand(this.masterSocket, args, currentRequest);
+        // A transaction only counts as applied once its EXEC is, so that a stream resumed after the
+        // connection was lost in the middle of it starts over at its MULTI.
+        this.masterTransactionLength += currentRequest.length;
+        if (this.masterTransaction === null) {
+          this.masterOffset += this.masterTransactionLength;
+          this.masterTransactionLength = 0;
+        }
+      }
+    } catch (err) {
+      if (!(err instanceof RequestParser.ProtocolError)) throw err;
+      console.log(`${err.message} from master, closing the connection`);
+      this.masterBuffer.clear();
+      this.masterSocket.destroy();
+      return;
     }
-    this.masterBuffer = requestParser.getRemainingRequest();
+    this.masterBuffer.consume(requestParser.getRemainingRequest(), requestParser.awaitedLength);
   }
 
   /**
@@ -188,53 +336,506 @@ class SlaveServer {
    * @param {string} request - The full string of the command request.
    */
   handleCommand(socket, args, request) {
+    const client =
+      socket === this.masterSocket ? this.masterClient : this.clients[getUid(socket)];
+    this.dataStore = this.databases[client.db];
     const command = args[0].toLowerCase();
+    if (socket === this.masterSocket && this.applyTransaction(command, args, request)) return;
+    if (socket !== this.masterSocket && WRITE_COMMANDS.includes(command)) {
+      socket.write(Encoder.createSimpleError("READONLY You can't write against a read only replica."));
+      return;
+    }
     switch (command) {
+      case "select": {
+        const response = this.handleSelect(args.slice(1), client);
+        if (socket !== this.masterSocket) socket.write(response);
+        break;
+      }
+      case "swapdb":
+      case "move":
+      case "flushdb":
+      case "flushall":
+      case "del":
+      case "unlink":
+      case "rename":
+      case "renamenx":
+      case "copy":
+        this.handleDatabaseWrite(command, args.slice(1));
+        break;
+      case "pexpireat":
+        this.dataStore.setExpiry(args[1], Number.parseInt(args[2]));
+        break;
+      case "persist":
+        this.dataStore.setExpiry(args[1], null);
+        break;
       case "info":
         socket.write(this.handleInfo(args.slice(1)));
         break;
       case "set":
         this.handleSet(args.slice(1));
         break;
+      case "mset":
+        for (let i = 1; i + 1 < args.length; i += 2) this.dataStore.insert(args[i], args[i + 1]);
+        break;
       case "get":
         socket.write(this.handleGet(args.slice(1)));
         break;
       case "replconf":
         socket.write(this.handleReplconf(args.slice(1)));
         break;
+      case "lpush":
+      case "rpush":
+      case "lpushx":
+      case "rpushx":
+      case "lpop":
+      case "rpop":
+      case "lset":
+      case "linsert":
+      case "lrem":
+      case "ltrim":
+      case "rpoplpush":
+        this.handleListWrite(command, args.slice(1));
+        break;
+      case "hset":
+      case "hmset":
+      case "hsetnx":
+      case "hdel":
+        this.handleHashWrite(command, args.slice(1));
+        break;
+      case "sadd":
+      case "srem":
+      case "sinterstore":
+      case "sunionstore":
+      case "sdiffstore":
+        this.handleSetWrite(command, args.slice(1));
+        break;
+      case "xadd":
+      case "xtrim":
+      case "xdel":
+      case "xsetid":
+        this.handleStreamWrite(command, args.slice(1));
+        break;
+      case "xgroup":
+      case "xack":
+      case "xclaim":
+        this.handleStreamGroupWrite(command, args.slice(1));
+        break;
+      case "zadd":
+      case "zrem":
+      case "zunionstore":
+      case "zinterstore":
+        this.handleSortedSetWrite(command, args.slice(1));
+        break;
     }
   }
 
   /**
-   * Handles the 'info' command, providing details about the server's state.
+   * Queues the commands of a transaction propagated by the master, and applies them together on EXEC.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - The arguments of the command.
+   * @param {string} request - The full string of the command request.
+   * @returns {boolean} True if the command was handled as part of a transaction.
+   */
+  applyTransaction(command, args, request) {
+    if (command === "multi") {
+      this.masterTransaction = [];
+      return true;
+    }
+    if (this.masterTransaction === null) return false;
+    if (command === "exec") {
+      const queued = this.masterTransaction;
+      this.masterTransaction = null;
+      for (const [queuedArgs, queuedRequest] of queued) {
+        this.handleCommand(this.masterSocket, queuedArgs, queuedRequest);
+      }
+    } else {
+      this.masterTransaction.push([args, request]);
+    }
+    return true;
+  }
+
+  /**
+   * Handles the SELECT command by changing the database selected by a client, or by the replication stream.
+   * @param {string[]} args - Arguments containing the database index.
+   * @param {object} client - The state of the client.
+   * @returns {string} "OK" as an encoded simple string, or an error.
+   */
+  handleSelect(args, client) {
+    if (args.length !== 1) {
+      return Encoder.createSimpleError("ERR wrong number of arguments for 'select' command");
+    }
+    if (!/^-?\d+$/.test(args[0])) {
+      return Encoder.createSimpleError("ERR value is not an integer or out of range");
+    }
+    const index = Number.parseInt(args[0]);
+    if (index < 0 || index >= this.databases.length) {
+      return Encoder.createSimpleError("ERR DB index is out of range");
+    }
+    client.db = index;
+    return Encoder.createSimpleString("OK");
+  }
+
+  /**
+   * Applies a command propagated by the master that moves, renames, copies or deletes keys.
+   * Expiries set in the past are propagated by the master as DEL.
+   * @param {string} command - The lowercased command name.
    * @param {string[]} args - Arguments following the command.
-   * @returns {string} The server information formatted as a bulk string.
    */
-  handleInfo(args) {
-    const section = args[0].toLowerCase();
-    let response;
-    if (section === "replication") {
-      response = Encoder.createBulkString("role:slave");
+  handleDatabaseWrite(command, args) {
+    switch (command) {
+      case "swapdb": {
+        const first = Number.parseInt(args[0]);
+        const second = Number.parseInt(args[1]);
+        [this.databases[first], this.databases[second]] = [
+          this.databases[second],
+          this.databases[first],
+        ];
+        break;
+      }
+      case "move":
+        this.dataStore.move(args[0], this.databases[Number.parseInt(args[1])]);
+        break;
+      case "flushdb":
+        this.dataStore.clear();
+        break;
+      case "flushall":
+        for (const dataStore of this.databases) dataStore.clear();
+        break;
+      case "del":
+      case "unlink":
+        for (const key of args) this.dataStore.delete(key);
+        break;
+      case "rename":
+      case "renamenx":
+        this.dataStore.rename(args[0], args[1]);
+        break;
+      case "copy": {
+        let target = this.dataStore;
+        let replace = false;
+        for (let i = 2; i < args.length; i++) {
+          const option = args[i].toLowerCase();
+          if (option === "db") target = this.databases[Number.parseInt(args[++i])];
+          else if (option === "replace") replace = true;
+        }
+        this.dataStore.copy(args[0], target, args[1], replace);
+        break;
+      }
     }
-    return response;
   }
 
   /**
-   * Handles the 'set' command to insert a key-value pair into the data store.
-   * @param {string[]} args - Arguments containing the key and value, and optionally the expiry time.
+   * Applies a stream write command propagated by the master to the data store.
+   * The master propagates XADD with the generated ID, and trimming as an exact MAXLEN with the
+   * resulting length, so that the replica ends up with the same entries.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments following the command.
    */
-  handleSet(args) {
+  handleStreamWrite(command, args) {
+    const key = args[0];
+    switch (command) {
+      case "xadd": {
+        let i = 1;
+        let maxLen = null;
+        if (args[i].toLowerCase() === "maxlen") {
+          if (args[++i] === "=") i++;
+          maxLen = Number.parseInt(args[i++]);
+        }
+        this.dataStore.insertStream(key, args[i], args.slice(i + 1));
+        if (maxLen !== null) this.dataStore.getStream(key).trim({ strategy: "maxlen", threshold: maxLen });
+        break;
+      }
+      case "xtrim": {
+        const stream = this.dataStore.getStream(key);
+        if (stream !== null) stream.trim({ strategy: "maxlen", threshold: Number.parseInt(args[args.length - 1]) });
+        break;
+      }
+      case "xdel": {
+        const stream = this.dataStore.getStream(key);
+        if (stream === null) return;
+        for (const id of args.slice(1)) stream.delete(Stream.parseIdArg(id));
+        break;
+      }
+      case "xsetid": {
+        const stream = this.dataStore.getStream(key);
+        if (stream === null) return;
+        stream.lastId = Stream.parseIdArg(args[1]);
+        for (let i = 2; i + 1 < args.length; i += 2) {
+          const option = args[i].toLowerCase();
+          if (option === "entriesadded") stream.entriesAdded = Number.parseInt(args[i + 1]);
+          else if (option === "maxdeletedid") stream.maxDeletedId = Stream.parseIdArg(args[i + 1]);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Applies a consumer group write command propagated by the master to the data store.
+   * The master propagates the deliveries of XREADGROUP, XCLAIM and XAUTOCLAIM as XCLAIM commands
+   * carrying the delivery time and count, and the moves of the last delivered ID as XGROUP SETID,
+   * so that the pending entries and consumers of the groups survive a failover.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments following the command.
+   */
+  handleStreamGroupWrite(command, args) {
+    if (command === "xgroup") {
+      this.handleXgroup(args);
+      return;
+    }
+    const [key, groupName] = args;
+    const stream = this.dataStore.getStream(key);
+    const group = stream?.groups.get(groupName);
+    if (group === undefined) return;
+    if (command === "xack") {
+      for (const id of args.slice(2)) stream.removePending(group, Stream.parseIdArg(id));
+      return;
+    }
+
+    // XCLAIM key group consumer min-idle-time id... [TIME ms] [RETRYCOUNT count] [FORCE] [JUSTID] [LASTID id]
+    let i = 4;
+    const ids = [];
+    for (; i < args.length && Stream.parseIdArg(args[i]) !== null; i++) ids.push(Stream.parseIdArg(args[i]));
+    const now = Date.now();
+    let deliveryTime = now;
+    let retryCount = null;
+    for (; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "time") {
+        deliveryTime = Number.parseInt(args[++i]);
+      } else if (option === "idle") {
+        deliveryTime = now - Number.parseInt(args[++i]);
+      } else if (option === "retrycount") {
+        retryCount = Number.parseInt(args[++i]);
+      } else if (option === "lastid") {
+        const lastId = Stream.parseIdArg(args[++i]);
+        if (Stream.compareIds(lastId, group.lastId) > 0) group.lastId = lastId;
+      }
+    }
+    const consumer = stream.getConsumer(group, args[2], now);
+    for (const id of ids) {
+      // Pending entries deleted from the stream are removed rather than claimed.
+      if (stream.getEntry(id) === null) {
+        stream.removePending(group, id);
+        continue;
+      }
+      const nack = stream.assignPending(group, id, consumer);
+      nack.deliveryTime = deliveryTime;
+      if (retryCount !== null) nack.deliveryCount = retryCount;
+      consumer.activeTime = now;
+    }
+  }
+
+  /**
+   * Applies an XGROUP command propagated by the master, which manages the consumer groups of a stream
+   * and their consumers.
+   * @param {string[]} args - The subcommand followed by its arguments.
+   */
+  handleXgroup(args) {
+    const subcommand = args[0].toLowerCase();
+    const [, key, groupName] = args;
+    let mkStream = false;
+    let entriesRead = null;
+    for (let i = 4; i < args.length; i++) {
+      const option = args[i].toLowerCase();
+      if (option === "mkstream") mkStream = true;
+      else if (option === "entriesread") entriesRead = Number.parseInt(args[++i]);
+    }
+    if (entriesRead === -1) entriesRead = null;
+
+    const stream =
+      subcommand === "create" && mkStream ? this.dataStore.getOrCreateStream(key) : this.dataStore.getStream(key);
+    if (stream === null) return;
+    const id = args[3] === "$" ? stream.lastId : Stream.parseIdArg(args[3] ?? "");
+    if (subcommand === "create") {
+      stream.createGroup(groupName, id, entriesRead);
+      return;
+    }
+    if (subcommand === "destroy") {
+      stream.groups.delete(groupName);
+      return;
+    }
+    const group = stream.groups.get(groupName);
+    if (group === undefined) return;
+    switch (subcommand) {
+      case "setid":
+        group.lastId = id;
+        group.entriesRead = entriesRead;
+        break;
+      case "createconsumer":
+        stream.getConsumer(group, args[3]);
+        break;
+      case "delconsumer":
+        stream.deleteConsumer(group, args[3]);
+        break;
+    }
+  }
+
+  /**
+   * Applies a sorted set write command propagated by the master to the data store.
+   * The master propagates ZADD with final scores only, and ZINCRBY, ZPOPMIN and ZPOPMAX as ZADD or ZREM.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments following the command.
+   */
+  handleSortedSetWrite(command, args) {
     const key = args[0];
-    const value = args[1];
-    if (args.length == 2) {
-      this.dataStore.insert(key, value);
+    if (command === "zadd") {
+      const sortedSet = this.dataStore.sortedSetGetOrCreate(key);
+      for (let i = 1; i < args.length; i += 2) {
+        sortedSet.add(args[i + 1], SortedSet.parseScore(args[i]));
+      }
+    } else if (command === "zrem") {
+      const sortedSet = this.dataStore.sortedSetGet(key);
+      if (sortedSet === null) return;
+      for (const member of args.slice(1)) sortedSet.remove(member);
+      this.dataStore.sortedSetRemoveIfEmpty(key);
+    } else {
+      const numKeys = Number.parseInt(args[1]);
+      const keys = args.slice(2, 2 + numKeys);
+      let weights = keys.map(() => 1);
+      let aggregate = "sum";
+      for (let i = 2 + numKeys; i < args.length; i++) {
+        if (args[i].toLowerCase() === "weights") {
+          weights = args.slice(i + 1, i + 1 + numKeys).map(SortedSet.parseScore);
+          i += numKeys;
+        } else {
+          aggregate = args[++i].toLowerCase();
+        }
+      }
+      const operation = command === "zunionstore" ? "union" : "inter";
+      const result = this.dataStore.sortedSetCombine(
+        operation,
+        keys,
+        weights,
+        aggregate
+      );
+      this.dataStore.sortedSetStore(key, result);
+    }
+  }
+
+  /**
+   * Applies a set write command propagated by the master to the data store.
+   * SPOP is propagated by the master as SREM.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments following the command.
+   */
+  handleSetWrite(command, args) {
+    if (command === "sadd") {
+      this.dataStore.setAdd(args[0], args.slice(1));
+    } else if (command === "srem") {
+      this.dataStore.setRemove(args[0], args.slice(1));
     } else {
-      const arg = args[2];
-      const expiryTime = args[3];
-      this.dataStore.insertWithExpiry(key, value, expiryTime);
+      const operation = command.slice(1, -"store".length);
+      const members = this.dataStore.setCombine(operation, args.slice(1));
+      this.dataStore.setStore(args[0], members);
+    }
+  }
+
+  /**
+   * Applies a hash write command propagated by the master to the data store.
+   * HINCRBY and HINCRBYFLOAT are propagated by the master as HSET.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments following the command.
+   */
+  handleHashWrite(command, args) {
+    if (command === "hdel") {
+      this.dataStore.hashDelete(args[0], args.slice(1));
+      return;
+    }
+    this.dataStore.hashSet(args[0], args.slice(1), command === "hsetnx");
+  }
+
+  /**
+   * Applies a list write command propagated by the master to the data store.
+   * @param {string} command - The lowercased command name.
+   * @param {string[]} args - Arguments following the command.
+   */
+  handleListWrite(command, args) {
+    const key = args[0];
+    switch (command) {
+      case "lpush":
+      case "rpush":
+      case "lpushx":
+      case "rpushx":
+        this.dataStore.listPush(
+          key,
+          args.slice(1),
+          command.startsWith("l"),
+          command.endsWith("x")
+        );
+        break;
+      case "lpop":
+      case "rpop":
+        this.dataStore.listPop(
+          key,
+          command === "lpop",
+          args.length > 1 ? Number.parseInt(args[1]) : 1
+        );
+        break;
+      case "lset":
+        this.dataStore.listSet(key, Number.parseInt(args[1]), args[2]);
+        break;
+      case "linsert":
+        this.dataStore.listInsert(
+          key,
+          args[1].toLowerCase() === "before",
+          args[2],
+          args[3]
+        );
+        break;
+      case "lrem":
+        this.dataStore.listRemove(key, Number.parseInt(args[1]), args[2]);
+        break;
+      case "ltrim":
+        this.dataStore.listTrim(
+          key,
+          Number.parseInt(args[1]),
+          Number.parseInt(args[2])
+        );
+        break;
+      case "rpoplpush": {
+        // Also propagated for BRPOPLPUSH.
+        const popped = this.dataStore.listPop(key, false, 1);
+        if (popped !== null) this.dataStore.listPush(args[1], popped, true);
+        break;
+      }
     }
   }
 
+  /**
+   * Handles the 'info' command, providing details about the server's state.
+   * Without arguments, or with "all" or "default", every section is included.
+   * @param {string[]} args - Arguments following the command.
+   * @returns {string} The server information formatted as a bulk string, empty for unknown sections.
+   */
+  handleInfo(args) {
+    const section = args.length > 0 ? args[0].toLowerCase() : "default";
+    const includes = (name) => ["all", "default", name].includes(section);
+    const sections = [];
+    if (includes("replication")) {
+      sections.push(
+        "role:slave\n" +
+          `master_host:${this.masterHost}\n` +
+          `master_port:${this.masterPort}\n` +
+          `master_link_status:${this.masterLinkUp ? "up" : "down"}\n` +
+          `master_replid:${this.masterReplId ?? "0".repeat(40)}\n` +
+          `master_repl_offset:${this.masterOffset}`
+      );
+    }
+    return Encoder.createBulkString(sections.join("\n\n"));
+  }
+
+  /**
+   * Handles the 'set' command to insert a key-value pair into the data store,
+   * honoring the same options as the master. Invalid commands are ignored.
+   * @param {string[]} args - Arguments containing the key, value, and options.
+   */
+  handleSet(args) {
+    if (args.length < 2) return;
+    const options = SetOptions.parse(args.slice(2));
+    if (options.error) return;
+    this.dataStore.setString(args[0], args[1], options);
+  }
+
   /**
    * Handles the 'get' command to retrieve a value by key from the data store.
    * @param {string[]} args - Arguments containing the key.
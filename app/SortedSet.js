@@ -0,0 +1,401 @@
+const MAX_LEVEL = 32;
+const LEVEL_PROBABILITY = 0.25;
+
+/**
+ * Creates a skip list node.
+ * @param {number} level - The number of levels of the node.
+ * @param {string|null} member - The member stored in the node.
+ * @param {number} score - The score of the member.
+ * @returns {object} The skip list node.
+ */
+function createNode(level, member, score) {
+  const levels = [];
+  for (let i = 0; i < level; i++) levels.push({ forward: null, span: 0 });
+  return { member, score, backward: null, levels };
+}
+
+/**
+ * Picks a random level for a new node, with a geometric distribution.
+ * @returns {number} The level of the node.
+ */
+function randomLevel() {
+  let level = 1;
+  while (Math.random() < LEVEL_PROBABILITY && level < MAX_LEVEL) level++;
+  return level;
+}
+
+/**
+ * Checks whether a (score, member) pair sorts before another one.
+ * Members with the same score are ordered lexicographically.
+ * @param {number} score - The score of the first pair.
+ * @param {string} member - The member of the first pair.
+ * @param {number} otherScore - The score of the second pair.
+ * @param {string} otherMember - The member of the second pair.
+ * @returns {boolean} True if the first pair sorts before the second one.
+ */
+function isBefore(score, member, otherScore, otherMember) {
+  return score < otherScore || (score === otherScore && member < otherMember);
+}
+
+/**
+ * A sorted set implementation mapping members to scores, ordered by score and then by member.
+ *
+ * Members are indexed twice: a Map gives constant time score lookups, and a skip list
+ * whose links record how many nodes they span gives logarithmic time rank and range queries.
+ */
+class SortedSet {
+  /**
+   * Constructs a new, empty SortedSet instance.
+   */
+  constructor() {
+    this.scores = new Map();
+    this.header = createNode(MAX_LEVEL, null, 0);
+    this.tail = null;
+    this.level = 1;
+    this.length = 0; // Number of nodes in the skip list.
+  }
+
+  /**
+   * The number of members in the sorted set.
+   * @type {number}
+   */
+  get size() {
+    return this.length;
+  }
+
+  /**
+   * Retrieves the score of a member.
+   * @param {string} member - The member to look up.
+   * @returns {number|null} The score, or null if the member does not exist.
+   */
+  getScore(member) {
+    return this.scores.has(member) ? this.scores.get(member) : null;
+  }
+
+  /**
+   * Adds a member or updates its score.
+   * @param {string} member - The member to add.
+   * @param {number} score - The score of the member.
+   * @returns {boolean} True if the member was newly added, false if it already existed.
+   */
+  add(member, score) {
+    const current = this.getScore(member);
+    if (current !== null) {
+      if (current !== score) {
+        this.deleteNode(current, member);
+        this.insertNode(member, score);
+        this.scores.set(member, score);
+      }
+      return false;
+    }
+    this.insertNode(member, score);
+    this.scores.set(member, score);
+    return true;
+  }
+
+  /**
+   * Removes a member.
+   * @param {string} member - The member to remove.
+   * @returns {boolean} True if the member existed and was removed, otherwise false.
+   */
+  remove(member) {
+    const score = this.getScore(member);
+    if (score === null) return false;
+    this.deleteNode(score, member);
+    this.scores.delete(member);
+    return true;
+  }
+
+  /**
+   * Retrieves the 0-based rank of a member.
+   * @param {string} member - The member to look up.
+   * @param {boolean} [reverse=false] - True to rank from the highest score to the lowest.
+   * @returns {number|null} The rank, or null if the member does not exist.
+   */
+  getRank(member, reverse = false) {
+    const score = this.getScore(member);
+    if (score === null) return null;
+
+    let rank = 0;
+    let node = this.header;
+    for (let i = this.level - 1; i >= 0; i--) {
+      let next = node.levels[i].forward;
+      while (
+        next !== null &&
+        (next.score < score || (next.score === score && next.member <= member))
+      ) {
+        rank += node.levels[i].span;
+        node = next;
+        next = node.levels[i].forward;
+      }
+      if (node.member === member && node !== this.header) break;
+    }
+    return reverse ? this.size - rank : rank - 1;
+  }
+
+  /**
+   * Retrieves the members between two ranks, both inclusive.
+   * @param {number} start - The 0-based start rank; must be non-negative.
+   * @param {number} stop - The 0-based stop rank; clamped to the last rank.
+   * @param {boolean} [reverse=false] - True to rank from the highest score to the lowest.
+   * @returns {Array<Array>} An array of [member, score] pairs in rank order.
+   */
+  rangeByRank(start, stop, reverse = false) {
+    stop = Math.min(stop, this.size - 1);
+    if (start > stop) return [];
+
+    let node = this.getNodeByRank(reverse ? this.size - start : start + 1);
+    const result = [];
+    for (let i = start; i <= stop && node !== null; i++) {
+      result.push([node.member, node.score]);
+      node = reverse ? node.backward : node.levels[0].forward;
+    }
+    return result;
+  }
+
+  /**
+   * Retrieves the members within a range described by two predicates.
+   * @param {Function} aboveMin - Returns true if a node is not below the minimum of the range.
+   * @param {Function} belowMax - Returns true if a node is not above the maximum of the range.
+   * @param {object} [options] - Range options.
+   * @param {boolean} [options.reverse=false] - True to iterate from the highest score to the lowest.
+   * @param {number} [options.offset=0] - The number of matching members to skip.
+   * @param {number} [options.count=-1] - The maximum number of members to return; negative for no limit.
+   * @returns {Array<Array>} An array of [member, score] pairs.
+   */
+  rangeBy(aboveMin, belowMax, { reverse = false, offset = 0, count = -1 } = {}) {
+    let node = reverse
+      ? this.lastInRange(aboveMin, belowMax)
+      : this.firstInRange(aboveMin, belowMax);
+    const inRange = reverse ? aboveMin : belowMax;
+
+    while (node !== null && offset > 0) {
+      node = reverse ? node.backward : node.levels[0].forward;
+      offset--;
+    }
+
+    const result = [];
+    while (node !== null && count !== 0 && inRange(node)) {
+      result.push([node.member, node.score]);
+      node = reverse ? node.backward : node.levels[0].forward;
+      count--;
+    }
+    return result;
+  }
+
+  /**
+   * Retrieves the members whose score is within a range.
+   * @param {object} min - The minimum score, as { value, exclusive }.
+   * @param {object} max - The maximum score, as { value, exclusive }.
+   * @param {object} [options] - Range options, see {@link SortedSet#rangeBy}.
+   * @returns {Array<Array>} An array of [member, score] pairs.
+   */
+  rangeByScore(min, max, options) {
+    return this.rangeBy(
+      (node) => (min.exclusive ? node.score > min.value : node.score >= min.value),
+      (node) => (max.exclusive ? node.score < max.value : node.score <= max.value),
+      options
+    );
+  }
+
+  /**
+   * Retrieves the members within a lexicographical range.
+   * Only meaningful when all members have the same score.
+   * @param {object} min - The minimum member, as { value, exclusive }; a null value means no minimum.
+   * @param {object} max - The maximum member, as { value, exclusive }; a null value means no maximum.
+   * @param {object} [options] - Range options, see {@link SortedSet#rangeBy}.
+   * @returns {Array<Array>} An array of [member, score] pairs.
+   */
+  rangeByLex(min, max, options) {
+    return this.rangeBy(
+      (node) =>
+        min.value === null ||
+        (min.exclusive ? node.member > min.value : node.member >= min.value),
+      (node) =>
+        max.value === null ||
+        (max.exclusive ? node.member < max.value : node.member <= max.value),
+      options
+    );
+  }
+
+  /**
+   * Removes and returns the members with the lowest or highest scores.
+   * @param {number} count - The number of members to pop.
+   * @param {boolean} [fromMax=false] - True to pop the highest scores instead of the lowest.
+   * @returns {Array<Array>} An array of [member, score] pairs.
+   */
+  pop(count, fromMax = false) {
+    const popped = this.rangeByRank(0, count - 1, fromMax);
+    for (const [member] of popped) this.remove(member);
+    return popped;
+  }
+
+  /**
+   * Iterates over the members in ascending order.
+   * @returns {Iterator<Array>} An iterator of [member, score] pairs.
+   */
+  *[Symbol.iterator]() {
+    let node = this.header.levels[0].forward;
+    while (node !== null) {
+      yield [node.member, node.score];
+      node = node.levels[0].forward;
+    }
+  }
+
+  /**
+   * Inserts a node into the skip list, updating the spans of the links it crosses.
+   * @param {string} member - The member to insert.
+   * @param {number} score - The score of the member.
+   */
+  insertNode(member, score) {
+    const update = [];
+    const rank = [];
+    let node = this.header;
+    for (let i = this.level - 1; i >= 0; i--) {
+      rank[i] = i === this.level - 1 ? 0 : rank[i + 1];
+      let next = node.levels[i].forward;
+      while (next !== null && isBefore(next.score, next.member, score, member)) {
+        rank[i] += node.levels[i].span;
+        node = next;
+        next = node.levels[i].forward;
+      }
+      update[i] = node;
+    }
+
+    const level = randomLevel();
+    if (level > this.level) {
+      for (let i = this.level; i < level; i++) {
+        rank[i] = 0;
+        update[i] = this.header;
+        update[i].levels[i].span = this.length;
+      }
+      this.level = level;
+    }
+
+    node = createNode(level, member, score);
+    for (let i = 0; i < level; i++) {
+      node.levels[i].forward = update[i].levels[i].forward;
+      update[i].levels[i].forward = node;
+      node.levels[i].span = update[i].levels[i].span - (rank[0] - rank[i]);
+      update[i].levels[i].span = rank[0] - rank[i] + 1;
+    }
+    for (let i = level; i < this.level; i++) update[i].levels[i].span++;
+
+    node.backward = update[0] === this.header ? null : update[0];
+    if (node.levels[0].forward !== null) node.levels[0].forward.backward = node;
+    else this.tail = node;
+    this.length++;
+  }
+
+  /**
+   * Deletes a node from the skip list, updating the spans of the links that crossed it.
+   * @param {number} score - The score of the member to delete.
+   * @param {string} member - The member to delete.
+   */
+  deleteNode(score, member) {
+    const update = [];
+    let node = this.header;
+    for (let i = this.level - 1; i >= 0; i--) {
+      let next = node.levels[i].forward;
+      while (next !== null && isBefore(next.score, next.member, score, member)) {
+        node = next;
+        next = node.levels[i].forward;
+      }
+      update[i] = node;
+    }
+
+    node = node.levels[0].forward;
+    if (node === null || node.score !== score || node.member !== member) return;
+
+    for (let i = 0; i < this.level; i++) {
+      if (update[i].levels[i].forward === node) {
+        update[i].levels[i].span += node.levels[i].span - 1;
+        update[i].levels[i].forward = node.levels[i].forward;
+      } else {
+        update[i].levels[i].span--;
+      }
+    }
+
+    if (node.levels[0].forward !== null) {
+      node.levels[0].forward.backward = node.backward;
+    } else {
+      this.tail = node.backward;
+    }
+    while (this.level > 1 && this.header.levels[this.level - 1].forward === null) {
+      this.level--;
+    }
+    this.length--;
+  }
+
+  /**
+   * Finds the node at a 1-based rank.
+   * @param {number} rank - The rank of the node.
+   * @returns {object|null} The node, or null if the rank is out of range.
+   */
+  getNodeByRank(rank) {
+    let traversed = 0;
+    let node = this.header;
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (
+        node.levels[i].forward !== null &&
+        traversed + node.levels[i].span <= rank
+      ) {
+        traversed += node.levels[i].span;
+        node = node.levels[i].forward;
+      }
+      if (traversed === rank) return node === this.header ? null : node;
+    }
+    return null;
+  }
+
+  /**
+   * Finds the first node within a range.
+   * @param {Function} aboveMin - Returns true if a node is not below the minimum of the range.
+   * @param {Function} belowMax - Returns true if a node is not above the maximum of the range.
+   * @returns {object|null} The node, or null if no node is within the range.
+   */
+  firstInRange(aboveMin, belowMax) {
+    let node = this.header;
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (node.levels[i].forward !== null && !aboveMin(node.levels[i].forward)) {
+        node = node.levels[i].forward;
+      }
+    }
+    node = node.levels[0].forward;
+    if (node === null || !belowMax(node)) return null;
+    return node;
+  }
+
+  /**
+   * Finds the last node within a range.
+   * @param {Function} aboveMin - Returns true if a node is not below the minimum of the range.
+   * @param {Function} belowMax - Returns true if a node is not above the maximum of the range.
+   * @returns {object|null} The node, or null if no node is within the range.
+   */
+  lastInRange(aboveMin, belowMax) {
+    let node = this.header;
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (node.levels[i].forward !== null && belowMax(node.levels[i].forward)) {
+        node = node.levels[i].forward;
+      }
+    }
+    if (node === this.header || !aboveMin(node)) return null;
+    return node;
+  }
+
+  /**
+   * Parses a score, accepting "inf", "+inf" and "-inf" as Redis does, both in commands and in RDB files.
+   * @param {string} value - The score.
+   * @returns {number|null} The parsed score, or null if it is not a valid float.
+   */
+  static parseScore(value) {
+    const lower = value.toLowerCase();
+    if (lower === "inf" || lower === "+inf") return Infinity;
+    if (lower === "-inf") return -Infinity;
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value)) return null;
+    const score = Number(value);
+    return Number.isFinite(score) ? score : null;
+  }
+}
+
+module.exports = SortedSet;
@@ -0,0 +1,470 @@
+const MAX_ID_PART = 2n ** 64n - 1n;
+
+/**
+ * Compares two IDs given as their milliseconds and sequence parts.
+ * @param {bigint} ms - The milliseconds part of the first ID.
+ * @param {bigint} seq - The sequence part of the first ID.
+ * @param {bigint} otherMs - The milliseconds part of the second ID.
+ * @param {bigint} otherSeq - The sequence part of the second ID.
+ * @returns {number} A negative number, zero or a positive number if the first ID is smaller, equal or greater.
+ */
+function compareParts(ms, seq, otherMs, otherSeq) {
+  if (ms !== otherMs) return ms < otherMs ? -1 : 1;
+  if (seq !== otherSeq) return seq < otherSeq ? -1 : 1;
+  return 0;
+}
+
+/**
+ * A stream implementation: an append-only log of entries ordered by ID, with consumer groups.
+ *
+ * IDs are "<milliseconds>-<sequence>" strings whose parts are 64-bit unsigned integers. Each entry
+ * holds its ID, along with its parts as BigInts so that entries are looked up by binary search,
+ * and a flat array of fields and values.
+ *
+ * A consumer group tracks the last entry delivered to the group, and the entries delivered to its
+ * consumers that haven't been acknowledged yet, in its pending entries list (PEL). Each pending
+ * entry records the consumer that owns it, when it was last delivered and how many times it was.
+ */
+class Stream {
+  static ZERO_ID = "0-0";
+  static MAX_ID = `${MAX_ID_PART}-${MAX_ID_PART}`;
+
+  /**
+   * The number of entries stored in each node of a Redis stream, which approximate trimming removes at once.
+   */
+  static NODE_MAX_ENTRIES = 100;
+
+  /**
+   * Constructs a new, empty Stream instance.
+   */
+  constructor() {
+    this.entries = []; // Entries in ID order, as {id, ms, seq, fields} objects.
+    this.lastId = Stream.ZERO_ID; // ID of the last entry ever added, which new IDs must be greater than.
+    this.maxDeletedId = Stream.ZERO_ID; // Greatest ID of a deleted entry.
+    this.entriesAdded = 0; // Number of entries ever added.
+    this.groups = new Map(); // Consumer groups by name.
+  }
+
+  /**
+   * The number of entries in the stream.
+   * @type {number}
+   */
+  get length() {
+    return this.entries.length;
+  }
+
+  /**
+   * The ID of the first entry, or 0-0 if the stream is empty.
+   * @type {string}
+   */
+  get firstId() {
+    return this.entries.length > 0 ? this.entries[0].id : Stream.ZERO_ID;
+  }
+
+  /**
+   * Parses a stream ID.
+   * @param {string} id - The ID, "<milliseconds>-<sequence>".
+   * @returns {Array<bigint>|null} The milliseconds and sequence parts, or null if the ID isn't valid.
+   */
+  static parseId(id) {
+    const match = /^(\d+)-(\d+)$/.exec(id);
+    if (match === null) return null;
+    const [ms, seq] = [BigInt(match[1]), BigInt(match[2])];
+    return ms <= MAX_ID_PART && seq <= MAX_ID_PART ? [ms, seq] : null;
+  }
+
+  /**
+   * Parses an ID given as a command argument, where the sequence part can be omitted.
+   * @param {string} value - The argument.
+   * @param {bigint} [defaultSeq=0n] - The sequence used when it is omitted.
+   * @returns {string|null} The full ID, or null if the argument isn't a valid ID.
+   */
+  static parseIdArg(value, defaultSeq = 0n) {
+    if (/^\d+$/.test(value)) value = `${value}-${defaultSeq}`;
+    const parts = Stream.parseId(value);
+    return parts === null ? null : `${parts[0]}-${parts[1]}`;
+  }
+
+  /**
+   * Parses a range bound given as a command argument: an ID, "-" for the smallest ID, or "+" for the greatest.
+   * An ID prefixed with "(" excludes it from the range, and is converted to the next ID within the range.
+   * @param {string} value - The argument.
+   * @param {boolean} isEnd - True for the end of the range, whose omitted sequence is the greatest one.
+   * @returns {string|null} The full ID, or null if the argument isn't a valid bound.
+   */
+  static parseRangeArg(value, isEnd) {
+    if (value === "-") return Stream.ZERO_ID;
+    if (value === "+") return Stream.MAX_ID;
+    const exclusive = value.startsWith("(");
+    const id = Stream.parseIdArg(exclusive ? value.slice(1) : value, isEnd ? MAX_ID_PART : 0n);
+    if (id === null || !exclusive) return id;
+
+    const [ms, seq] = Stream.parseId(id);
+    if (isEnd) {
+      if (seq > 0n) return `${ms}-${seq - 1n}`;
+      return ms > 0n ? `${ms - 1n}-${MAX_ID_PART}` : null;
+    }
+    if (seq < MAX_ID_PART) return `${ms}-${seq + 1n}`;
+    return ms < MAX_ID_PART ? `${ms + 1n}-0` : null;
+  }
+
+  /**
+   * Compares two stream IDs.
+   * @param {string} id - The first ID.
+   * @param {string} otherId - The second ID.
+   * @returns {number} A negative number, zero or a positive number if the first ID is smaller, equal or greater.
+   */
+  static compareIds(id, otherId) {
+    return compareParts(...Stream.parseId(id), ...Stream.parseId(otherId));
+  }
+
+  /**
+   * Appends an entry to the stream.
+   * @param {string} id - The ID of the entry, "*" to generate it from the current time,
+   * or "<milliseconds>-*" to generate the sequence part.
+   * @param {string[]} fields - The fields and values of the entry.
+   * @returns {string|null} The ID of the entry, or null if it isn't greater than the last ID of the stream.
+   */
+  add(id, fields) {
+    const [lastMs, lastSeq] = Stream.parseId(this.lastId);
+    let ms;
+    let seq;
+    if (id === "*") {
+      ms = BigInt(Date.now());
+      seq = 0n;
+      if (ms <= lastMs) {
+        // The clock went backwards or the last ID was set in the future, so the last ID is incremented.
+        if (lastSeq === MAX_ID_PART && lastMs === MAX_ID_PART) return null;
+        [ms, seq] = lastSeq === MAX_ID_PART ? [lastMs + 1n, 0n] : [lastMs, lastSeq + 1n];
+      }
+    } else if (id.endsWith("-*")) {
+      ms = BigInt(id.slice(0, -2));
+      if (ms === lastMs && lastSeq === MAX_ID_PART) return null;
+      seq = ms === lastMs ? lastSeq + 1n : 0n;
+    } else {
+      [ms, seq] = Stream.parseId(id);
+    }
+    if (ms < lastMs || (ms === lastMs && seq <= lastSeq)) return null;
+
+    this.lastId = `${ms}-${seq}`;
+    this.entries.push({ id: this.lastId, ms, seq, fields });
+    this.entriesAdded++;
+    return this.lastId;
+  }
+
+  /**
+   * Finds by binary search the position of the first entry whose ID is greater than or equal to a given one.
+   * @param {string} id - The ID.
+   * @param {boolean} [exclusive=false] - True to find the first entry whose ID is strictly greater.
+   * @returns {number} The index of the entry, or the length of the stream if there is none.
+   */
+  search(id, exclusive = false) {
+    const [ms, seq] = Stream.parseId(id);
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      const comparison = compareParts(this.entries[mid].ms, this.entries[mid].seq, ms, seq);
+      if (comparison < 0 || (exclusive && comparison === 0)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Retrieves an entry by ID.
+   * @param {string} id - The ID.
+   * @returns {object|null} The entry, or null if the stream has no entry with this ID.
+   */
+  getEntry(id) {
+    const entry = this.entries[this.search(id)];
+    return entry !== undefined && entry.id === id ? entry : null;
+  }
+
+  /**
+   * Retrieves the entries whose ID is within a range.
+   * @param {string} start - The smallest ID, inclusive.
+   * @param {string} end - The greatest ID, inclusive.
+   * @param {number} [count=0] - The maximum number of entries, or 0 for no limit.
+   * @param {boolean} [reverse=false] - True to retrieve the entries from the end of the range, in reverse order.
+   * @returns {Array<object>} The entries.
+   */
+  range(start, end, count = 0, reverse = false) {
+    const from = this.search(start);
+    const to = this.search(end, true);
+    if (from >= to) return [];
+    if (!reverse) return this.entries.slice(from, count > 0 ? Math.min(to, from + count) : to);
+    return this.entries.slice(count > 0 ? Math.max(from, to - count) : from, to).reverse();
+  }
+
+  /**
+   * Retrieves the entries whose ID is greater than a given one.
+   * @param {string} id - The ID.
+   * @param {number} [count=0] - The maximum number of entries, or 0 for no limit.
+   * @returns {Array<object>} The entries.
+   */
+  after(id, count = 0) {
+    const from = this.search(id, true);
+    return this.entries.slice(from, count > 0 ? from + count : this.entries.length);
+  }
+
+  /**
+   * Deletes an entry, recording its ID if it is the greatest deleted one.
+   * @param {string} id - The ID of the entry.
+   * @returns {boolean} True if the entry existed, otherwise false.
+   */
+  delete(id) {
+    const index = this.search(id);
+    if (this.entries[index]?.id !== id) return false;
+    this.entries.splice(index, 1);
+    if (Stream.compareIds(id, this.maxDeletedId) > 0) this.maxDeletedId = id;
+    return true;
+  }
+
+  /**
+   * Removes the oldest entries, until the stream is short enough or only entries with a great enough ID remain.
+   * Approximate trimming only removes whole nodes of {@link Stream.NODE_MAX_ENTRIES} entries, like Redis
+   * does for efficiency, so it may leave a few more entries than asked.
+   * @param {object} options - The trimming options.
+   * @param {string} options.strategy - "maxlen" to trim to a length, or "minid" to remove the entries below an ID.
+   * @param {number|string} options.threshold - The length or the ID.
+   * @param {boolean} [options.approx=false] - True for approximate trimming.
+   * @param {number} [options.limit=0] - The maximum number of entries to remove, or 0 for no limit.
+   * @returns {number} The number of removed entries.
+   */
+  trim({ strategy, threshold, approx = false, limit = 0 }) {
+    let removed =
+      strategy === "maxlen" ? Math.max(this.entries.length - threshold, 0) : this.search(threshold);
+    if (limit > 0) removed = Math.min(removed, limit);
+    if (approx) removed -= removed % Stream.NODE_MAX_ENTRIES;
+    this.entries.splice(0, removed);
+    return removed;
+  }
+
+  /**
+   * Creates a deep copy of the stream, including its consumer groups.
+   * @returns {Stream} The copy.
+   */
+  clone() {
+    const copy = new Stream();
+    copy.entries = this.entries.map((entry) => ({ ...entry, fields: [...entry.fields] }));
+    copy.lastId = this.lastId;
+    copy.maxDeletedId = this.maxDeletedId;
+    copy.entriesAdded = this.entriesAdded;
+    for (const group of this.groups.values()) {
+      const groupCopy = copy.createGroup(group.name, group.lastId, group.entriesRead);
+      for (const consumer of group.consumers.values()) {
+        const consumerCopy = copy.getConsumer(groupCopy, consumer.name, consumer.seenTime);
+        consumerCopy.activeTime = consumer.activeTime;
+      }
+      for (const nack of group.pending.values()) {
+        groupCopy.pending.set(nack.id, { ...nack });
+        groupCopy.consumers.get(nack.consumer).pending.add(nack.id);
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Creates a consumer group.
+   * @param {string} name - The name of the group.
+   * @param {string} lastId - The ID of the last entry considered delivered to the group.
+   * @param {number|null} [entriesRead=null] - The number of entries read by the group, or null if unknown.
+   * @returns {object|null} The group, or null if a group with this name already exists.
+   */
+  createGroup(name, lastId, entriesRead = null) {
+    if (this.groups.has(name)) return null;
+    const group = {
+      name,
+      lastId,
+      entriesRead,
+      pending: new Map(), // Pending entries by ID, as {id, consumer, deliveryTime, deliveryCount} objects.
+      consumers: new Map(), // Consumers by name.
+    };
+    this.groups.set(name, group);
+    return group;
+  }
+
+  /**
+   * Retrieves a consumer of a group, creating it if needed.
+   * @param {object} group - The group.
+   * @param {string} name - The name of the consumer.
+   * @param {number} [now=Date.now()] - The current time, recorded as the last time the consumer was seen.
+   * @returns {object} The consumer.
+   */
+  getConsumer(group, name, now = Date.now()) {
+    let consumer = group.consumers.get(name);
+    if (consumer === undefined) {
+      // The active time is when the consumer last read or claimed entries, -1 until it does.
+      consumer = { name, seenTime: now, activeTime: -1, pending: new Set() };
+      group.consumers.set(name, consumer);
+    }
+    consumer.seenTime = now;
+    return consumer;
+  }
+
+  /**
+   * Deletes a consumer of a group, along with the entries pending for it.
+   * @param {object} group - The group.
+   * @param {string} name - The name of the consumer.
+   * @returns {number} The number of pending entries the consumer had, 0 if it didn't exist.
+   */
+  deleteConsumer(group, name) {
+    const consumer = group.consumers.get(name);
+    if (consumer === undefined) return 0;
+    for (const id of consumer.pending) group.pending.delete(id);
+    group.consumers.delete(name);
+    return consumer.pending.size;
+  }
+
+  /**
+   * Retrieves the pending entries of a group or one of its consumers, in ID order.
+   * @param {object} group - The group.
+   * @param {object} [consumer] - The consumer, or undefined for the whole group.
+   * @returns {Array<object>} The pending entries.
+   */
+  getPending(group, consumer) {
+    const pending =
+      consumer === undefined
+        ? [...group.pending.values()]
+        : [...consumer.pending].map((id) => group.pending.get(id));
+    return pending.sort((a, b) => Stream.compareIds(a.id, b.id));
+  }
+
+  /**
+   * Makes a consumer the owner of a pending entry, creating the pending entry if needed,
+   * as delivered once at the current time.
+   * @param {object} group - The group.
+   * @param {string} id - The ID of the entry.
+   * @param {object} consumer - The new owner.
+   * @returns {object} The pending entry.
+   */
+  assignPending(group, id, consumer) {
+    let nack = group.pending.get(id);
+    if (nack === undefined) {
+      nack = { id, consumer: consumer.name, deliveryTime: Date.now(), deliveryCount: 1 };
+      group.pending.set(id, nack);
+    } else if (nack.consumer !== consumer.name) {
+      group.consumers.get(nack.consumer)?.pending.delete(id);
+      nack.consumer = consumer.name;
+    }
+    consumer.pending.add(id);
+    return nack;
+  }
+
+  /**
+   * Removes an entry from the pending entries of a group, which acknowledges it.
+   * @param {object} group - The group.
+   * @param {string} id - The ID of the entry.
+   * @returns {boolean} True if the entry was pending, otherwise false.
+   */
+  removePending(group, id) {
+    const nack = group.pending.get(id);
+    if (nack === undefined) return false;
+    group.pending.delete(id);
+    group.consumers.get(nack.consumer)?.pending.delete(id);
+    return true;
+  }
+
+  /**
+   * Delivers the entries that were never delivered to a group, advancing its last delivered ID.
+   * Unless `noAck` is set, the entries become pending for the consumer.
+   * @param {object} group - The group.
+   * @param {object} consumer - The consumer reading the entries.
+   * @param {number} count - The maximum number of entries, or 0 for no limit.
+   * @param {boolean} noAck - True if the entries don't need to be acknowledged.
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {Array<object>} The delivered entries.
+   */
+  deliverNew(group, consumer, count, noAck, now = Date.now()) {
+    const entries = this.after(group.lastId, count);
+    for (const entry of entries) {
+      if (group.entriesRead !== null && !this.rangeHasTombstones(entry.id)) {
+        group.entriesRead++;
+      } else if (this.entriesAdded > 0) {
+        group.entriesRead = this.estimateEntriesRead(entry.id);
+      }
+      group.lastId = entry.id;
+      if (noAck) continue;
+      const nack = this.assignPending(group, entry.id, consumer);
+      nack.deliveryTime = now;
+      nack.deliveryCount = 1;
+    }
+    if (entries.length > 0) consumer.activeTime = now;
+    return entries;
+  }
+
+  /**
+   * Delivers again the entries pending for a consumer, counting the new delivery.
+   * @param {object} group - The group.
+   * @param {object} consumer - The consumer.
+   * @param {string} afterId - Only entries with a greater ID are delivered.
+   * @param {number} count - The maximum number of entries, or 0 for no limit.
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {Array<Array>} [id, entry] pairs, where the entry is null if it was deleted from the stream.
+   */
+  deliverPending(group, consumer, afterId, count, now = Date.now()) {
+    let pending = this.getPending(group, consumer).filter((nack) => Stream.compareIds(nack.id, afterId) > 0);
+    if (count > 0) pending = pending.slice(0, count);
+    return pending.map((nack) => {
+      const entry = this.getEntry(nack.id);
+      if (entry !== null) {
+        nack.deliveryTime = now;
+        nack.deliveryCount++;
+      }
+      return [nack.id, entry];
+    });
+  }
+
+  /**
+   * Checks whether deleted entries may lie between an ID and the end of the stream, which makes
+   * the number of entries read by a group that has read up to this ID impossible to deduce.
+   * @param {string} startId - The start of the range.
+   * @returns {boolean} True if the range may contain deleted entries.
+   */
+  rangeHasTombstones(startId) {
+    if (this.entries.length === 0 || this.maxDeletedId === Stream.ZERO_ID) return false;
+    if (Stream.compareIds(this.firstId, this.maxDeletedId) > 0) return false;
+    return Stream.compareIds(startId, this.maxDeletedId) <= 0;
+  }
+
+  /**
+   * Estimates the number of entries added to the stream up to a given ID.
+   * @param {string} id - The ID.
+   * @returns {number|null} The number of entries, or null if it can't be known.
+   */
+  estimateEntriesRead(id) {
+    if (this.entriesAdded === 0) return 0;
+    const comparedToLast = Stream.compareIds(id, this.lastId);
+    if (this.entries.length === 0 && comparedToLast <= 0) return this.entriesAdded;
+    if (comparedToLast === 0) return this.entriesAdded;
+    if (comparedToLast > 0) return null;
+
+    const comparedToFirst = Stream.compareIds(id, this.firstId);
+    if (this.maxDeletedId === Stream.ZERO_ID || Stream.compareIds(this.maxDeletedId, this.firstId) < 0) {
+      // No entry was deleted after the first one, so the entries before it were all removed.
+      if (comparedToFirst < 0) return this.entriesAdded - this.entries.length;
+      if (comparedToFirst === 0) return this.entriesAdded - this.entries.length + 1;
+    }
+    return null;
+  }
+
+  /**
+   * Computes the number of entries that were never delivered to a group.
+   * @param {object} group - The group.
+   * @returns {number|null} The lag, or null if it can't be known.
+   */
+  getLag(group) {
+    if (this.entriesAdded === 0) return 0;
+    if (group.entriesRead !== null && !this.rangeHasTombstones(group.lastId)) {
+      return this.entriesAdded - group.entriesRead;
+    }
+    const entriesRead = this.estimateEntriesRead(group.lastId);
+    return entriesRead === null ? null : this.entriesAdded - entriesRead;
+  }
+}
+
+module.exports = Stream;
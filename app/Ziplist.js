@@ -0,0 +1,92 @@
+/**
+ * A utility class for decoding ziplists, the compact serialization older Redis versions
+ * use for small collections and for the nodes of quicklists.
+ *
+ * A ziplist is laid out as:
+ *   <total-bytes: uint32 LE> <tail-offset: uint32 LE> <num-entries: uint16 LE> <entry> ... <end: 0xFF>
+ * where each entry is the length of the previous entry followed by its encoding and data.
+ */
+class Ziplist {
+  static HEADER_SIZE = 10;
+  static END = 0xff;
+
+  /**
+   * Decodes a ziplist into its entries.
+   * @param {Buffer} buffer - The ziplist.
+   * @returns {Array<string|number|bigint>} The entries; integer encodings are returned as numbers,
+   * or as bigints when they don't fit in a safe integer.
+   * @throws {Error} If the ziplist is malformed.
+   */
+  static decode(buffer) {
+    const entries = [];
+    let cursor = Ziplist.HEADER_SIZE;
+    while (cursor < buffer.length && buffer[cursor] !== Ziplist.END) {
+      cursor += buffer[cursor] < 0xfe ? 1 : 5; // Skip the length of the previous entry.
+      const { value, size } = Ziplist.decodeEntry(buffer, cursor);
+      entries.push(value);
+      cursor += size;
+    }
+    if (buffer[cursor] !== Ziplist.END) {
+      throw new Error("Ziplist is missing its end marker");
+    }
+    return entries;
+  }
+
+  /**
+   * Decodes the encoding and data of the entry starting at a position.
+   * @param {Buffer} buffer - The ziplist.
+   * @param {number} cursor - The position of the encoding of the entry.
+   * @returns {{value: string|number|bigint, size: number}} The entry and the size of its encoding and data.
+   * @throws {Error} If the encoding is unknown.
+   */
+  static decodeEntry(buffer, cursor) {
+    const byte = buffer[cursor];
+    switch (byte >> 6) {
+      case 0b00: {
+        const length = byte & 0x3f;
+        return {
+          value: buffer.toString("latin1", cursor + 1, cursor + 1 + length),
+          size: 1 + length,
+        };
+      }
+      case 0b01: {
+        const length = ((byte & 0x3f) << 8) | buffer[cursor + 1];
+        return {
+          value: buffer.toString("latin1", cursor + 2, cursor + 2 + length),
+          size: 2 + length,
+        };
+      }
+      case 0b10: {
+        const length = buffer.readUInt32BE(cursor + 1);
+        return {
+          value: buffer.toString("latin1", cursor + 5, cursor + 5 + length),
+          size: 5 + length,
+        };
+      }
+    }
+
+    switch (byte) {
+      case 0xc0:
+        return { value: buffer.readInt16LE(cursor + 1), size: 3 };
+      case 0xd0:
+        return { value: buffer.readInt32LE(cursor + 1), size: 5 };
+      case 0xe0: {
+        const value = buffer.readBigInt64LE(cursor + 1);
+        const safe = value >= BigInt(Number.MIN_SAFE_INTEGER) &&
+          value <= BigInt(Number.MAX_SAFE_INTEGER);
+        return { value: safe ? Number(value) : value, size: 9 };
+      }
+      case 0xf0:
+        return { value: buffer.readIntLE(cursor + 1, 3), size: 4 };
+      case 0xfe:
+        return { value: buffer.readInt8(cursor + 1), size: 2 };
+    }
+    if (byte > 0xf0 && byte < 0xfe) {
+      // 4-bit immediate integers from 0 to 12, stored as 1 to 13.
+      return { value: (byte & 0x0f) - 1, size: 1 };
+    }
+    throw new Error(`Unknown ziplist encoding: ${byte}`);
+  }
+}
+
+module.exports = Ziplist;
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const RDBParser = require('./RDBParser');
+
+/**
+ * Checks an RDB file without starting the server, in the spirit of redis-check-rdb.
+ * Prints the header fields and a summary of the keys when the file is valid,
+ * or the offset and opcode at which it is corrupt.
+ *
+ * @param {string[]} args - The command line arguments passed to the script.
+ * @returns {number} The exit code: 0 if the file is valid, 1 otherwise.
+ */
+function checkRDB(args) {
+  if (args.length !== 1) {
+    console.log('Usage: node app/check-rdb.js <rdb-file-name>');
+    return 1;
+  }
+
+  const [filePath] = args;
+  console.log(`[offset 0] Checking RDB file ${filePath}`);
+  let fileBuffer;
+  try {
+    fileBuffer = fs.readFileSync(filePath);
+  } catch (err) {
+    console.log(`Cannot open RDB file: ${err.message}`);
+    return 1;
+  }
+
+  const rdbParser = new RDBParser(fileBuffer);
+  try {
+    rdbParser.parse();
+  } catch (err) {
+    if (!(err instanceof RDBParser.CorruptRDBError)) throw err;
+    console.log('--- RDB ERROR DETECTED ---');
+    console.log(`[offset ${err.offset}] ${err.reason}`);
+    if (err.opCode !== null) {
+      console.log(`[additional info] While parsing opcode 0x${err.opCode.toString(16).padStart(2, '0')}`);
+    }
+    return 1;
+  }
+
+  console.log(`[info] RDB version ${rdbParser.rdbVersion}`);
+  for (const [key, value] of Object.entries(rdbParser.auxData)) {
+    console.log(`[info] AUX FIELD ${key} = '${value}'`);
+  }
+
+  const now = Date.now();
+  let keys = 0;
+  let expires = 0;
+  let expired = 0;
+  for (const dataStore of rdbParser.databases) {
+    for (const entry of dataStore.map.values()) {
+      keys++;
+      if (entry.expiry == null) continue;
+      expires++;
+      if (entry.expiry < now) expired++;
+    }
+  }
+  console.log(`[info] ${keys} keys read`);
+  console.log(`[info] ${expires} expires`);
+  console.log(`[info] ${expired} already expired`);
+  console.log('\\o/ RDB looks OK! \\o/');
+  return 0;
+}
+
+process.exitCode = checkRDB(process.argv.slice(2));
@@ -5,48 +5,58 @@ const SlaveServer = require('./SlaveServer');
 const HOST = 'localhost';
 const PORT = '6379';
 
+// Command line options that map to differently named configuration keys.
+const CONFIG_NAMES = {
+  dbfilename: 'dbFilename',
+  appendonly: 'appendOnly',
+  appendfsync: 'appendFsync',
+  appendfilename: 'appendFilename',
+};
+
+/**
+ * Parses command line arguments of the form `--name value [value ...]` into an object.
+ * Values following the same flag are joined with spaces, so that both
+ * `--replicaof "host port"` and `--replicaof host port` are supported.
+ *
+ * @param {string[]} args - The command line arguments passed to the script.
+ * @returns {Object} The options, keyed by their lowercased name without the leading dashes.
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) continue;
+    const name = args[i].slice(2).toLowerCase();
+    const values = [];
+    while (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      values.push(args[++i]);
+    }
+    options[name] = values.join(' ');
+  }
+  return options;
+}
+
 /**
  * Initializes and starts a Master or Slave server based on the provided command line arguments.
  * 
  * @param {string[]} args - The command line arguments passed to the script.
  */
 function init(args) {
-  // Check if no arguments were provided and start a MasterServer on default port.
-  if (args.length === 0) {
-    const server = new MasterServer(HOST, PORT);
-    return server.startServer();
-  }
+  const { port = PORT, replicaof, ...options } = parseArgs(args);
 
-  // First argument should be a flag indicating the operation mode or configuration.
-  const flag = args[0];
-
-  // Check for '--port' flag to configure the port.
-  if (flag === '--port') {
-    // If only port is provided, start a MasterServer on the specified port.
-    if (args.length === 2) {
-      const port = args[1];
-      const server = new MasterServer(HOST, port);
-      return server.startServer();
-    }
-
-    // If replication configuration is provided, start a SlaveServer with the specified settings.
-    if (args.length === 5) {
-      const port = args[1];
-      const replicaFlag = args[2]; // Expected to be a specific flag, like '--replica'.
-      const masterHost = args[3];
-      const masterPort = args[4];
-      const server = new SlaveServer(HOST, port, masterHost, masterPort);
-      return server.startServer();
-    }
+  // If replication configuration is provided, start a SlaveServer with the specified settings.
+  if (replicaof) {
+    const [masterHost, masterPort] = replicaof.split(' ');
+    const server = new SlaveServer(HOST, port, masterHost, masterPort);
+    return server.startServer();
   }
 
-  if (flag === '--dir') {
-    const config = {};
-    config.dir = args[1];
-    config.dbFilename = args[3];
-    const server = new MasterServer(HOST, PORT, config);
-    server.startServer();
+  // Every other option is passed to the MasterServer as configuration.
+  const config = {};
+  for (const [name, value] of Object.entries(options)) {
+    config[CONFIG_NAMES[name] || name] = value;
   }
+  const server = new MasterServer(HOST, port, config);
+  return server.startServer();
 }
 
 init(process.argv.slice(2));